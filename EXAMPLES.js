@@ -8,7 +8,14 @@
  * If you copy these examples to other files, adjust the import paths accordingly.
  */
 
-import { GoogleClassroomClient, makeAuthenticatedRequest } from './src/api/gcr.js';
+import {
+  GoogleClassroomClient,
+  makeAuthenticatedRequest,
+  AuthError,
+  PermissionDeniedError,
+  NotFoundError,
+  QuotaExceededError
+} from './src/api/gcr.js';
 
 // Replace these with your actual credentials
 const CLIENT_ID = 'your-client-id.apps.googleusercontent.com';
@@ -38,6 +45,7 @@ async function example1_SimpleRequest() {
  */
 async function example2_MultipleRequests() {
   const client = new GoogleClassroomClient(CLIENT_ID, CLIENT_SECRET);
+  await client.ready; // Tokens load asynchronously from the storage adapter
   
   try {
     // Check if already authenticated
@@ -78,6 +86,7 @@ async function example2_MultipleRequests() {
  */
 async function example3_CreateCourse() {
   const client = new GoogleClassroomClient(CLIENT_ID, CLIENT_SECRET);
+  await client.ready; // Tokens load asynchronously from the storage adapter
   
   try {
     // Check if already authenticated
@@ -112,6 +121,7 @@ async function example3_CreateCourse() {
  */
 async function example4_GetCourse(courseId) {
   const client = new GoogleClassroomClient(CLIENT_ID, CLIENT_SECRET);
+  await client.ready; // Tokens load asynchronously from the storage adapter
   
   try {
     if (!client.isAuthenticated()) {
@@ -161,6 +171,7 @@ function example5_HandleOAuthCallback() {
  */
 async function example6_RefreshToken() {
   const client = new GoogleClassroomClient(CLIENT_ID, CLIENT_SECRET);
+  await client.ready; // Tokens load asynchronously from the storage adapter
   
   try {
     // Check if token is expired
@@ -181,9 +192,9 @@ async function example6_RefreshToken() {
 /**
  * Example 7: Logout (clear tokens)
  */
-function example7_Logout() {
+async function example7_Logout() {
   const client = new GoogleClassroomClient(CLIENT_ID, CLIENT_SECRET);
-  client.clearTokens();
+  await client.clearTokens();
   console.log('Logged out successfully');
 }
 
@@ -192,6 +203,7 @@ function example7_Logout() {
  */
 async function example8_GetCoursework(courseId) {
   const client = new GoogleClassroomClient(CLIENT_ID, CLIENT_SECRET);
+  await client.ready; // Tokens load asynchronously from the storage adapter
   
   try {
     if (!client.isAuthenticated()) {
@@ -226,13 +238,15 @@ async function example9_ErrorHandling() {
     console.log('Success:', courses);
   } catch (error) {
     // Handle different error types
-    if (error.message.includes('401')) {
+    if (error instanceof AuthError) {
       console.error('Authentication error - need to re-authorize');
       await client.authorize('https://www.googleapis.com/auth/classroom.courses.readonly');
-    } else if (error.message.includes('403')) {
-      console.error('Permission denied - check your scopes');
-    } else if (error.message.includes('404')) {
-      console.error('Resource not found');
+    } else if (error instanceof QuotaExceededError) {
+      console.error('Quota exceeded - slow down and try again later');
+    } else if (error instanceof PermissionDeniedError) {
+      console.error('Permission denied - check your scopes:', error.reason);
+    } else if (error instanceof NotFoundError) {
+      console.error('Resource not found:', error.endpoint);
     } else {
       console.error('Unexpected error:', error.message);
     }
@@ -299,6 +313,27 @@ function Example10_ReactIntegration() {
   console.log('See src/App.jsx for a working React implementation');
 }
 
+/**
+ * Example 11: Using the typed resource methods instead of hand-built URLs
+ */
+async function example11_ResourceMethods() {
+  const client = new GoogleClassroomClient(CLIENT_ID, CLIENT_SECRET);
+  
+  try {
+    const { courses } = await client.courses.list({ courseStates: ['ACTIVE'] });
+    
+    if (courses.length > 0) {
+      const { students } = await client.courses.students.list(courses[0].id);
+      const { courseWork } = await client.courseWork.list(courses[0].id);
+      
+      console.log('Students:', students);
+      console.log('Coursework:', courseWork);
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+  }
+}
+
 // Export examples for use
 export {
   example1_SimpleRequest,
@@ -310,5 +345,6 @@ export {
   example7_Logout,
   example8_GetCoursework,
   example9_ErrorHandling,
-  Example10_ReactIntegration
+  Example10_ReactIntegration,
+  example11_ResourceMethods
 };
@@ -0,0 +1,418 @@
+/**
+ * `gcr` subcommands
+ *
+ * Each command receives the parsed positionals and options and returns the
+ * text to print. API errors propagate to gcr.js, which reports them and sets
+ * the exit code.
+ */
+
+import { readFile } from 'node:fs/promises';
+import {
+  GoogleClassroomClient,
+  FileStorageAdapter,
+  SCOPES,
+  createServiceAccountClient
+} from '../src/api/node.js';
+import {
+  ROSTER_COLUMNS,
+  ROSTER_RESULT_COLUMNS,
+  ROSTER_ROLES,
+  fetchRoster,
+  parseRosterCsv,
+  syncRoster
+} from '../src/api/roster.js';
+import { readConfig, writeConfig, tokenFile } from './config.js';
+import { loopbackLogin } from './login.js';
+import { formatRows } from './output.js';
+
+/** Scopes requested by `gcr login` unless --scopes is given */
+export const DEFAULT_SCOPES = [
+  SCOPES.COURSES_READONLY,
+  SCOPES.ROSTERS,
+  SCOPES.PROFILE_EMAILS,
+  SCOPES.COURSEWORK_STUDENTS
+];
+
+/**
+ * Invalid command line; reported with a usage hint and exit code 2
+ */
+export class UsageError extends Error {
+  name = 'UsageError';
+}
+
+const COURSE_COLUMNS = [
+  { header: 'id', value: course => course.id },
+  { header: 'name', value: course => course.name },
+  { header: 'section', value: course => course.section },
+  { header: 'state', value: course => course.courseState },
+  { header: 'ownerId', value: course => course.ownerId }
+];
+
+const COURSEWORK_COLUMNS = [
+  { header: 'id', value: work => work.id },
+  { header: 'title', value: work => work.title },
+  { header: 'type', value: work => work.workType },
+  { header: 'state', value: work => work.state },
+  { header: 'maxPoints', value: work => work.maxPoints },
+  { header: 'due', value: work => formatDate(work.dueDate) }
+];
+
+const SUBMISSION_COLUMNS = [
+  { header: 'id', value: submission => submission.id },
+  { header: 'userId', value: submission => submission.userId },
+  { header: 'state', value: submission => submission.state },
+  { header: 'late', value: submission => submission.late ?? false },
+  { header: 'draftGrade', value: submission => submission.draftGrade },
+  { header: 'assignedGrade', value: submission => submission.assignedGrade }
+];
+
+/**
+ * Format a Classroom date object as YYYY-MM-DD
+ * @param {{year: number, month: number, day: number}} [date]
+ * @returns {string}
+ */
+function formatDate(date) {
+  if (!date) {
+    return '';
+  }
+  return [date.year, date.month, date.day].map((part, index) => String(part).padStart(index ? 2 : 4, '0')).join('-');
+}
+
+/**
+ * Read a required positional argument
+ * @param {string[]} args
+ * @param {number} index
+ * @param {string} name - Shown in the error message
+ * @returns {string}
+ */
+function requireArg(args, index, name) {
+  if (!args[index]) {
+    throw new UsageError(`Missing <${name}>`);
+  }
+  return args[index];
+}
+
+/**
+ * Parse a numeric option
+ * @param {string|undefined} value
+ * @param {string} name - Option name for the error message
+ * @returns {number|undefined}
+ */
+function parseNumber(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (value.trim() === '' || Number.isNaN(number)) {
+    throw new UsageError(`--${name} must be a number`);
+  }
+  return number;
+}
+
+/**
+ * Split a comma- or space-separated list option
+ * @param {string} [value]
+ * @returns {string[]|undefined}
+ */
+function parseList(value) {
+  return value ? value.split(/[\s,]+/).filter(Boolean) : undefined;
+}
+
+/**
+ * Create the client for a command: a service account when a key file is
+ * configured, otherwise the account signed in with `gcr login`.
+ * GCR_BASE_URL points every request at another server (e.g. the mock server).
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<GoogleClassroomClient>}
+ */
+export async function createCliClient(options) {
+  const baseUrl = process.env.GCR_BASE_URL || undefined;
+  const keyFile = options['key-file'] || process.env.GCR_KEY_FILE;
+  if (keyFile) {
+    return createServiceAccountClient({
+      keyFile,
+      subject: options.subject || process.env.GCR_SUBJECT,
+      scopes: parseList(options.scopes) || DEFAULT_SCOPES,
+      baseUrl
+    });
+  }
+
+  const config = await readConfig();
+  const clientId = options['client-id'] || process.env.GCR_CLIENT_ID || config.clientId;
+  const clientSecret = options['client-secret'] || process.env.GCR_CLIENT_SECRET || config.clientSecret;
+  if (!clientId) {
+    throw new UsageError('No OAuth client configured. Run `gcr login --client-id <id>` first.');
+  }
+
+  const client = new GoogleClassroomClient(clientId, clientSecret, {
+    storage: new FileStorageAdapter({ file: tokenFile() }),
+    baseUrl
+  });
+  await client.ready;
+  return client;
+}
+
+/**
+ * gcr login
+ */
+async function login(client, args, options) {
+  if (client.credentials) {
+    throw new UsageError('Service accounts do not sign in; their key file is used directly');
+  }
+
+  // Saved before signing in so later commands use the same OAuth client
+  await writeConfig({ clientId: client.clientId, ...(client.clientSecret ? { clientSecret: client.clientSecret } : {}) });
+
+  await loopbackLogin(client, parseList(options.scopes) || DEFAULT_SCOPES, {
+    port: parseNumber(options.port, 'port'),
+    addAccount: options['add-account'],
+    open: !options['no-browser']
+  });
+  return `Signed in as ${client.account?.email || 'unknown account'}\n`;
+}
+
+/**
+ * gcr logout
+ */
+async function logout(client) {
+  const email = client.account?.email;
+  await client.revoke();
+  return email ? `Signed out ${email}\n` : 'Signed out\n';
+}
+
+/**
+ * gcr accounts
+ */
+async function accounts(client, args, options) {
+  const list = await client.listAccounts();
+  return formatRows(list, [
+    { header: 'active', value: account => (account.id === client.account?.id ? '*' : '') },
+    { header: 'id', value: account => account.id },
+    { header: 'email', value: account => account.email },
+    { header: 'name', value: account => account.name }
+  ], options.format);
+}
+
+/**
+ * gcr accounts switch <accountId|email>
+ */
+async function switchAccount(client, args) {
+  const target = requireArg(args, 0, 'accountId');
+  const account = (await client.listAccounts()).find(item => item.id === target || item.email === target);
+  await client.switchAccount(account?.id ?? target);
+  return `Switched to ${account?.email || target}\n`;
+}
+
+/**
+ * Items of a listAll() result, warning on stderr when a guard cut the listing short
+ * @param {import('../src/api/resources.js').ListAllResult} result
+ * @param {string} noun - What was listed, for the warning
+ * @returns {Object[]}
+ */
+function listedItems({ items, pageCount, truncated }, noun) {
+  if (truncated) {
+    process.stderr.write(`Showing the first ${items.length} ${noun}; the listing stopped after ${pageCount} pages.\n`);
+  }
+  return items;
+}
+
+/**
+ * gcr courses list
+ */
+async function listCourses(client, args, options) {
+  const courses = listedItems(await client.courses.listAll({
+    teacherId: options.teacher,
+    studentId: options.student,
+    courseStates: parseList(options.state)
+  }), 'courses');
+  return formatRows(courses, COURSE_COLUMNS, options.format);
+}
+
+/**
+ * gcr courses get <courseId>
+ */
+async function getCourse(client, args, options) {
+  const course = await client.courses.get(requireArg(args, 0, 'courseId'));
+  return formatRows([course], COURSE_COLUMNS, options.format);
+}
+
+/**
+ * Parse the --role option
+ * @param {string} [value] - student, teacher or all
+ * @param {boolean} allowAll - Whether `all` is accepted
+ * @returns {string[]} Roster roles
+ */
+function parseRoles(value, allowAll) {
+  const role = (value || (allowAll ? 'all' : 'student')).toUpperCase();
+  if (allowAll && role === 'ALL') {
+    return Object.keys(ROSTER_ROLES);
+  }
+  if (!ROSTER_ROLES[role]) {
+    throw new UsageError(`--role must be student${allowAll ? ', teacher or all' : ' or teacher'}`);
+  }
+  return [role];
+}
+
+/**
+ * Read a text file named by --from
+ * @param {Object} options
+ * @param {string} hint - Expected file, for the error message
+ * @returns {Promise<string>}
+ */
+async function readInputFile(options, hint) {
+  if (!options.from) {
+    throw new UsageError(`Missing --from <${hint}>`);
+  }
+  try {
+    return await readFile(options.from, 'utf8');
+  } catch (error) {
+    throw new UsageError(`Cannot read ${options.from}: ${error.message}`);
+  }
+}
+
+/**
+ * gcr roster export <courseId> [--role student|teacher|all]
+ */
+async function exportRoster(client, args, options) {
+  const courseId = requireArg(args, 0, 'courseId');
+  const members = await fetchRoster(client, courseId, { roles: parseRoles(options.role, true) });
+  return formatRows(members, ROSTER_COLUMNS, options.format);
+}
+
+/**
+ * gcr roster import <courseId> --from <file.csv> [--role student|teacher] [--apply] [--remove-missing]
+ * Dry run unless --apply is given; members missing from the file are only removed with --remove-missing.
+ */
+async function importRoster(client, args, options) {
+  const courseId = requireArg(args, 0, 'courseId');
+  const { emails, invalid } = parseRosterCsv(await readInputFile(options, 'file.csv'));
+  for (const { row, value } of invalid) {
+    process.stderr.write(`Skipping row ${row}: not an email address: ${value || '(empty)'}\n`);
+  }
+
+  const dryRun = !options.apply;
+  const { diff, results } = await syncRoster(client, courseId, emails, {
+    role: parseRoles(options.role, false)[0],
+    dryRun,
+    remove: Boolean(options['remove-missing'])
+  });
+
+  const removing = options['remove-missing'] ? diff.toRemove.length : 0;
+  const failed = results.filter(result => result.status === 'failed').length;
+  process.stderr.write(dryRun
+    ? `Dry run: ${diff.toInvite.length} to invite, ${removing} to remove, ${diff.unchanged.length} unchanged. ` +
+      'Re-run with --apply to make these changes.\n'
+    : `Applied: ${diff.toInvite.length} invitations, ${removing} removals, ${failed} failed.\n`);
+  if (!options['remove-missing'] && diff.toRemove.length > 0) {
+    process.stderr.write(`${diff.toRemove.length} members are not in the file and were kept; ` +
+      'add --remove-missing to remove them.\n');
+  }
+  if (diff.unmatched.length > 0) {
+    process.stderr.write(`${diff.unmatched.length} members have no visible email and were left alone.\n`);
+  }
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+
+  return formatRows(results, ROSTER_RESULT_COLUMNS, options.format);
+}
+
+/**
+ * gcr coursework list <courseId>
+ */
+async function listCourseWork(client, args, options) {
+  const courseId = requireArg(args, 0, 'courseId');
+  const courseWork = listedItems(await client.courseWork.listAll(courseId, {
+    courseWorkStates: parseList(options.state)
+  }), 'course work items');
+  return formatRows(courseWork, COURSEWORK_COLUMNS, options.format);
+}
+
+/**
+ * gcr coursework create <courseId> --from <file.json>
+ * The file holds one CourseWork object or an array of them.
+ */
+async function createCourseWork(client, args, options) {
+  const courseId = requireArg(args, 0, 'courseId');
+  const text = await readInputFile(options, 'file.json');
+
+  let input;
+  try {
+    input = JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`Cannot parse ${options.from}: ${error.message}`);
+  }
+
+  const created = [];
+  for (const courseWork of [].concat(input)) {
+    created.push(await client.courseWork.create(courseId, courseWork));
+  }
+  return formatRows(created, COURSEWORK_COLUMNS, options.format);
+}
+
+/**
+ * gcr submissions list <courseId> <courseWorkId>
+ */
+async function listSubmissions(client, args, options) {
+  const courseId = requireArg(args, 0, 'courseId');
+  const courseWorkId = requireArg(args, 1, 'courseWorkId');
+  const submissions = listedItems(await client.studentSubmissions.listAll(courseId, courseWorkId, {
+    userId: options.user,
+    states: parseList(options.state)
+  }), 'submissions');
+  return formatRows(submissions, SUBMISSION_COLUMNS, options.format);
+}
+
+/**
+ * gcr submissions grade <courseId> <courseWorkId> <submissionId> [--draft <n>] [--assigned <n>] [--return]
+ */
+async function gradeSubmission(client, args, options) {
+  const courseId = requireArg(args, 0, 'courseId');
+  const courseWorkId = requireArg(args, 1, 'courseWorkId');
+  const id = requireArg(args, 2, 'submissionId');
+  const grades = {
+    draftGrade: parseNumber(options.draft, 'draft'),
+    assignedGrade: parseNumber(options.assigned, 'assigned')
+  };
+  if (grades.draftGrade === undefined && grades.assignedGrade === undefined) {
+    throw new UsageError('Give --draft <grade> and/or --assigned <grade>');
+  }
+
+  const submission = await client.studentSubmissions.grade(courseId, courseWorkId, id, grades);
+  if (options.return) {
+    await client.studentSubmissions.return(courseId, courseWorkId, id);
+    submission.state = 'RETURNED';
+  }
+  return formatRows([submission], SUBMISSION_COLUMNS, options.format);
+}
+
+/**
+ * Commands by name; `usage` is shown by `gcr help`
+ * @type {Object<string, {usage: string, run: function(GoogleClassroomClient, string[], Object): Promise<string>}>}
+ */
+export const COMMANDS = {
+  'login': {
+    usage: 'login --client-id <id> [--client-secret <secret>] [--scopes <list>] [--port <n>] [--add-account] [--no-browser]',
+    run: login
+  },
+  'logout': { usage: 'logout', run: logout },
+  'accounts': { usage: 'accounts', run: accounts },
+  'accounts switch': { usage: 'accounts switch <accountId|email>', run: switchAccount },
+  'courses list': { usage: 'courses list [--teacher <id>] [--student <id>] [--state <list>]', run: listCourses },
+  'courses get': { usage: 'courses get <courseId>', run: getCourse },
+  'roster export': { usage: 'roster export <courseId> [--role student|teacher|all]', run: exportRoster },
+  'roster import': {
+    usage: 'roster import <courseId> --from <file.csv> [--role student|teacher] [--apply] [--remove-missing]',
+    run: importRoster
+  },
+  'coursework list': { usage: 'coursework list <courseId> [--state <list>]', run: listCourseWork },
+  'coursework create': { usage: 'coursework create <courseId> --from <file.json>', run: createCourseWork },
+  'submissions list': {
+    usage: 'submissions list <courseId> <courseWorkId|-> [--user <id>] [--state <list>]',
+    run: listSubmissions
+  },
+  'submissions grade': {
+    usage: 'submissions grade <courseId> <courseWorkId> <submissionId> [--draft <n>] [--assigned <n>] [--return]',
+    run: gradeSubmission
+  }
+};
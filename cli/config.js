@@ -0,0 +1,64 @@
+/**
+ * CLI configuration and token file locations
+ *
+ * Everything lives in one per-user directory: `$GCR_CONFIG_DIR`, else
+ * `%APPDATA%\gcr` on Windows and `$XDG_CONFIG_HOME/gcr` (default
+ * `~/.config/gcr`) elsewhere.
+ *
+ *   config.json  - OAuth client ID and secret saved by `gcr login`
+ *   tokens.json  - Tokens of the signed-in accounts (owner-only permissions)
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+
+const CONFIG_FILE_NAME = 'config.json';
+const TOKEN_FILE_NAME = 'tokens.json';
+
+/**
+ * Directory holding the CLI's files
+ * @returns {string}
+ */
+export function configDir() {
+  if (process.env.GCR_CONFIG_DIR) {
+    return process.env.GCR_CONFIG_DIR;
+  }
+  if (process.platform === 'win32' && process.env.APPDATA) {
+    return join(process.env.APPDATA, 'gcr');
+  }
+  return join(process.env.XDG_CONFIG_HOME || join(homedir(), '.config'), 'gcr');
+}
+
+/**
+ * Path of the token file
+ * @returns {string}
+ */
+export function tokenFile() {
+  return join(configDir(), TOKEN_FILE_NAME);
+}
+
+/**
+ * Read the saved configuration
+ * @returns {Promise<{clientId?: string, clientSecret?: string}>} Empty before the first login
+ */
+export async function readConfig() {
+  try {
+    return JSON.parse(await readFile(join(configDir(), CONFIG_FILE_NAME), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
+
+/**
+ * Save the configuration (owner-only, it may hold a client secret)
+ * @param {Object} config
+ * @returns {Promise<void>}
+ */
+export async function writeConfig(config) {
+  await mkdir(configDir(), { recursive: true, mode: 0o700 });
+  await writeFile(join(configDir(), CONFIG_FILE_NAME), `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+}
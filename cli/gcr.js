@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * gcr - Google Classroom from the command line
+ *
+ *   gcr login --client-id <id>
+ *   gcr courses list --format csv > courses.csv
+ *
+ * Run `gcr help` for all commands. Exit codes: 0 on success, 1 when a
+ * request failed, 2 for invalid usage.
+ */
+
+import { parseArgs } from 'node:util';
+import { AuthError, GoogleClassroomError } from '../src/api/node.js';
+import { COMMANDS, UsageError, createCliClient } from './commands.js';
+import { FORMATS } from './output.js';
+
+const OPTIONS = {
+  'format': { type: 'string', short: 'f', default: 'table' },
+  'help': { type: 'boolean', short: 'h' },
+  'client-id': { type: 'string' },
+  'client-secret': { type: 'string' },
+  'key-file': { type: 'string' },
+  'subject': { type: 'string' },
+  'scopes': { type: 'string' },
+  'port': { type: 'string' },
+  'add-account': { type: 'boolean' },
+  'no-browser': { type: 'boolean' },
+  'teacher': { type: 'string' },
+  'student': { type: 'string' },
+  'user': { type: 'string' },
+  'state': { type: 'string' },
+  'from': { type: 'string' },
+  'role': { type: 'string' },
+  'apply': { type: 'boolean' },
+  'remove-missing': { type: 'boolean' },
+  'draft': { type: 'string' },
+  'assigned': { type: 'string' },
+  'return': { type: 'boolean' }
+};
+
+/**
+ * Usage text listing every command
+ * @returns {string}
+ */
+function usage() {
+  return [
+    'Usage: gcr <command> [options]',
+    '',
+    'Commands:',
+    ...Object.values(COMMANDS).map(command => `  gcr ${command.usage}`),
+    '',
+    'Options:',
+    ...[
+      [`-f, --format <${FORMATS.join('|')}>`, 'Output format (default: table)'],
+      ['--key-file <file>', 'Use a service account key (or GCR_KEY_FILE)'],
+      ['--subject <email>', 'User the service account acts as (or GCR_SUBJECT)'],
+      ['-h, --help', 'Show this help']
+    ].map(([flags, description]) => `  ${flags.padEnd(30)}  ${description}`),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Find the command named by the leading positionals
+ * @param {string[]} positionals
+ * @returns {{command: Object, args: string[]}|null}
+ */
+function findCommand(positionals) {
+  const [group, action] = positionals;
+  if (COMMANDS[`${group} ${action}`]) {
+    return { command: COMMANDS[`${group} ${action}`], args: positionals.slice(2) };
+  }
+  if (COMMANDS[group]) {
+    return { command: COMMANDS[group], args: positionals.slice(1) };
+  }
+  return null;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after `gcr`
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv) {
+  let client = null;
+
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    const { values: options, positionals } = parsed;
+
+    if (options.help || positionals.length === 0 || positionals[0] === 'help') {
+      process.stdout.write(usage());
+      return 0;
+    }
+    if (!FORMATS.includes(options.format)) {
+      throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+    }
+
+    const match = findCommand(positionals);
+    if (!match) {
+      throw new UsageError(`Unknown command: ${positionals.join(' ')}`);
+    }
+
+    client = await createCliClient(options);
+    process.stdout.write(await match.command.run(client, match.args, options));
+    // Commands with partial failures (e.g. roster import) set the exit code themselves
+    return process.exitCode ?? 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      process.stderr.write(`gcr: ${error.message}\nRun \`gcr help\` for usage.\n`);
+      return 2;
+    }
+    if (error instanceof AuthError && !client?.credentials) {
+      process.stderr.write(`gcr: ${error.message}\nRun \`gcr login\` to sign in.\n`);
+      return 1;
+    }
+    if (error instanceof GoogleClassroomError) {
+      process.stderr.write(`gcr: ${error.message}\n`);
+      return 1;
+    }
+    throw error;
+  } finally {
+    client?.close();
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
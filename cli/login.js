@@ -0,0 +1,102 @@
+/**
+ * Loopback-redirect OAuth flow for the CLI (RFC 8252)
+ *
+ * A one-shot HTTP server on 127.0.0.1 receives Google's redirect. The OAuth
+ * client must be of type "Desktop app", for which Google accepts any
+ * loopback port without registering it.
+ */
+
+import http from 'node:http';
+import { spawn } from 'node:child_process';
+import { AuthError } from '../src/api/node.js';
+
+// Give up if the browser never comes back
+const LOGIN_TIMEOUT_MS = 300000;
+
+const DONE_PAGE = '<!doctype html><title>gcr</title><p>Signed in. You can close this window and return to the terminal.</p>';
+const FAILED_PAGE = '<!doctype html><title>gcr</title><p>Sign-in failed. Check the terminal for details.</p>';
+
+/**
+ * Try to open a URL in the default browser; failures are ignored
+ * @param {string} url
+ */
+function openBrowser(url) {
+  const [command, args] = {
+    darwin: ['open', [url]],
+    win32: ['cmd', ['/c', 'start', '""', url.replace(/&/g, '^&')]]
+  }[process.platform] || ['xdg-open', [url]];
+
+  try {
+    const child = spawn(command, args, { stdio: 'ignore', detached: true });
+    child.on('error', () => {});
+    child.unref();
+  } catch {
+    // The URL is printed as well
+  }
+}
+
+/**
+ * Wait for the first request carrying OAuth callback parameters
+ * @param {http.Server} server - Listening loopback server
+ * @returns {Promise<URLSearchParams>}
+ */
+function waitForRedirect(server) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(new AuthError('Timed out waiting for the browser sign-in', { reason: 'login_timeout' }));
+    }, LOGIN_TIMEOUT_MS);
+
+    server.on('request', (req, res) => {
+      const params = new URL(req.url, 'http://127.0.0.1').searchParams;
+      if (!params.has('code') && !params.has('error')) {
+        // e.g. /favicon.ico
+        res.writeHead(404).end();
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(params.has('code') ? DONE_PAGE : FAILED_PAGE);
+      clearTimeout(timeout);
+      resolve(params);
+    });
+  });
+}
+
+/**
+ * Sign in through the browser and store the tokens with the client's storage adapter
+ * @param {import('../src/api/node.js').GoogleClassroomClient} client
+ * @param {string[]} scopes - OAuth scopes to request
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - Loopback port; 0 picks a free one
+ * @param {boolean} [options.addAccount=false] - Sign in another account
+ * @param {boolean} [options.open=true] - Open the browser automatically
+ * @param {function(string): void} [options.log] - Prints instructions
+ * @returns {Promise<Object>} Token response
+ */
+export async function loopbackLogin(client, scopes, {
+  port = 0,
+  addAccount = false,
+  open = true,
+  log = message => console.error(message)
+} = {}) {
+  const server = http.createServer();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  try {
+    client.redirectUri = `http://127.0.0.1:${server.address().port}`;
+    const request = await client.createAuthorizationRequest(scopes, { addAccount });
+
+    log(`Open this URL to sign in:\n\n  ${request.url}\n`);
+    if (open) {
+      openBrowser(request.url);
+    }
+
+    return await client.completeAuthorization(await waitForRedirect(server), request);
+  } finally {
+    server.close();
+    server.closeAllConnections?.();
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Output formats of the CLI
+ *
+ * `table` is for people, `json` prints the full API objects and `csv` the
+ * same columns as the table, for spreadsheets and scripts.
+ */
+
+import { toCsv } from '../src/api/csv.js';
+
+export const FORMATS = ['table', 'json', 'csv'];
+
+/**
+ * Render rows as an aligned plain-text table
+ * @param {Object[]} rows
+ * @param {import('../src/api/csv.js').CsvColumn[]} columns
+ * @returns {string}
+ */
+function toTable(rows, columns) {
+  if (rows.length === 0) {
+    return '(no results)\n';
+  }
+
+  const cells = rows.map(row => columns.map(column => {
+    const value = column.value(row);
+    return value === null || value === undefined ? '' : String(value).replace(/\s+/g, ' ');
+  }));
+  const widths = columns.map((column, index) =>
+    Math.max(column.header.length, ...cells.map(line => line[index].length)));
+
+  const formatLine = line => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+  return [
+    formatLine(columns.map(column => column.header.toUpperCase())),
+    ...cells.map(formatLine)
+  ].join('\n') + '\n';
+}
+
+/**
+ * Render rows in the requested format
+ * @param {Object[]} rows - API objects
+ * @param {import('../src/api/csv.js').CsvColumn[]} columns - Columns for table and CSV output
+ * @param {string} format - One of FORMATS
+ * @returns {string}
+ */
+export function formatRows(rows, columns, format) {
+  switch (format) {
+    case 'json':
+      return `${JSON.stringify(rows, null, 2)}\n`;
+    case 'csv':
+      return toCsv(rows, columns);
+    default:
+      return toTable(rows, columns);
+  }
+}
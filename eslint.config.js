@@ -26,4 +26,10 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['server/**/*.js', 'cli/**/*.js', 'src/api/node.js', 'src/api/fileStorage.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
@@ -0,0 +1,424 @@
+import http from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import axios from 'axios';
+import { createEndpoints } from '../src/api/endpoints.js';
+import { SessionStore } from './sessionStore.js';
+
+// Cookie names
+const SESSION_COOKIE = 'gcr_session';
+const STATE_COOKIE = 'gcr_oauth_state';
+
+// Refresh this long before the access token actually expires
+const EXPIRY_BUFFER_MS = 60000;
+
+// Pending logins expire after 10 minutes
+const STATE_TTL_MS = 600000;
+
+/**
+ * Parse the Cookie header into a plain object
+ * @param {string} [header]
+ * @returns {Object<string, string>}
+ */
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Serialize a Set-Cookie header value
+ * @param {string} name
+ * @param {string} value
+ * @param {Object} options
+ * @returns {string}
+ */
+function serializeCookie(name, value, { maxAge, secure }) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, 'Path=/', 'HttpOnly', 'SameSite=Lax'];
+  if (maxAge !== undefined) {
+    parts.push(`Max-Age=${maxAge}`);
+  }
+  if (secure) {
+    parts.push('Secure');
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Read the full request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Extract a readable message from a failed Google OAuth call
+ */
+function oauthErrorMessage(error) {
+  return error.response?.data?.error_description ||
+    error.response?.data?.error ||
+    error.message;
+}
+
+/**
+ * A session whose refresh token Google rejected (or that has none); the
+ * browser has to authorize again
+ */
+class ReauthorizationRequiredError extends Error {}
+
+/**
+ * Create the token-broker HTTP server
+ *
+ * The broker owns the OAuth client secret. It runs the authorization code
+ * exchange and token refresh on behalf of the browser, keeps refresh tokens in
+ * a server-side SessionStore and identifies browsers by an HTTP-only session
+ * cookie. Google Classroom API calls are proxied through `/api/*`.
+ *
+ * @param {Object} config - Broker configuration
+ * @param {string} config.clientId - OAuth 2.0 Client ID
+ * @param {string} config.clientSecret - OAuth 2.0 Client Secret
+ * @param {string} config.publicUrl - Externally reachable broker URL (redirect URI base)
+ * @param {string} config.appOrigin - Origin of the browser app allowed to use the broker
+ * @param {SessionStore} [config.sessions] - Session store
+ * @param {string} [config.baseUrl] - Serve Google's endpoints from this base URL instead
+ *   (e.g. the mock server, see src/api/endpoints.js)
+ * @returns {http.Server}
+ */
+export function createBrokerServer({
+  clientId,
+  clientSecret,
+  publicUrl,
+  appOrigin,
+  sessions = new SessionStore(),
+  baseUrl = null
+}) {
+  const endpoints = createEndpoints(baseUrl);
+  const redirectUri = `${publicUrl}/auth/callback`;
+  const secureCookies = publicUrl.startsWith('https://');
+  const pendingStates = new Map();
+
+  /**
+   * Exchange or refresh tokens at Google's token endpoint
+   */
+  async function requestTokens(params) {
+    const response = await axios.post(endpoints.token, {
+      ...params,
+      client_id: clientId,
+      client_secret: clientSecret
+    }, {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+    return response.data;
+  }
+
+  /**
+   * Refresh a session's access token
+   * Destroys the session if Google rejects its refresh token (invalid_grant);
+   * network and other upstream failures keep it for the next attempt.
+   */
+  async function refreshSession(sessionId, session) {
+    if (!session.refreshToken) {
+      sessions.destroy(sessionId);
+      throw new ReauthorizationRequiredError('No refresh token available. Please re-authorize.');
+    }
+
+    try {
+      const tokens = await requestTokens({
+        refresh_token: session.refreshToken,
+        grant_type: 'refresh_token'
+      });
+      sessions.update(sessionId, tokens);
+    } catch (error) {
+      if (error.response?.data?.error === 'invalid_grant') {
+        sessions.destroy(sessionId);
+        throw new ReauthorizationRequiredError(`Token refresh failed: ${oauthErrorMessage(error).replace(/\.$/, '')}. Please re-authorize.`);
+      }
+      throw new Error(`Token refresh failed: ${oauthErrorMessage(error)}`, { cause: error });
+    }
+  }
+
+  /**
+   * Only redirect back to pages of the configured app
+   */
+  function safeReturnUrl(returnTo) {
+    try {
+      const url = new URL(returnTo, appOrigin);
+      return url.origin === appOrigin ? url.toString() : appOrigin;
+    } catch {
+      return appOrigin;
+    }
+  }
+
+  async function handleLogin(req, res, url) {
+    // Forget logins that were never completed
+    for (const [pendingState, pending] of pendingStates) {
+      if (Date.now() - pending.createdAt > STATE_TTL_MS) {
+        pendingStates.delete(pendingState);
+      }
+    }
+
+    const state = randomBytes(32).toString('hex');
+    pendingStates.set(state, {
+      returnTo: safeReturnUrl(url.searchParams.get('return_to') || appOrigin),
+      createdAt: Date.now()
+    });
+
+    const params = new URLSearchParams({
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      response_type: 'code',
+      scope: url.searchParams.get('scope') || '',
+      state: state,
+      access_type: 'offline', // Request refresh token
+      include_granted_scopes: 'true',
+      prompt: 'consent' // Force consent to get refresh token
+    });
+
+    res.writeHead(302, {
+      Location: `${endpoints.authorize}?${params.toString()}`,
+      'Set-Cookie': serializeCookie(STATE_COOKIE, state, { maxAge: STATE_TTL_MS / 1000, secure: secureCookies })
+    });
+    res.end();
+  }
+
+  async function handleCallback(req, res, url) {
+    const code = url.searchParams.get('code');
+    const state = url.searchParams.get('state');
+    const cookies = parseCookies(req.headers.cookie);
+    const pending = pendingStates.get(state);
+
+    // The state must match both the pending login and the browser that started it
+    if (!pending || cookies[STATE_COOKIE] !== state) {
+      sendJson(res, 400, { error: 'Invalid state parameter - possible CSRF attack' });
+      return;
+    }
+    pendingStates.delete(state);
+
+    if (!code) {
+      sendJson(res, 400, { error: url.searchParams.get('error') || 'Missing authorization code' });
+      return;
+    }
+
+    try {
+      const tokens = await requestTokens({
+        code: code,
+        redirect_uri: redirectUri,
+        grant_type: 'authorization_code'
+      });
+
+      const previous = cookies[SESSION_COOKIE];
+      if (previous) {
+        sessions.destroy(previous);
+      }
+      const sessionId = sessions.create(tokens);
+
+      res.writeHead(302, {
+        Location: pending.returnTo,
+        'Set-Cookie': [
+          serializeCookie(SESSION_COOKIE, sessionId, { secure: secureCookies }),
+          serializeCookie(STATE_COOKIE, '', { maxAge: 0, secure: secureCookies })
+        ]
+      });
+      res.end();
+    } catch (error) {
+      sendJson(res, 502, { error: `Token exchange failed: ${oauthErrorMessage(error)}` });
+    }
+  }
+
+  function handleSession(req, res, sessionId, session) {
+    sendJson(res, 200, {
+      authenticated: !!session,
+      expiresAt: session?.expiresAt ?? null,
+      scope: session?.scope ?? null
+    });
+  }
+
+  async function handleRefresh(req, res, sessionId, session) {
+    if (!session) {
+      sendJson(res, 401, { error: 'No broker session. Please authorize first.' });
+      return;
+    }
+
+    try {
+      await refreshSession(sessionId, session);
+      sendJson(res, 200, { expiresAt: sessions.get(sessionId).expiresAt });
+    } catch (error) {
+      sendJson(res, error instanceof ReauthorizationRequiredError ? 401 : 502, { error: error.message });
+    }
+  }
+
+  function handleLogout(req, res, sessionId) {
+    if (sessionId) {
+      sessions.destroy(sessionId);
+    }
+    sendJson(res, 200, { ok: true }, {
+      'Set-Cookie': serializeCookie(SESSION_COOKIE, '', { maxAge: 0, secure: secureCookies })
+    });
+  }
+
+  async function handleRevoke(req, res, sessionId, session) {
+    const token = session?.refreshToken || session?.accessToken;
+    if (token) {
+      try {
+        await axios.post(endpoints.revoke, { token }, {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          }
+        });
+      } catch (error) {
+        // 400 means the token is already invalid; anything else leaves the grant in place
+        if (error.response?.status !== 400) {
+          sendJson(res, 502, { error: `Token revocation failed: ${error.message}` });
+          return;
+        }
+      }
+    }
+
+    handleLogout(req, res, sessionId);
+  }
+
+  async function handleProxy(req, res, url, sessionId, session) {
+    if (!session) {
+      sendJson(res, 401, { error: { code: 401, message: 'No broker session. Please authorize first.' } });
+      return;
+    }
+
+    const body = await readBody(req);
+    const target = `${endpoints.classroom}${url.pathname.slice('/api'.length)}${url.search}`;
+
+    const send = () => axios({
+      url: target,
+      method: req.method,
+      data: body.length ? body : undefined,
+      headers: {
+        'Authorization': `Bearer ${session.accessToken}`,
+        'Content-Type': req.headers['content-type'] || 'application/json',
+        ...(req.headers['if-none-match'] ? { 'If-None-Match': req.headers['if-none-match'] } : {})
+      },
+      responseType: 'arraybuffer',
+      transformRequest: [data => data],
+      validateStatus: () => true
+    });
+
+    try {
+      if (Date.now() >= session.expiresAt - EXPIRY_BUFFER_MS) {
+        await refreshSession(sessionId, session);
+      }
+
+      let response = await send();
+      if (response.status === 401) {
+        // Token might have been revoked early, try to refresh once
+        await refreshSession(sessionId, session);
+        response = await send();
+      }
+
+      res.writeHead(response.status, {
+        'Content-Type': response.headers['content-type'] || 'application/json',
+        // Pass ETags through for the client's response cache
+        ...(response.headers.etag ? { 'ETag': response.headers.etag } : {}),
+        // and Retry-After for its retry backoff
+        ...(response.headers['retry-after'] ? { 'Retry-After': response.headers['retry-after'] } : {})
+      });
+      res.end(Buffer.from(response.data));
+    } catch (error) {
+      if (error instanceof ReauthorizationRequiredError) {
+        sendJson(res, 401, { error: { code: 401, message: error.message } });
+      } else {
+        // Google could not be reached or the token endpoint failed; the session is still valid
+        sendJson(res, 502, { error: { code: 502, message: `Upstream request failed: ${error.message}` } });
+      }
+    }
+  }
+
+  return http.createServer(async (req, res) => {
+    // CORS for the browser app; cookies require an explicit origin
+    if (req.headers.origin === appOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', appOrigin);
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+      res.setHeader('Vary', 'Origin');
+      res.setHeader('Access-Control-Expose-Headers', 'ETag, Retry-After');
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE',
+        'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || 'Content-Type'
+      });
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, publicUrl);
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = sessions.get(sessionId);
+
+    try {
+      if (req.method === 'GET' && url.pathname === '/auth/login') {
+        await handleLogin(req, res, url);
+      } else if (req.method === 'GET' && url.pathname === '/auth/callback') {
+        await handleCallback(req, res, url);
+      } else if (req.method === 'GET' && url.pathname === '/auth/session') {
+        handleSession(req, res, sessionId, session);
+      } else if (req.method === 'POST' && url.pathname === '/auth/refresh') {
+        await handleRefresh(req, res, sessionId, session);
+      } else if (req.method === 'POST' && url.pathname === '/auth/logout') {
+        handleLogout(req, res, sessionId);
+      } else if (req.method === 'POST' && url.pathname === '/auth/revoke') {
+        await handleRevoke(req, res, sessionId, session);
+      } else if (url.pathname.startsWith('/api/')) {
+        await handleProxy(req, res, url, sessionId, session);
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      console.error('Broker error:', error);
+      sendJson(res, 500, { error: 'Internal broker error' });
+    }
+  });
+}
+
+// Start the broker when run directly: `npm run broker`
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = parseInt(process.env.BROKER_PORT || '8787', 10);
+  const clientId = process.env.GOOGLE_CLIENT_ID;
+  const clientSecret = process.env.GOOGLE_CLIENT_SECRET;
+
+  if (!clientId || !clientSecret) {
+    console.error('GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET must be set');
+    process.exit(1);
+  }
+
+  const server = createBrokerServer({
+    clientId,
+    clientSecret,
+    publicUrl: process.env.BROKER_PUBLIC_URL || `http://localhost:${port}`,
+    appOrigin: process.env.APP_ORIGIN || 'http://localhost:5173',
+    sessions: new SessionStore({ filePath: process.env.BROKER_SESSION_FILE || null }),
+    baseUrl: process.env.GCR_BASE_URL || null
+  });
+
+  server.listen(port, () => {
+    console.log(`Token broker listening on http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,117 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { SCOPES } from '../src/api/scopes.js';
+import { createBrokerServer } from './broker.js';
+import { MockGoogle, createMockGoogleServer } from './mockGoogle.js';
+import { SessionStore } from './sessionStore.js';
+
+const APP_ORIGIN = 'http://localhost:5173';
+
+/**
+ * Listen on an ephemeral port
+ * @returns {Promise<string>} Origin of the server
+ */
+async function listen(server) {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+describe('token broker', () => {
+  let mock;
+  let mockServer;
+  let sessions;
+  let broker;
+  let brokerUrl;
+
+  beforeEach(async () => {
+    mock = new MockGoogle({ clientId: 'broker-client', clientSecret: 'broker-secret' });
+    mockServer = createMockGoogleServer(mock);
+    const baseUrl = await listen(mockServer);
+
+    sessions = new SessionStore();
+    broker = createBrokerServer({
+      clientId: 'broker-client',
+      clientSecret: 'broker-secret',
+      publicUrl: 'http://127.0.0.1',
+      appOrigin: APP_ORIGIN,
+      sessions,
+      baseUrl
+    });
+    brokerUrl = await listen(broker);
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => broker.close(resolve));
+    if (mockServer.listening) {
+      await new Promise(resolve => mockServer.close(resolve));
+    }
+  });
+
+  /**
+   * Broker session holding tokens the mock issued to a teacher
+   * @returns {string} Session ID
+   */
+  function signIn() {
+    return sessions.create(mock.issueTokens('teacher@school.example', [SCOPES.COURSES_READONLY], { clientId: 'broker-client' }));
+  }
+
+  /**
+   * Request a broker path with the session cookie
+   */
+  function request(path, sessionId, init = {}) {
+    return fetch(`${brokerUrl}${path}`, {
+      ...init,
+      headers: { Cookie: `gcr_session=${sessionId}`, ...init.headers }
+    });
+  }
+
+  it('passes the upstream response through', async () => {
+    const sessionId = signIn();
+
+    const response = await request('/api/v1/courses/300', sessionId);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toMatch(/^application\/json/);
+    expect(response.headers.get('etag')).toBeTruthy();
+    expect(await response.json()).toMatchObject({ id: '300', name: 'Algebra I' });
+    expect(mock.requests.at(-1)).toMatchObject({ method: 'GET', path: '/v1/courses/300' });
+  });
+
+  it('forwards Retry-After and exposes it to the app', async () => {
+    const sessionId = signIn();
+    mock.injectFault({ status: 429, path: '/v1/courses', retryAfter: 7 });
+
+    const response = await request('/api/v1/courses', sessionId, { headers: { Origin: APP_ORIGIN } });
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('retry-after')).toBe('7');
+    expect(response.headers.get('access-control-expose-headers')).toBe('ETag, Retry-After');
+  });
+
+  it('answers 502 and keeps the session when Google cannot be reached', async () => {
+    const sessionId = signIn();
+    await new Promise(resolve => mockServer.close(resolve));
+
+    const response = await request('/api/v1/courses', sessionId);
+
+    expect(response.status).toBe(502);
+    const { error } = await response.json();
+    expect(error.code).toBe(502);
+    expect(error.message).toMatch(/^Upstream request failed: /);
+    expect(sessions.get(sessionId)).not.toBeNull();
+  });
+
+  it('answers 401 and drops the session when the refresh token is rejected', async () => {
+    const sessionId = sessions.create({ access_token: 'expired', refresh_token: 'revoked', expires_in: 0 });
+
+    const response = await request('/api/v1/courses', sessionId);
+
+    expect(response.status).toBe(401);
+    expect(await response.json()).toEqual({
+      error: { code: 401, message: 'Token refresh failed: Token has been expired or revoked. Please re-authorize.' }
+    });
+    expect(sessions.get(sessionId)).toBeNull();
+    // The API itself was never called
+    expect(mock.requests.map(entry => entry.path)).toEqual(['/token']);
+  });
+});
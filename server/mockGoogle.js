@@ -0,0 +1,1251 @@
+import http from 'node:http';
+import { createHash, randomBytes } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { RESOURCE_SCOPES, SCOPES, findMissingScopes } from '../src/api/scopes.js';
+
+// Lifetimes of issued credentials
+const ACCESS_TOKEN_TTL_SECONDS = 3600;
+const CODE_TTL_MS = 600000;
+
+// Page size used when a list request does not ask for one (and the upper bound)
+const DEFAULT_MAX_PAGE_SIZE = 20;
+
+// Classroom rejects batch requests with more calls
+const MAX_BATCH_CALLS = 50;
+
+const JWT_BEARER_GRANT = 'urn:ietf:params:oauth:grant-type:jwt-bearer';
+
+// Google API status names of the HTTP statuses the mock returns
+const STATUS_NAMES = {
+  400: 'INVALID_ARGUMENT',
+  401: 'UNAUTHENTICATED',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  409: 'ALREADY_EXISTS',
+  429: 'RESOURCE_EXHAUSTED',
+  500: 'INTERNAL',
+  503: 'UNAVAILABLE'
+};
+
+// Error reasons reported with injected faults
+const FAULT_REASONS = {
+  403: 'PERMISSION_DENIED',
+  429: 'RATE_LIMIT_EXCEEDED'
+};
+
+/**
+ * Data the mock starts with: one teacher, three students, two courses
+ */
+export const DEFAULT_SEED = {
+  users: [
+    { id: '100', email: 'teacher@school.example', name: 'Ada Lovelace' },
+    { id: '201', email: 'grace@school.example', name: 'Grace Hopper' },
+    { id: '202', email: 'alan@school.example', name: 'Alan Turing' },
+    { id: '203', email: 'katherine@school.example', name: 'Katherine Johnson' }
+  ],
+  courses: [
+    {
+      id: '300',
+      name: 'Algebra I',
+      section: 'Period 1',
+      ownerId: '100',
+      teachers: ['100'],
+      students: ['201', '202', '203'],
+      courseWork: [
+        {
+          id: '400',
+          title: 'Linear equations',
+          maxPoints: 10,
+          dueDate: { year: 2025, month: 9, day: 15 },
+          submissions: [
+            { userId: '201', state: 'RETURNED', assignedGrade: 9 },
+            { userId: '202', state: 'TURNED_IN', draftGrade: 7, late: true }
+          ]
+        },
+        {
+          id: '401',
+          title: 'Quadratics quiz',
+          maxPoints: 20,
+          dueDate: { year: 2030, month: 1, day: 31 },
+          dueTime: { hours: 17, minutes: 0 }
+        }
+      ]
+    },
+    {
+      id: '301',
+      name: 'Biology',
+      section: 'Period 3',
+      ownerId: '100',
+      courseState: 'ARCHIVED',
+      teachers: ['100'],
+      students: ['201']
+    }
+  ]
+};
+
+/**
+ * Error answered with Google's JSON error format
+ */
+class MockApiError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} message
+   * @param {string} [reason] - ErrorInfo reason (e.g. 'ACCESS_TOKEN_SCOPE_INSUFFICIENT')
+   */
+  constructor(status, message, reason = null) {
+    super(message);
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Read the full request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<string>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Send an error in Google's API format
+ */
+function sendApiError(res, error, headers = {}) {
+  sendJson(res, error.status, apiErrorBody(error), headers);
+}
+
+/**
+ * Body of an error in Google's API format
+ * @param {{status: number, message: string, reason?: string}} error
+ * @returns {Object}
+ */
+function apiErrorBody({ status, message, reason }) {
+  return {
+    error: {
+      code: status,
+      message,
+      status: STATUS_NAMES[status] || 'UNKNOWN',
+      ...(reason ? {
+        details: [{ '@type': 'type.googleapis.com/google.rpc.ErrorInfo', reason, domain: 'googleapis.com' }]
+      } : {})
+    }
+  };
+}
+
+/**
+ * Response of a call that failed with an API error
+ * @param {{status: number, message: string, reason?: string}} error
+ * @param {Object} [headers]
+ * @returns {{status: number, headers: Object, body: string}}
+ */
+function apiErrorResponse(error, headers = {}) {
+  return {
+    status: error.status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(apiErrorBody(error))
+  };
+}
+
+/**
+ * Split an HTTP message into its header block and body
+ * @param {string} message
+ * @returns {{head: string, body: string}}
+ */
+function splitMessage(message) {
+  const match = /\r?\n\r?\n/.exec(message);
+  if (!match) {
+    return { head: message, body: '' };
+  }
+  return { head: message.slice(0, match.index), body: message.slice(match.index + match[0].length) };
+}
+
+/**
+ * Parse "Name: value" lines into an object with lower-cased names
+ * @param {string[]} lines
+ * @returns {Object<string, string>}
+ */
+function parseHeaderLines(lines) {
+  const headers = {};
+  for (const line of lines) {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+  }
+  return headers;
+}
+
+/**
+ * Parse the calls of a multipart/mixed batch request body
+ * @param {string} body
+ * @param {string} boundary
+ * @returns {Array<{contentId: string|null, method: string, target: string, headers: Object, body: string}>}
+ */
+function parseBatchRequest(body, boundary) {
+  return body
+    .split(`--${boundary}`)
+    .slice(1)
+    .filter(part => !part.startsWith('--'))
+    .map(part => {
+      const outer = splitMessage(part.replace(/^\r?\n/, ''));
+      const inner = splitMessage(outer.body);
+      const [requestLine, ...headerLines] = inner.head.split(/\r?\n/);
+      const [method = '', target = '/'] = requestLine.trim().split(' ');
+      return {
+        contentId: parseHeaderLines(outer.head.split(/\r?\n/))['content-id']?.replace(/^<|>$/g, '') || null,
+        method: method.toUpperCase(),
+        target,
+        headers: parseHeaderLines(headerLines),
+        body: inner.body.trim()
+      };
+    });
+}
+
+/**
+ * Send an error in the OAuth format (RFC 6749 section 5.2)
+ */
+function sendOAuthError(res, status, error, description) {
+  sendJson(res, status, { error, error_description: description });
+}
+
+/**
+ * Random opaque credential with a recognisable prefix
+ * @param {string} prefix
+ * @returns {string}
+ */
+function randomToken(prefix) {
+  return `${prefix}${randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Decode a JWT without verifying it
+ * @param {string} token
+ * @returns {Object|null} Payload, or null if malformed
+ */
+function decodeJwt(token) {
+  try {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Unsigned JWT (alg none); clients only read its payload
+ * @param {Object} payload
+ * @returns {string}
+ */
+function encodeJwt(payload) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.`;
+}
+
+/**
+ * Parse a form-encoded or JSON request body
+ * @param {string} body
+ * @param {string} [contentType]
+ * @returns {Object<string, string>}
+ */
+function parseForm(body, contentType = '') {
+  if (contentType.includes('application/json')) {
+    return body ? JSON.parse(body) : {};
+  }
+  return Object.fromEntries(new URLSearchParams(body));
+}
+
+/**
+ * Due date and time of course work, or null without a due date
+ * @param {Object} work
+ * @returns {number|null} Milliseconds since the epoch
+ */
+function dueTime(work) {
+  if (!work.dueDate) {
+    return null;
+  }
+  const { year, month, day } = work.dueDate;
+  const { hours = 23, minutes = 59 } = work.dueTime || {};
+  return Date.UTC(year, month - 1, day, hours, minutes);
+}
+
+/**
+ * Stateful stand-in for Google's OAuth endpoints and a subset of Classroom v1
+ *
+ * Serves the same paths as Google under one origin, so a client created with
+ * `baseUrl` (see src/api/endpoints.js) runs entirely against it:
+ *
+ * - `GET /o/oauth2/v2/auth` approves at once as `user` (or the login_hint
+ *   account) and redirects back with a code; `denyConsent` answers access_denied
+ * - `POST /token` exchanges codes (checking redirect_uri and PKCE), refresh
+ *   tokens and service account assertions (signatures are not verified)
+ * - `POST /revoke` and `GET /v1/userinfo`
+ * - courses, students, teachers, invitations, courseWork and
+ *   studentSubmissions, with paging, ETags, scope checks (403), expired or
+ *   revoked tokens (401) and teacher-only actions
+ * - `POST /batch` with up to 50 of the Classroom calls above as
+ *   multipart/mixed parts, each answered on its own
+ *
+ * Other failures, such as 429 or 503, are injected with injectFault().
+ */
+export class MockGoogle {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.seed=DEFAULT_SEED] - Users and courses to start with (see DEFAULT_SEED)
+   * @param {string} [options.clientId] - Only accept this OAuth client; any client by default
+   * @param {string} [options.clientSecret] - Secret of confidential clients; PKCE clients need none
+   * @param {number} [options.maxPageSize=20] - Page size of list responses (and the largest accepted)
+   * @param {function(): number} [options.now=Date.now] - Clock used for expiry and late submissions
+   */
+  constructor({ seed = DEFAULT_SEED, clientId = null, clientSecret = null, maxPageSize = DEFAULT_MAX_PAGE_SIZE, now = Date.now } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.maxPageSize = maxPageSize;
+    this.now = now;
+    this.reset(seed);
+  }
+
+  /**
+   * Replace all data, tokens and faults
+   * @param {Object} [seed=DEFAULT_SEED]
+   */
+  reset(seed = DEFAULT_SEED) {
+    this.sequence = 1000;
+    this.users = new Map();
+    this.courses = new Map();
+    this.rosters = new Map();
+    this.courseWork = new Map();
+    this.submissions = [];
+    this.invitations = new Map();
+    this.codes = new Map();
+    this.accessTokens = new Map();
+    this.refreshTokens = new Map();
+    this.grants = new Map();
+    this.faults = [];
+    this.requests = [];
+    this.denyConsent = false;
+
+    for (const user of seed.users || []) {
+      this.users.set(user.id, { id: user.id, email: user.email.toLowerCase(), name: user.name || user.email });
+    }
+    // The account that signs in at the authorization endpoint
+    this.user = seed.users?.[0]?.email || null;
+
+    for (const { teachers = [], students = [], courseWork = [], ...course } of seed.courses || []) {
+      const { id: courseId } = this.addCourse(course);
+      const roster = this.rosters.get(courseId);
+      teachers.forEach(userId => roster.teachers.add(userId));
+      students.forEach(userId => roster.students.add(userId));
+
+      for (const { submissions = [], ...work } of courseWork) {
+        const { id: courseWorkId } = this.addCourseWork(courseId, { state: 'PUBLISHED', ...work });
+        for (const { userId, ...fields } of submissions) {
+          const submission = this.submissions.find(item => item.courseWorkId === courseWorkId && item.userId === userId);
+          if (!submission) {
+            throw new Error(`Seeded submission of ${userId}, who is not a student of course ${courseId}`);
+          }
+          Object.assign(submission, fields);
+        }
+      }
+    }
+  }
+
+  /**
+   * Identifier for a new object
+   * @returns {string}
+   */
+  nextId() {
+    return String(++this.sequence);
+  }
+
+  /**
+   * Current time as an RFC 3339 timestamp
+   * @returns {string}
+   */
+  timestamp() {
+    return new Date(this.now()).toISOString();
+  }
+
+  /**
+   * Make the next matching requests fail
+   * @param {Object} fault
+   * @param {number} fault.status - HTTP status to answer (e.g. 429, 503)
+   * @param {string|RegExp} [fault.path] - Path prefix or pattern to match; any path by default
+   * @param {string} [fault.method] - HTTP method to match; any by default
+   * @param {number} [fault.times=1] - Number of requests to fail
+   * @param {number} [fault.retryAfter] - Retry-After header in seconds
+   * @param {string} [fault.message]
+   */
+  injectFault({ status, path = null, method = null, times = 1, retryAfter = null, message = null }) {
+    this.faults.push({ status, path, method, times, retryAfter, message });
+  }
+
+  /**
+   * Issue tokens directly, without going through the authorization endpoint
+   * @param {string} user - Email address or ID of the user
+   * @param {string|string[]} scopes - Granted scopes
+   * @param {Object} [options]
+   * @param {string} [options.clientId='mock-client']
+   * @returns {Object} Token response (access_token, refresh_token, expires_in, scope)
+   */
+  issueTokens(user, scopes, { clientId = this.clientId || 'mock-client' } = {}) {
+    const account = this.findUser(user);
+    if (!account) {
+      throw new Error(`Unknown mock user: ${user}`);
+    }
+    const scopeList = Array.isArray(scopes) ? scopes : scopes.split(' ');
+    return this.createTokens({ clientId, userId: account.id, scopes: scopeList, refresh: true });
+  }
+
+  /**
+   * Expire every issued access token, as if an hour had passed
+   */
+  expireAccessTokens() {
+    for (const token of this.accessTokens.values()) {
+      token.expiresAt = 0;
+    }
+  }
+
+  /**
+   * Look up a user by ID or email address
+   * @param {string} idOrEmail
+   * @returns {Object|undefined}
+   */
+  findUser(idOrEmail) {
+    const key = String(idOrEmail).toLowerCase();
+    return this.users.get(idOrEmail) || [...this.users.values()].find(user => user.email === key);
+  }
+
+  /**
+   * Store a course and an empty roster
+   * @param {Object} course
+   * @returns {Object} The stored course
+   */
+  addCourse(course) {
+    const id = course.id || this.nextId();
+    const stored = {
+      courseState: 'ACTIVE',
+      creationTime: this.timestamp(),
+      updateTime: this.timestamp(),
+      enrollmentCode: randomBytes(4).toString('hex'),
+      ...course,
+      id,
+      alternateLink: `https://classroom.google.com/c/${id}`
+    };
+    this.courses.set(id, stored);
+    this.rosters.set(id, { teachers: new Set(), students: new Set() });
+    this.courseWork.set(id, []);
+    return stored;
+  }
+
+  /**
+   * Store course work and a submission for every student of the course
+   * @param {string} courseId
+   * @param {Object} work
+   * @returns {Object} The stored course work
+   */
+  addCourseWork(courseId, work) {
+    const id = work.id || this.nextId();
+    const stored = {
+      workType: 'ASSIGNMENT',
+      state: 'DRAFT',
+      creationTime: this.timestamp(),
+      updateTime: this.timestamp(),
+      ...work,
+      id,
+      courseId,
+      alternateLink: `https://classroom.google.com/c/${courseId}/a/${id}`
+    };
+    this.courseWork.get(courseId).push(stored);
+
+    for (const userId of this.rosters.get(courseId).students) {
+      const submissionId = this.nextId();
+      this.submissions.push({
+        id: submissionId,
+        courseId,
+        courseWorkId: id,
+        userId,
+        state: 'NEW',
+        late: false,
+        courseWorkType: stored.workType,
+        creationTime: stored.creationTime,
+        updateTime: stored.creationTime,
+        alternateLink: `${stored.alternateLink}/submissions/${submissionId}`
+      });
+    }
+    return stored;
+  }
+
+  /**
+   * Issue an access token (and optionally a refresh token) for a grant
+   * @returns {Object} Token response
+   */
+  createTokens({ clientId, userId, scopes, refresh, refreshToken = null }) {
+    const accessToken = randomToken('mock-access-');
+    const newRefreshToken = refresh ? randomToken('mock-refresh-') : null;
+    const grantRefreshToken = newRefreshToken || refreshToken;
+
+    this.accessTokens.set(accessToken, {
+      clientId,
+      userId,
+      scopes,
+      refreshToken: grantRefreshToken,
+      expiresAt: this.now() + ACCESS_TOKEN_TTL_SECONDS * 1000
+    });
+    if (newRefreshToken) {
+      this.refreshTokens.set(newRefreshToken, { clientId, userId, scopes });
+    }
+
+    const user = this.users.get(userId);
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_TTL_SECONDS,
+      scope: scopes.join(' '),
+      ...(newRefreshToken ? { refresh_token: newRefreshToken } : {}),
+      ...(user && scopes.includes('openid') ? {
+        id_token: encodeJwt({
+          iss: 'mock-google',
+          aud: clientId,
+          sub: user.id,
+          email: user.email,
+          name: user.name,
+          iat: Math.floor(this.now() / 1000),
+          exp: Math.floor(this.now() / 1000) + ACCESS_TOKEN_TTL_SECONDS
+        })
+      } : {})
+    };
+  }
+
+  /**
+   * Handle one HTTP request
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handleRequest(req, res) {
+    // Any origin may call the mock; requests carry bearer tokens, not cookies
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, Retry-After');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE',
+        'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || 'Authorization, Content-Type'
+      });
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    this.requests.push({ method: req.method, path: url.pathname, search: url.search });
+
+    try {
+      if (this.applyFault(req, res, url)) {
+        return;
+      }
+
+      const body = await readBody(req);
+      if (req.method === 'GET' && url.pathname === '/o/oauth2/v2/auth') {
+        this.handleAuthorize(res, url);
+      } else if (req.method === 'POST' && url.pathname === '/token') {
+        this.handleToken(res, parseForm(body, req.headers['content-type']));
+      } else if (req.method === 'POST' && url.pathname === '/revoke') {
+        this.handleRevoke(res, { ...Object.fromEntries(url.searchParams), ...parseForm(body, req.headers['content-type']) });
+      } else if (req.method === 'GET' && url.pathname === '/v1/userinfo') {
+        this.handleUserinfo(res, this.authenticate(req));
+      } else if (req.method === 'POST' && url.pathname === '/batch') {
+        this.handleBatch(req, res, url, body);
+      } else if (url.pathname.startsWith('/v1/')) {
+        this.handleClassroom(req, res, url, body);
+      } else {
+        throw new MockApiError(404, `No mock for ${req.method} ${url.pathname}`);
+      }
+    } catch (error) {
+      if (!(error instanceof MockApiError)) {
+        console.error('Mock server error:', error);
+      }
+      sendApiError(res, error instanceof MockApiError ? error : { status: 500, message: error.message });
+    }
+  }
+
+  /**
+   * Answer with the first injected fault matching the request, if any
+   * @returns {boolean} Whether a fault was sent
+   */
+  applyFault(req, res, url) {
+    const fault = this.takeFault(req.method, url.pathname);
+    if (!fault) {
+      return false;
+    }
+    sendApiError(res, fault.error, fault.headers);
+    return true;
+  }
+
+  /**
+   * Use up the first injected fault matching a request, if any
+   * @param {string} method
+   * @param {string} path
+   * @returns {{error: Object, headers: Object}|null} Error to answer with and its headers
+   */
+  takeFault(method, path) {
+    const fault = this.faults.find(item =>
+      (!item.method || item.method.toUpperCase() === method) &&
+      (!item.path || (item.path instanceof RegExp ? item.path.test(path) : path.startsWith(item.path))));
+    if (!fault) {
+      return null;
+    }
+
+    if (--fault.times <= 0) {
+      this.faults.splice(this.faults.indexOf(fault), 1);
+    }
+    return {
+      error: {
+        status: fault.status,
+        message: fault.message || `Injected ${fault.status} response`,
+        reason: FAULT_REASONS[fault.status] || null
+      },
+      headers: fault.retryAfter !== null ? { 'Retry-After': String(fault.retryAfter) } : {}
+    };
+  }
+
+  /**
+   * GET /o/oauth2/v2/auth - approve (or deny) at once and redirect back
+   */
+  handleAuthorize(res, url) {
+    const params = url.searchParams;
+    const redirectUri = params.get('redirect_uri');
+    const clientId = params.get('client_id');
+    const scope = params.get('scope');
+
+    // Google shows an error page instead of redirecting for these
+    if (!clientId || (this.clientId && clientId !== this.clientId)) {
+      throw new MockApiError(400, 'invalid_client: The OAuth client was not found.');
+    }
+    if (!redirectUri || params.get('response_type') !== 'code' || !scope) {
+      throw new MockApiError(400, 'invalid_request: redirect_uri, response_type=code and scope are required');
+    }
+    if (params.get('code_challenge') && params.get('code_challenge_method') !== 'S256') {
+      throw new MockApiError(400, 'invalid_request: Only the S256 code_challenge_method is supported');
+    }
+
+    const target = new URL(redirectUri);
+    if (params.get('state')) {
+      target.searchParams.set('state', params.get('state'));
+    }
+
+    const user = this.findUser(params.get('login_hint') || '') || this.findUser(this.user || '');
+    if (this.denyConsent || !user) {
+      target.searchParams.set('error', 'access_denied');
+    } else {
+      const grantKey = `${clientId} ${user.id}`;
+      const scopes = new Set(scope.split(' ').filter(Boolean));
+      if (params.get('include_granted_scopes') === 'true') {
+        this.grants.get(grantKey)?.forEach(item => scopes.add(item));
+      }
+      this.grants.set(grantKey, scopes);
+
+      const code = randomToken('mock-code-');
+      this.codes.set(code, {
+        clientId,
+        redirectUri,
+        userId: user.id,
+        scopes: [...scopes],
+        codeChallenge: params.get('code_challenge'),
+        expiresAt: this.now() + CODE_TTL_MS
+      });
+      target.searchParams.set('code', code);
+      target.searchParams.set('scope', [...scopes].join(' '));
+    }
+
+    res.writeHead(302, { Location: target.toString() });
+    res.end();
+  }
+
+  /**
+   * POST /token - authorization code, refresh token and JWT bearer grants
+   */
+  handleToken(res, form) {
+    if (form.grant_type === JWT_BEARER_GRANT) {
+      this.handleAssertion(res, form.assertion);
+      return;
+    }
+
+    if (!form.client_id || (this.clientId && form.client_id !== this.clientId)) {
+      sendOAuthError(res, 401, 'invalid_client', 'The OAuth client was not found.');
+      return;
+    }
+    if (form.client_secret && this.clientSecret && form.client_secret !== this.clientSecret) {
+      sendOAuthError(res, 401, 'invalid_client', 'Unauthorized');
+      return;
+    }
+
+    if (form.grant_type === 'authorization_code') {
+      const grant = this.codes.get(form.code);
+      // Codes are single use
+      this.codes.delete(form.code);
+
+      if (!grant || grant.expiresAt < this.now() || grant.clientId !== form.client_id) {
+        sendOAuthError(res, 400, 'invalid_grant', 'Malformed auth code.');
+      } else if (grant.redirectUri !== form.redirect_uri) {
+        sendOAuthError(res, 400, 'redirect_uri_mismatch', 'Bad Request');
+      } else if (grant.codeChallenge && !form.code_verifier) {
+        sendOAuthError(res, 400, 'invalid_grant', 'Missing code verifier.');
+      } else if (grant.codeChallenge &&
+        createHash('sha256').update(form.code_verifier).digest('base64url') !== grant.codeChallenge) {
+        sendOAuthError(res, 400, 'invalid_grant', 'Invalid code verifier.');
+      } else if (!grant.codeChallenge && this.clientSecret && !form.client_secret) {
+        sendOAuthError(res, 401, 'invalid_client', 'client_secret is missing.');
+      } else {
+        sendJson(res, 200, this.createTokens({ ...grant, refresh: true }));
+      }
+      return;
+    }
+
+    if (form.grant_type === 'refresh_token') {
+      const grant = this.refreshTokens.get(form.refresh_token);
+      if (!grant || grant.clientId !== form.client_id) {
+        sendOAuthError(res, 400, 'invalid_grant', 'Token has been expired or revoked.');
+      } else {
+        sendJson(res, 200, this.createTokens({ ...grant, refresh: false, refreshToken: form.refresh_token }));
+      }
+      return;
+    }
+
+    sendOAuthError(res, 400, 'unsupported_grant_type', `Invalid grant_type: ${form.grant_type || ''}`);
+  }
+
+  /**
+   * JWT bearer grant of service accounts; `sub` names the impersonated user
+   */
+  handleAssertion(res, assertion) {
+    const claims = assertion ? decodeJwt(assertion) : null;
+    if (!claims?.iss || !claims.exp) {
+      sendOAuthError(res, 400, 'invalid_grant', 'Invalid JWT Signature.');
+      return;
+    }
+    if (claims.exp * 1000 < this.now()) {
+      sendOAuthError(res, 400, 'invalid_grant', 'Invalid JWT: Token must be a short-lived token (60 minutes) and in a reasonable timeframe.');
+      return;
+    }
+    if (!claims.scope) {
+      sendOAuthError(res, 400, 'invalid_scope', 'Empty or missing scope not allowed.');
+      return;
+    }
+
+    // Without a subject the service account acts as itself and belongs to no course
+    let userId = claims.iss;
+    if (claims.sub) {
+      const user = this.findUser(claims.sub);
+      if (!user) {
+        sendOAuthError(res, 400, 'invalid_grant', 'Invalid email or User ID');
+        return;
+      }
+      userId = user.id;
+    }
+
+    sendJson(res, 200, this.createTokens({
+      clientId: claims.iss,
+      userId,
+      scopes: claims.scope.split(' '),
+      refresh: false
+    }));
+  }
+
+  /**
+   * POST /revoke - revoking either token of a grant revokes both
+   */
+  handleRevoke(res, { token }) {
+    const access = this.accessTokens.get(token);
+    const refreshToken = this.refreshTokens.has(token) ? token : access?.refreshToken;
+
+    if (!access && !this.refreshTokens.has(token)) {
+      sendOAuthError(res, 400, 'invalid_token', 'Token expired or revoked');
+      return;
+    }
+
+    this.accessTokens.delete(token);
+    if (refreshToken) {
+      const grant = this.refreshTokens.get(refreshToken);
+      this.refreshTokens.delete(refreshToken);
+      for (const [accessToken, record] of this.accessTokens) {
+        if (record.refreshToken === refreshToken) {
+          this.accessTokens.delete(accessToken);
+        }
+      }
+      if (grant) {
+        this.grants.delete(`${grant.clientId} ${grant.userId}`);
+      }
+    }
+    sendJson(res, 200, {});
+  }
+
+  /**
+   * GET /v1/userinfo
+   */
+  handleUserinfo(res, token) {
+    const user = this.users.get(token.userId);
+    if (!user) {
+      throw new MockApiError(401, 'Service accounts have no user profile.');
+    }
+    sendJson(res, 200, { sub: user.id, email: user.email, email_verified: true, name: user.name });
+  }
+
+  /**
+   * POST /batch - answer the Classroom calls of a multipart/mixed batch
+   * Calls use the batch's Authorization header unless they carry their own,
+   * and injected faults match the calls as well as the batch itself.
+   */
+  handleBatch(req, res, url, body) {
+    const boundary = /boundary="?([^";]+)"?/i.exec(req.headers['content-type'] || '')?.[1];
+    if (!/^multipart\/mixed/i.test(req.headers['content-type'] || '') || !boundary) {
+      throw new MockApiError(400, 'Batch requests must be multipart/mixed with a boundary.');
+    }
+
+    const calls = parseBatchRequest(body, boundary);
+    if (calls.length === 0 || calls.length > MAX_BATCH_CALLS) {
+      throw new MockApiError(400, `A batch request must contain between 1 and ${MAX_BATCH_CALLS} calls.`);
+    }
+
+    const parts = calls.map(call => {
+      const callUrl = new URL(call.target, url);
+      this.requests.push({ method: call.method, path: callUrl.pathname, search: callUrl.search, batch: true });
+
+      let response;
+      const fault = this.takeFault(call.method, callUrl.pathname);
+      if (fault) {
+        response = apiErrorResponse(fault.error, fault.headers);
+      } else {
+        try {
+          response = this.classroomResponse({
+            method: call.method,
+            headers: { authorization: req.headers.authorization, ...call.headers },
+            url: callUrl,
+            body: call.body
+          });
+        } catch (error) {
+          if (!(error instanceof MockApiError)) {
+            console.error('Mock server error:', error);
+          }
+          response = apiErrorResponse(error instanceof MockApiError ? error : { status: 500, message: error.message });
+        }
+      }
+
+      return [
+        'Content-Type: application/http',
+        ...(call.contentId ? [`Content-ID: <response-${call.contentId}>`] : []),
+        '',
+        `HTTP/1.1 ${response.status} ${http.STATUS_CODES[response.status] || ''}`.trim(),
+        ...Object.entries(response.headers).map(([name, value]) => `${name}: ${value}`),
+        '',
+        response.body
+      ].join('\r\n');
+    });
+
+    const responseBoundary = `batch_${randomBytes(12).toString('hex')}`;
+    res.writeHead(200, { 'Content-Type': `multipart/mixed; boundary=${responseBoundary}` });
+    res.end(`${parts.map(part => `--${responseBoundary}\r\n${part}\r\n`).join('')}--${responseBoundary}--\r\n`);
+  }
+
+  /**
+   * Find the unexpired access token of a request
+   * @param {{headers: Object}} req - Request, or a call of a batch
+   * @returns {Object} Token record
+   */
+  authenticate(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    const token = match && this.accessTokens.get(match[1]);
+    if (!token || token.expiresAt <= this.now()) {
+      throw new MockApiError(401,
+        'Request had invalid authentication credentials. Expected OAuth 2 access token, login cookie or other valid authentication credential.',
+        'ACCESS_TOKEN_EXPIRED');
+    }
+    return token;
+  }
+
+  /**
+   * Route a Classroom v1 request
+   */
+  handleClassroom(req, res, url, body) {
+    const response = this.classroomResponse({ method: req.method, headers: req.headers, url, body });
+    res.writeHead(response.status, response.headers);
+    res.end(response.body);
+  }
+
+  /**
+   * Answer a Classroom v1 call, on its own or as part of a batch
+   * @param {Object} request
+   * @param {string} request.method
+   * @param {Object} request.headers - Lower-cased header names
+   * @param {URL} request.url
+   * @param {string} request.body
+   * @returns {{status: number, headers: Object, body: string}}
+   */
+  classroomResponse({ method, headers, url, body }) {
+    const route = CLASSROOM_ROUTES.find(([routeMethod, pattern]) => routeMethod === method && pattern.test(url.pathname));
+    if (!route) {
+      throw new MockApiError(404, `Method not found: ${method} ${url.pathname}`);
+    }
+
+    const [, pattern, scopeKey, handler] = route;
+    const token = this.authenticate({ headers });
+    if (scopeKey && findMissingScopes(RESOURCE_SCOPES[scopeKey], token.scopes).length > 0) {
+      throw new MockApiError(403, 'Request had insufficient authentication scopes.', 'ACCESS_TOKEN_SCOPE_INSUFFICIENT');
+    }
+
+    const params = pattern.exec(url.pathname).slice(1).map(decodeURIComponent);
+    let payload;
+    try {
+      payload = body ? JSON.parse(body) : {};
+    } catch {
+      throw new MockApiError(400, 'Invalid JSON payload received.');
+    }
+
+    const data = handler.call(this, { token, params, query: url.searchParams, body: payload });
+
+    const json = JSON.stringify(data);
+    if (method !== 'GET') {
+      return { status: 200, headers: { 'Content-Type': 'application/json' }, body: json };
+    }
+
+    // Reads carry an ETag so clients can revalidate with If-None-Match
+    const etag = `"${createHash('sha1').update(json).digest('hex')}"`;
+    if (headers['if-none-match'] === etag) {
+      return { status: 304, headers: { ETag: etag }, body: '' };
+    }
+    return { status: 200, headers: { 'Content-Type': 'application/json', ETag: etag }, body: json };
+  }
+
+  /**
+   * Resolve `me` to the caller's user ID
+   */
+  userIdParam(value, token) {
+    return value === 'me' ? token.userId : this.findUser(value)?.id || value;
+  }
+
+  /**
+   * Load a course the caller belongs to
+   * @param {string} courseId
+   * @param {Object} token
+   * @param {Object} [options]
+   * @param {boolean} [options.teacher=false] - Require the caller to teach the course
+   * @returns {{course: Object, roster: Object, isTeacher: boolean}}
+   */
+  requireCourse(courseId, token, { teacher = false } = {}) {
+    const course = this.courses.get(courseId);
+    const roster = this.rosters.get(courseId);
+    if (!course) {
+      throw new MockApiError(404, 'Requested entity was not found.');
+    }
+
+    const isTeacher = roster.teachers.has(token.userId);
+    if (!isTeacher && (teacher || !roster.students.has(token.userId))) {
+      throw new MockApiError(403, 'The caller does not have permission');
+    }
+    return { course, roster, isTeacher };
+  }
+
+  /**
+   * Slice a list into the page named by pageToken/pageSize
+   * @param {Object[]} items
+   * @param {URLSearchParams} query
+   * @param {string} itemsKey - Response field for the items
+   * @returns {Object}
+   */
+  paginate(items, query, itemsKey) {
+    const pageSize = Math.min(Number(query.get('pageSize')) || this.maxPageSize, this.maxPageSize);
+    const pageToken = query.get('pageToken');
+    const start = pageToken ? Number(Buffer.from(pageToken, 'base64url').toString('utf8')) : 0;
+    if (!Number.isInteger(start) || start < 0) {
+      throw new MockApiError(400, 'Invalid page token.');
+    }
+
+    const page = items.slice(start, start + pageSize);
+    const end = start + page.length;
+    return {
+      ...(page.length > 0 ? { [itemsKey]: page } : {}),
+      ...(end < items.length ? { nextPageToken: Buffer.from(String(end)).toString('base64url') } : {})
+    };
+  }
+
+  /**
+   * Apply the fields named by an update mask
+   */
+  applyUpdateMask(target, body, query, allowed) {
+    const fields = (query.get('updateMask') || '').split(',').filter(Boolean);
+    if (fields.length === 0 || fields.some(field => !allowed.includes(field))) {
+      throw new MockApiError(400, `updateMask must list fields of: ${allowed.join(', ')}`);
+    }
+    for (const field of fields) {
+      target[field] = body[field];
+    }
+    target.updateTime = this.timestamp();
+  }
+
+  listCourses({ token, query }) {
+    const teacherId = query.get('teacherId') && this.userIdParam(query.get('teacherId'), token);
+    const studentId = query.get('studentId') && this.userIdParam(query.get('studentId'), token);
+    const states = query.getAll('courseStates');
+
+    const courses = [...this.courses.values()].filter(course => {
+      const roster = this.rosters.get(course.id);
+      return (roster.teachers.has(token.userId) || roster.students.has(token.userId)) &&
+        (!teacherId || roster.teachers.has(teacherId)) &&
+        (!studentId || roster.students.has(studentId)) &&
+        (states.length === 0 || states.includes(course.courseState));
+    });
+    return this.paginate(courses, query, 'courses');
+  }
+
+  getCourse({ token, params: [courseId] }) {
+    return this.requireCourse(courseId, token).course;
+  }
+
+  createCourse({ token, body }) {
+    if (!body.name || !body.ownerId) {
+      throw new MockApiError(400, 'name and ownerId are required');
+    }
+    const ownerId = this.userIdParam(body.ownerId, token);
+    const course = this.addCourse({ ...body, id: undefined, ownerId, courseState: body.courseState || 'PROVISIONED' });
+    this.rosters.get(course.id).teachers.add(ownerId);
+    return course;
+  }
+
+  patchCourse({ token, params: [courseId], query, body }) {
+    const { course } = this.requireCourse(courseId, token, { teacher: true });
+    this.applyUpdateMask(course, body, query, ['name', 'section', 'descriptionHeading', 'description', 'room', 'courseState', 'ownerId']);
+    return course;
+  }
+
+  deleteCourse({ token, params: [courseId] }) {
+    const { course } = this.requireCourse(courseId, token, { teacher: true });
+    if (course.ownerId !== token.userId) {
+      throw new MockApiError(403, 'Only the course owner can delete a course');
+    }
+    this.courses.delete(courseId);
+    this.rosters.delete(courseId);
+    this.courseWork.delete(courseId);
+    this.submissions = this.submissions.filter(submission => submission.courseId !== courseId);
+    return {};
+  }
+
+  /**
+   * Roster entry, with the email only for tokens holding profile.emails
+   */
+  rosterEntry(courseId, userId, token) {
+    const user = this.users.get(userId);
+    const showEmail = token.scopes.includes(SCOPES.PROFILE_EMAILS);
+    return {
+      courseId,
+      userId,
+      profile: {
+        id: userId,
+        name: { fullName: user?.name || userId },
+        ...(showEmail && user ? { emailAddress: user.email } : {})
+      }
+    };
+  }
+
+  listRoster(collection, { token, params: [courseId], query }) {
+    const { roster } = this.requireCourse(courseId, token);
+    const entries = [...roster[collection]].map(userId => this.rosterEntry(courseId, userId, token));
+    return this.paginate(entries, query, collection);
+  }
+
+  deleteRosterMember(collection, { token, params: [courseId, member] }) {
+    const { course, roster } = this.requireCourse(courseId, token, { teacher: true });
+    const userId = this.userIdParam(member, token);
+    if (!roster[collection].has(userId)) {
+      throw new MockApiError(404, 'Requested entity was not found.');
+    }
+    if (collection === 'teachers' && userId === course.ownerId) {
+      throw new MockApiError(400, 'The course owner cannot be removed');
+    }
+    roster[collection].delete(userId);
+    return {};
+  }
+
+  createInvitation({ token, body }) {
+    const scopeKey = body.role === 'TEACHER' ? 'courses.teachers.invite' : 'courses.students.invite';
+    if (findMissingScopes(RESOURCE_SCOPES[scopeKey], token.scopes).length > 0) {
+      throw new MockApiError(403, 'Request had insufficient authentication scopes.', 'ACCESS_TOKEN_SCOPE_INSUFFICIENT');
+    }
+    if (!body.courseId || !body.userId || !['STUDENT', 'TEACHER', 'OWNER'].includes(body.role)) {
+      throw new MockApiError(400, 'courseId, userId and role are required');
+    }
+    const { roster } = this.requireCourse(body.courseId, token, { teacher: true });
+
+    // Unknown email addresses become new users, so imports work without seeding them
+    let user = this.findUser(body.userId);
+    if (!user && body.userId.includes('@')) {
+      user = { id: this.nextId(), email: body.userId.toLowerCase(), name: body.userId.split('@')[0] };
+      this.users.set(user.id, user);
+    }
+    if (!user) {
+      throw new MockApiError(404, 'Requested entity was not found.');
+    }
+
+    const pending = [...this.invitations.values()].some(invitation =>
+      invitation.courseId === body.courseId && invitation.userId === user.id);
+    if (pending || roster.students.has(user.id) || roster.teachers.has(user.id)) {
+      throw new MockApiError(409, 'Requested entity already exists');
+    }
+
+    const invitation = { id: this.nextId(), userId: user.id, courseId: body.courseId, role: body.role };
+    this.invitations.set(invitation.id, invitation);
+    return invitation;
+  }
+
+  listCourseWork({ token, params: [courseId], query }) {
+    const { isTeacher } = this.requireCourse(courseId, token);
+    const states = query.getAll('courseWorkStates');
+    const wanted = states.length > 0 ? states : ['PUBLISHED'];
+
+    const work = this.courseWork.get(courseId)
+      .filter(item => wanted.includes(item.state) && (isTeacher || item.state === 'PUBLISHED'))
+      .sort((a, b) => b.updateTime.localeCompare(a.updateTime));
+    return this.paginate(work, query, 'courseWork');
+  }
+
+  getCourseWork({ token, params: [courseId, id] }) {
+    const { isTeacher } = this.requireCourse(courseId, token);
+    const work = this.courseWork.get(courseId).find(item => item.id === id);
+    if (!work || (!isTeacher && work.state !== 'PUBLISHED')) {
+      throw new MockApiError(404, 'Requested entity was not found.');
+    }
+    return work;
+  }
+
+  createCourseWork({ token, params: [courseId], body }) {
+    this.requireCourse(courseId, token, { teacher: true });
+    if (!body.title || !body.workType) {
+      throw new MockApiError(400, 'title and workType are required');
+    }
+    return this.addCourseWork(courseId, { ...body, id: undefined, creatorUserId: token.userId });
+  }
+
+  listSubmissions({ token, params: [courseId, courseWorkId], query }) {
+    const { isTeacher } = this.requireCourse(courseId, token);
+    const work = this.courseWork.get(courseId);
+    if (courseWorkId !== '-' && !work.some(item => item.id === courseWorkId)) {
+      throw new MockApiError(404, 'Requested entity was not found.');
+    }
+
+    const userId = query.get('userId') && this.userIdParam(query.get('userId'), token);
+    const states = query.getAll('states');
+    const submissions = this.submissions.filter(submission =>
+      submission.courseId === courseId &&
+      (courseWorkId === '-' ? work.some(item => item.id === submission.courseWorkId) : submission.courseWorkId === courseWorkId) &&
+      (isTeacher || submission.userId === token.userId) &&
+      (!userId || submission.userId === userId) &&
+      (states.length === 0 || states.includes(submission.state)));
+    return this.paginate(submissions, query, 'studentSubmissions');
+  }
+
+  /**
+   * Load a submission of course work in a course
+   */
+  requireSubmission([courseId, courseWorkId, id]) {
+    const submission = this.submissions.find(item =>
+      item.courseId === courseId && item.courseWorkId === courseWorkId && item.id === id);
+    if (!submission) {
+      throw new MockApiError(404, 'Requested entity was not found.');
+    }
+    return submission;
+  }
+
+  gradeSubmission({ token, params, query, body }) {
+    this.requireCourse(params[0], token, { teacher: true });
+    const submission = this.requireSubmission(params);
+    this.applyUpdateMask(submission, body, query, ['draftGrade', 'assignedGrade']);
+    return submission;
+  }
+
+  returnSubmission({ token, params }) {
+    this.requireCourse(params[0], token, { teacher: true });
+    const submission = this.requireSubmission(params);
+    submission.state = 'RETURNED';
+    submission.updateTime = this.timestamp();
+    return {};
+  }
+
+  turnInSubmission({ token, params }) {
+    this.requireCourse(params[0], token);
+    const submission = this.requireSubmission(params);
+    if (submission.userId !== token.userId) {
+      throw new MockApiError(403, 'Only the student who owns the submission can turn it in');
+    }
+
+    const work = this.courseWork.get(params[0]).find(item => item.id === params[1]);
+    const due = dueTime(work);
+    submission.state = 'TURNED_IN';
+    submission.late = due !== null && this.now() > due;
+    submission.updateTime = this.timestamp();
+    return {};
+  }
+}
+
+// Path segment matcher; custom methods (`:turnIn`) are matched separately
+const ID = '([^/:]+)';
+
+/**
+ * Classroom routes: method, path pattern, RESOURCE_SCOPES key and handler
+ * Invitations check their scope per role in the handler.
+ */
+const CLASSROOM_ROUTES = [
+  ['GET', /^\/v1\/courses$/, 'courses.list', MockGoogle.prototype.listCourses],
+  ['POST', /^\/v1\/courses$/, 'courses.create', MockGoogle.prototype.createCourse],
+  ['GET', new RegExp(`^/v1/courses/${ID}$`), 'courses.get', MockGoogle.prototype.getCourse],
+  ['PATCH', new RegExp(`^/v1/courses/${ID}$`), 'courses.patch', MockGoogle.prototype.patchCourse],
+  ['DELETE', new RegExp(`^/v1/courses/${ID}$`), 'courses.delete', MockGoogle.prototype.deleteCourse],
+  ...['students', 'teachers'].flatMap(collection => [
+    ['GET', new RegExp(`^/v1/courses/${ID}/${collection}$`), `courses.${collection}.list`,
+      function (request) { return this.listRoster(collection, request); }],
+    ['DELETE', new RegExp(`^/v1/courses/${ID}/${collection}/${ID}$`), `courses.${collection}.delete`,
+      function (request) { return this.deleteRosterMember(collection, request); }]
+  ]),
+  ['POST', /^\/v1\/invitations$/, null, MockGoogle.prototype.createInvitation],
+  ['GET', new RegExp(`^/v1/courses/${ID}/courseWork$`), 'courseWork.list', MockGoogle.prototype.listCourseWork],
+  ['POST', new RegExp(`^/v1/courses/${ID}/courseWork$`), 'courseWork.create', MockGoogle.prototype.createCourseWork],
+  ['GET', new RegExp(`^/v1/courses/${ID}/courseWork/${ID}$`), 'courseWork.get', MockGoogle.prototype.getCourseWork],
+  ['GET', new RegExp(`^/v1/courses/${ID}/courseWork/${ID}/studentSubmissions$`), 'studentSubmissions.list',
+    MockGoogle.prototype.listSubmissions],
+  ['PATCH', new RegExp(`^/v1/courses/${ID}/courseWork/${ID}/studentSubmissions/${ID}$`), 'studentSubmissions.grade',
+    MockGoogle.prototype.gradeSubmission],
+  ['POST', new RegExp(`^/v1/courses/${ID}/courseWork/${ID}/studentSubmissions/${ID}:return$`), 'studentSubmissions.return',
+    MockGoogle.prototype.returnSubmission],
+  ['POST', new RegExp(`^/v1/courses/${ID}/courseWork/${ID}/studentSubmissions/${ID}:turnIn$`), 'studentSubmissions.turnIn',
+    MockGoogle.prototype.turnInSubmission]
+];
+
+/**
+ * Create the mock Google HTTP server
+ * @param {MockGoogle} [mock] - State to serve; a fresh MockGoogle by default
+ * @returns {http.Server}
+ */
+export function createMockGoogleServer(mock = new MockGoogle()) {
+  return http.createServer((req, res) => mock.handleRequest(req, res));
+}
+
+// Start the mock when run directly: `npm run mock`
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = parseInt(process.env.MOCK_PORT || '8789', 10);
+  const seed = process.env.MOCK_SEED_FILE ? JSON.parse(readFileSync(process.env.MOCK_SEED_FILE, 'utf8')) : DEFAULT_SEED;
+  const mock = new MockGoogle({ seed });
+
+  createMockGoogleServer(mock).listen(port, () => {
+    console.log(`Mock Google APIs listening on http://localhost:${port}`);
+    console.log(`Signing in as ${mock.user}; point the client at it with { baseUrl: 'http://localhost:${port}' }`);
+  });
+}
@@ -0,0 +1,112 @@
+import { randomBytes } from 'node:crypto';
+import { readFileSync, writeFileSync } from 'node:fs';
+
+/**
+ * Server-side store for broker sessions
+ *
+ * Each session holds the Google tokens for one browser. The browser only ever
+ * sees the random session ID (in an HTTP-only cookie); refresh tokens never
+ * leave the server. Sessions live in memory and are optionally persisted to a
+ * JSON file so a broker restart does not sign everyone out.
+ */
+export class SessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSON file used to persist sessions
+   */
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath;
+    this.sessions = new Map();
+    this.load();
+  }
+
+  /**
+   * Load persisted sessions from disk, if configured
+   */
+  load() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      const saved = JSON.parse(readFileSync(this.filePath, 'utf8'));
+      for (const [id, session] of Object.entries(saved)) {
+        this.sessions.set(id, session);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading broker sessions:', error);
+      }
+    }
+  }
+
+  /**
+   * Persist sessions to disk, if configured
+   */
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.sessions)), { mode: 0o600 });
+    } catch (error) {
+      console.error('Error saving broker sessions:', error);
+    }
+  }
+
+  /**
+   * Create a session from a token response
+   * @param {Object} tokens - Google token response
+   * @returns {string} New session ID
+   */
+  create(tokens) {
+    const id = randomBytes(32).toString('hex');
+    this.sessions.set(id, {
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token || null,
+      expiresAt: Date.now() + (tokens.expires_in * 1000),
+      scope: tokens.scope || null,
+      createdAt: Date.now()
+    });
+    this.persist();
+    return id;
+  }
+
+  /**
+   * @param {string} id - Session ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    return (id && this.sessions.get(id)) || null;
+  }
+
+  /**
+   * Update a session with a refreshed token response
+   * @param {string} id - Session ID
+   * @param {Object} tokens - Google token response
+   */
+  update(id, tokens) {
+    const session = this.get(id);
+    if (!session) {
+      return;
+    }
+
+    session.accessToken = tokens.access_token;
+    session.refreshToken = tokens.refresh_token || session.refreshToken;
+    session.expiresAt = Date.now() + (tokens.expires_in * 1000);
+    if (tokens.scope) {
+      session.scope = tokens.scope;
+    }
+    this.persist();
+  }
+
+  /**
+   * @param {string} id - Session ID
+   */
+  destroy(id) {
+    if (this.sessions.delete(id)) {
+      this.persist();
+    }
+  }
+}
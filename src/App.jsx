@@ -1,6 +1,666 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import './App.css'
-import { GoogleClassroomClient } from './api/gcr.js'
+import { GoogleClassroomClient, GoogleClassroomError, InsufficientScopeError } from './api/gcr.js'
+import { IndexedDBCacheStore } from './api/cache.js'
+import { DRIVE_READONLY_SCOPE, SCOPES } from './api/scopes.js'
+import { buildGradebook, exportGradebookCsv, exportGradebookXlsx, gradebookTable } from './api/gradebook.js'
+import { XLSX_MIME_TYPE } from './api/xlsx.js'
+import { ChatCompletionsProvider, StubProvider } from './ai/provider.js'
+import { courseWorkFromDraft, draftCourseWork } from './ai/assignmentAssistant.js'
+import { applyGradeSuggestions, parseRubric, suggestGrades } from './ai/gradingAssistant.js'
+import { runQuery } from './ai/queryConsole.js'
+
+// Serve OAuth and Classroom from another server than Google's, e.g.
+// VITE_GCR_BASE_URL=http://localhost:8789 for the mock server (`npm run mock`)
+const API_BASE_URL = import.meta.env.VITE_GCR_BASE_URL || undefined
+
+/**
+ * Language model for the AI assistants: an OpenAI-compatible API when
+ * VITE_AI_URL and VITE_AI_MODEL are set, otherwise the offline stub.
+ * VITE_AI_API_KEY ends up in the bundle; use a proxy that adds the key instead.
+ */
+function createLanguageModelProvider() {
+  const { VITE_AI_URL, VITE_AI_MODEL, VITE_AI_API_KEY } = import.meta.env
+  if (VITE_AI_URL && VITE_AI_MODEL) {
+    return new ChatCompletionsProvider({ baseUrl: VITE_AI_URL, model: VITE_AI_MODEL, apiKey: VITE_AI_API_KEY })
+  }
+  return new StubProvider()
+}
+
+const AI_PROVIDER = createLanguageModelProvider()
+
+/**
+ * Response cache shared by every client the demo creates: courses render
+ * instantly from IndexedDB, refresh in the background and stay available offline
+ */
+function createCacheOptions() {
+  return {
+    store: new IndexedDBCacheStore(),
+    ttlMs: 5 * 60 * 1000,
+    staleWhileRevalidate: true
+  }
+}
+
+/**
+ * Error panel showing the structured fields of client errors
+ * (status, Google reason, request and retryability) when available.
+ * Missing OAuth scopes come with a button to grant them.
+ */
+function ErrorPanel({ error, onGrantScopes }) {
+  const isStructured = error instanceof GoogleClassroomError
+
+  return (
+    <div style={{ 
+      color: 'red', 
+      padding: '10px', 
+      marginTop: '20px', 
+      border: '1px solid red',
+      borderRadius: '5px',
+      backgroundColor: '#ffebee',
+      textAlign: 'left'
+    }}>
+      <strong>{isStructured ? error.name : 'Error'}:</strong> {error.message || String(error)}
+      {isStructured && (
+        <ul style={{ margin: '8px 0 0', fontSize: '0.9em' }}>
+          {error.status && (
+            <li>Status: {error.status}{error.reason && ` (${error.reason})`}</li>
+          )}
+          {!error.status && error.reason && <li>Reason: {error.reason}</li>}
+          {error.endpoint && <li>Request: {error.method} {error.endpoint}</li>}
+          <li>Retryable: {error.retryable ? 'yes' : 'no'}</li>
+          {error instanceof InsufficientScopeError && error.missingScopes.length > 0 && (
+            <li>
+              Missing access: {error.missingScopes.join(', ')}
+              <button onClick={() => onGrantScopes(error.missingScopes)} style={{ marginLeft: '10px' }}>
+                Grant access
+              </button>
+            </li>
+          )}
+          {error.details.length > 0 && (
+            <li>
+              Details:
+              <pre style={{ margin: 0, whiteSpace: 'pre-wrap' }}>
+                {JSON.stringify(error.details, null, 2)}
+              </pre>
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Save generated file contents through a temporary download link
+ */
+function downloadFile(contents, fileName, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Course choice from the fetched courses, or a course ID field before any
+ * courses have been fetched
+ */
+function CoursePicker({ courses, value, onChange }) {
+  return courses?.length ? (
+    <select value={value} onChange={(e) => onChange(e.target.value)} style={{ padding: '8px' }}>
+      <option value="">Choose course</option>
+      {courses.map((course) => (
+        <option key={course.id} value={course.id}>{course.name}</option>
+      ))}
+    </select>
+  ) : (
+    <input
+      type="text"
+      placeholder="Course ID"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      style={{ width: '200px', padding: '8px' }}
+    />
+  )
+}
+
+/**
+ * Gradebook of one course: students against course work, with missing work
+ * and late submissions highlighted, downloadable as CSV or XLSX
+ */
+function GradebookPanel({ client, courses, onError }) {
+  const [courseId, setCourseId] = useState('')
+  const [gradebook, setGradebook] = useState(null)
+  const [building, setBuilding] = useState(false)
+
+  const handleBuild = async () => {
+    setBuilding(true)
+    onError(null)
+
+    try {
+      setGradebook(await buildGradebook(client, courseId))
+    } catch (err) {
+      onError(err)
+    } finally {
+      setBuilding(false)
+    }
+  }
+
+  const fileName = (extension) => `gradebook-${gradebook.courseId}.${extension}`
+  const cellStyle = { border: '1px solid #ddd', padding: '4px 8px' }
+  const [header, pointsRow] = gradebook ? gradebookTable(gradebook) : []
+
+  return (
+    <div style={{ textAlign: 'left', maxWidth: '1000px', margin: '20px auto' }}>
+      <h2>Gradebook</h2>
+      <div style={{ marginBottom: '10px' }}>
+        <CoursePicker courses={courses} value={courseId} onChange={setCourseId} />
+        <button onClick={handleBuild} disabled={!courseId || building} style={{ marginLeft: '10px' }}>
+          {building ? 'Building...' : 'Build Gradebook'}
+        </button>
+        {gradebook && (
+          <>
+            <button
+              onClick={() => downloadFile(exportGradebookCsv(gradebook), fileName('csv'), 'text/csv')}
+              style={{ marginLeft: '10px' }}
+            >
+              Download CSV
+            </button>
+            <button
+              onClick={() => downloadFile(exportGradebookXlsx(gradebook), fileName('xlsx'), XLSX_MIME_TYPE)}
+              style={{ marginLeft: '10px' }}
+            >
+              Download XLSX
+            </button>
+          </>
+        )}
+      </div>
+
+      {gradebook && (
+        <div style={{ overflow: 'auto', maxHeight: '500px' }}>
+          <table style={{ borderCollapse: 'collapse', fontSize: '0.9em' }}>
+            <thead>
+              <tr>
+                {header.map((title, index) => <th key={index} style={cellStyle}>{title}</th>)}
+              </tr>
+              <tr>
+                {pointsRow.map((points, index) => <th key={index} style={cellStyle}>{points}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {gradebook.students.map((student) => (
+                <tr key={student.userId}>
+                  <td style={cellStyle}>{student.name || student.userId}</td>
+                  <td style={cellStyle}>{student.email}</td>
+                  {gradebook.assignments.map((assignment) => {
+                    const cell = student.grades[assignment.id]
+                    const background = cell?.missing ? '#ffebee' : cell?.late ? '#fff8e1' : undefined
+                    return (
+                      <td
+                        key={assignment.id}
+                        title={cell && [cell.state, cell.late && 'late', cell.missing && 'missing'].filter(Boolean).join(', ')}
+                        style={{ ...cellStyle, backgroundColor: background, textAlign: 'right' }}
+                      >
+                        {cell?.assignedGrade ?? (cell?.draftGrade != null && <em>{cell.draftGrade}</em>)}
+                      </td>
+                    )
+                  })}
+                  <td style={cellStyle}>{student.lateCount}</td>
+                  <td style={cellStyle}>{student.missingCount}</td>
+                  <td style={cellStyle}>{student.average ?? ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p style={{ fontSize: '0.9em', color: '#666' }}>
+            Draft grades are shown in italics. Missing work is red, late submissions are yellow.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Assignment assistant: drafts course work from a prompt, lets the teacher
+ * edit the draft and posts it to Classroom as a draft assignment
+ */
+function AssignmentAssistantPanel({ client, courses, onError }) {
+  const [courseId, setCourseId] = useState('')
+  const [prompt, setPrompt] = useState('')
+  const [draft, setDraft] = useState(null)
+  const [warnings, setWarnings] = useState([])
+  const [posted, setPosted] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const run = async (action) => {
+    setBusy(true)
+    onError(null)
+
+    try {
+      await action()
+    } catch (err) {
+      onError(err)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleDraft = () => run(async () => {
+    const result = await draftCourseWork(client, courseId, prompt, { provider: AI_PROVIDER })
+    setDraft(result.draft)
+    setWarnings(result.warnings)
+    setPosted(null)
+  })
+
+  const handlePost = () => run(async () => {
+    setPosted(await client.courseWork.create(courseId, courseWorkFromDraft(draft)))
+    setDraft(null)
+    setWarnings([])
+  })
+
+  const update = (fields) => setDraft({ ...draft, ...fields })
+  const fieldStyle = { display: 'block', width: '100%', padding: '8px', marginBottom: '10px', boxSizing: 'border-box' }
+
+  return (
+    <div style={{ textAlign: 'left', maxWidth: '800px', margin: '20px auto' }}>
+      <h2>Assignment Assistant</h2>
+      <div style={{ marginBottom: '10px' }}>
+        <CoursePicker courses={courses} value={courseId} onChange={setCourseId} />
+        <span style={{ marginLeft: '10px', fontSize: '0.9em', color: '#666' }}>Model: {AI_PROVIDER.name}</span>
+      </div>
+      <textarea
+        placeholder="Describe the assignment, e.g. Lab report on photosynthesis, 20 points, due in 7 days"
+        value={prompt}
+        onChange={(e) => setPrompt(e.target.value)}
+        rows={3}
+        style={fieldStyle}
+      />
+      <button onClick={handleDraft} disabled={!courseId || !prompt.trim() || busy}>
+        {busy && !draft ? 'Drafting...' : 'Draft Assignment'}
+      </button>
+
+      {draft && (
+        <div style={{ marginTop: '15px', padding: '15px', border: '1px solid #ddd', borderRadius: '5px' }}>
+          <h3 style={{ marginTop: 0 }}>Review draft</h3>
+          {warnings.length > 0 && (
+            <ul style={{ color: '#8a6d3b' }}>
+              {warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+            </ul>
+          )}
+          <label>
+            Title
+            <input type="text" value={draft.title} onChange={(e) => update({ title: e.target.value })} style={fieldStyle} />
+          </label>
+          <label>
+            Description
+            <textarea
+              value={draft.description}
+              onChange={(e) => update({ description: e.target.value })}
+              rows={6}
+              style={fieldStyle}
+            />
+          </label>
+          <label>
+            Points (empty for ungraded)
+            <input
+              type="number"
+              min="0"
+              value={draft.maxPoints ?? ''}
+              onChange={(e) => update({ maxPoints: e.target.value === '' ? null : Number(e.target.value) })}
+              style={{ ...fieldStyle, width: '150px' }}
+            />
+          </label>
+          <label>
+            Due (UTC)
+            <div style={{ marginBottom: '10px' }}>
+              <input
+                type="date"
+                value={draft.dueDate || ''}
+                onChange={(e) => update({ dueDate: e.target.value || null })}
+                style={{ padding: '8px' }}
+              />
+              <input
+                type="time"
+                value={draft.dueTime || ''}
+                onChange={(e) => update({ dueTime: e.target.value || null })}
+                disabled={!draft.dueDate}
+                style={{ padding: '8px', marginLeft: '10px' }}
+              />
+            </div>
+          </label>
+          {draft.materials.length > 0 && (
+            <>
+              Materials
+              <ul>
+                {draft.materials.map((material, index) => (
+                  <li key={index}>
+                    <a href={material.url} target="_blank" rel="noreferrer">{material.title || material.url}</a>
+                    <button
+                      onClick={() => update({ materials: draft.materials.filter((_, other) => other !== index) })}
+                      style={{ marginLeft: '10px' }}
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          <button onClick={handlePost} disabled={!draft.title.trim() || busy}>
+            {busy ? 'Posting...' : 'Post as Draft'}
+          </button>
+          <button onClick={() => setDraft(null)} disabled={busy} style={{ marginLeft: '10px' }}>
+            Discard
+          </button>
+        </div>
+      )}
+
+      {posted && (
+        <p>
+          Created draft &quot;{posted.title}&quot;
+          {posted.alternateLink && <> - <a href={posted.alternateLink} target="_blank" rel="noreferrer">open in Classroom</a></>}
+        </p>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Grading assistant: suggests rubric-based draft grades and feedback for the
+ * turned-in work of an assignment; only grades the teacher approves are written
+ */
+function GradingAssistantPanel({ client, courses, onError, onGrantScopes }) {
+  const [courseId, setCourseId] = useState('')
+  const [courseWork, setCourseWork] = useState([])
+  const [courseWorkId, setCourseWorkId] = useState('')
+  const [rubricText, setRubricText] = useState('')
+  const [readDriveFiles, setReadDriveFiles] = useState(true)
+  const [suggestions, setSuggestions] = useState(null)
+  const [results, setResults] = useState({})
+  const [progress, setProgress] = useState(null)
+  const [applying, setApplying] = useState(false)
+
+  useEffect(() => {
+    setCourseWork([])
+    setCourseWorkId('')
+    setSuggestions(null)
+    if (!courseId) {
+      return
+    }
+
+    let cancelled = false
+    client.courseWork.list(courseId, { courseWorkStates: ['PUBLISHED'] })
+      .then((response) => !cancelled && setCourseWork(response.courseWork.filter((work) => work.maxPoints > 0)))
+      .catch((err) => !cancelled && onError(err))
+    return () => { cancelled = true }
+  }, [client, courseId, onError])
+
+  const handleSuggest = async () => {
+    onError(null)
+    setResults({})
+    setProgress([0, 0])
+
+    try {
+      const { suggestions: suggested } = await suggestGrades(client, courseId, courseWorkId, parseRubric(rubricText), {
+        provider: AI_PROVIDER,
+        readDriveFiles,
+        onProgress: (done, total) => setProgress([done, total])
+      })
+      setSuggestions(suggested)
+    } catch (err) {
+      onError(err)
+    } finally {
+      setProgress(null)
+    }
+  }
+
+  const handleApply = async () => {
+    setApplying(true)
+    onError(null)
+
+    try {
+      const applied = await applyGradeSuggestions(client, courseId, courseWorkId, suggestions)
+      setResults(Object.fromEntries(applied.map((result) => [result.submissionId, result])))
+      // Applied suggestions are done; clear their approval so they are not written twice
+      setSuggestions(suggestions.map((suggestion) =>
+        applied.find((result) => result.submissionId === suggestion.submissionId)?.status === 'done'
+          ? { ...suggestion, approved: false }
+          : suggestion))
+    } catch (err) {
+      onError(err)
+    } finally {
+      setApplying(false)
+    }
+  }
+
+  const update = (submissionId, fields) => setSuggestions(suggestions.map((suggestion) =>
+    suggestion.submissionId === submissionId ? { ...suggestion, ...fields } : suggestion))
+  const approvedCount = suggestions?.filter((suggestion) => suggestion.approved).length || 0
+  const cellStyle = { border: '1px solid #ddd', padding: '4px 8px', verticalAlign: 'top' }
+
+  return (
+    <div style={{ textAlign: 'left', maxWidth: '1000px', margin: '20px auto' }}>
+      <h2>Grading Assistant</h2>
+      <div style={{ marginBottom: '10px' }}>
+        <CoursePicker courses={courses} value={courseId} onChange={setCourseId} />
+        <select
+          value={courseWorkId}
+          onChange={(e) => { setCourseWorkId(e.target.value); setSuggestions(null) }}
+          disabled={!courseWork.length}
+          style={{ padding: '8px', marginLeft: '10px' }}
+        >
+          <option value="">Choose assignment</option>
+          {courseWork.map((work) => (
+            <option key={work.id} value={work.id}>{work.title} ({work.maxPoints} points)</option>
+          ))}
+        </select>
+        <span style={{ marginLeft: '10px', fontSize: '0.9em', color: '#666' }}>Model: {AI_PROVIDER.name}</span>
+      </div>
+      <textarea
+        placeholder={'Rubric, one criterion per line:\nThesis (4 points): States a clear, arguable claim\nEvidence (6 points): Supports the claim with two sources'}
+        value={rubricText}
+        onChange={(e) => setRubricText(e.target.value)}
+        rows={4}
+        style={{ display: 'block', width: '100%', padding: '8px', marginBottom: '10px', boxSizing: 'border-box' }}
+      />
+      <label style={{ marginRight: '10px' }}>
+        <input type="checkbox" checked={readDriveFiles} onChange={(e) => setReadDriveFiles(e.target.checked)} />
+        {' '}Read attached Google Docs and text files
+      </label>
+      {readDriveFiles && !client.hasScopes([DRIVE_READONLY_SCOPE]) && (
+        <button onClick={() => onGrantScopes([DRIVE_READONLY_SCOPE])} style={{ marginRight: '10px' }}>
+          Grant Drive Access
+        </button>
+      )}
+      <button onClick={handleSuggest} disabled={!courseWorkId || !rubricText.trim() || progress !== null}>
+        {progress ? `Grading... (${progress[0]}/${progress[1]})` : 'Suggest Grades'}
+      </button>
+
+      {suggestions && (
+        <div style={{ marginTop: '15px' }}>
+          <table style={{ borderCollapse: 'collapse', fontSize: '0.9em', width: '100%' }}>
+            <thead>
+              <tr>
+                {['Approve', 'Student', 'Work', 'Scores', 'Draft grade', 'Feedback'].map((title) => (
+                  <th key={title} style={cellStyle}>{title}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {suggestions.map((suggestion) => {
+                const result = results[suggestion.submissionId]
+                return (
+                  <tr key={suggestion.submissionId}>
+                    <td style={cellStyle}>
+                      <input
+                        type="checkbox"
+                        checked={suggestion.approved}
+                        disabled={suggestion.status !== 'suggested'}
+                        onChange={(e) => update(suggestion.submissionId, { approved: e.target.checked })}
+                      />
+                      {result && <div>{result.status}{result.error && `: ${result.error}`}</div>}
+                    </td>
+                    <td style={cellStyle}>
+                      {suggestion.studentName || suggestion.userId}
+                      {suggestion.late && <div style={{ color: '#8a6d3b' }}>late</div>}
+                    </td>
+                    <td style={cellStyle}>
+                      {suggestion.text ? (
+                        <details>
+                          <summary>{suggestion.sources.map((source) => source.title).join(', ')}</summary>
+                          <pre style={{ whiteSpace: 'pre-wrap', maxHeight: '200px', overflow: 'auto' }}>{suggestion.text}</pre>
+                        </details>
+                      ) : (
+                        <em>No text to grade</em>
+                      )}
+                      {suggestion.warnings.map((warning, index) => (
+                        <div key={index} style={{ color: '#8a6d3b' }}>{warning}</div>
+                      ))}
+                      {suggestion.error && <div style={{ color: '#c62828' }}>{suggestion.error}</div>}
+                    </td>
+                    <td style={cellStyle}>
+                      {suggestion.scores.map((score) => (
+                        <div key={score.criterion} title={score.comment}>
+                          {score.criterion}: {score.points}/{score.maxPoints}
+                        </div>
+                      ))}
+                    </td>
+                    <td style={cellStyle}>
+                      <input
+                        type="number"
+                        min="0"
+                        value={suggestion.draftGrade ?? ''}
+                        disabled={suggestion.status !== 'suggested'}
+                        onChange={(e) => update(suggestion.submissionId, {
+                          draftGrade: e.target.value === '' ? null : Number(e.target.value)
+                        })}
+                        style={{ width: '70px' }}
+                      />
+                      {suggestion.currentDraftGrade !== null && <div>now {suggestion.currentDraftGrade}</div>}
+                    </td>
+                    <td style={cellStyle}>
+                      <textarea
+                        value={suggestion.feedback}
+                        onChange={(e) => update(suggestion.submissionId, { feedback: e.target.value })}
+                        rows={3}
+                        style={{ width: '100%' }}
+                      />
+                      {suggestion.feedback && (
+                        <button onClick={() => navigator.clipboard.writeText(suggestion.feedback)}>Copy</button>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+          <p style={{ fontSize: '0.9em', color: '#666' }}>
+            Suggestions are not saved until you apply them. Applying writes draft grades only; students see
+            nothing until you return their work in Classroom. Copy feedback into Classroom yourself.
+          </p>
+          <button onClick={handleApply} disabled={!approvedCount || applying}>
+            {applying ? 'Applying...' : `Apply ${approvedCount} Approved Draft Grade${approvedCount === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Questions offered as examples in the query console
+const EXAMPLE_QUESTIONS = [
+  'Which students are missing more than two assignments in Biology?',
+  'What is due in the next 7 days in Algebra I?',
+  'Who is failing Algebra I?',
+  'What still needs grading in Biology?'
+]
+
+/**
+ * Query console: answers plain-language questions with read-only Classroom
+ * calls, showing how the question was planned and every call made
+ */
+function QueryConsolePanel({ client, onError }) {
+  const [question, setQuestion] = useState('')
+  const [result, setResult] = useState(null)
+  const [asking, setAsking] = useState(false)
+
+  const handleAsk = async (text = question) => {
+    setQuestion(text)
+    setAsking(true)
+    onError(null)
+
+    try {
+      setResult(await runQuery(client, text, { provider: AI_PROVIDER }))
+    } catch (err) {
+      setResult(null)
+      onError(err)
+    } finally {
+      setAsking(false)
+    }
+  }
+
+  const cellStyle = { border: '1px solid #ddd', padding: '4px 8px' }
+
+  return (
+    <div style={{ textAlign: 'left', maxWidth: '800px', margin: '20px auto' }}>
+      <h2>Ask Classroom</h2>
+      <form onSubmit={(e) => { e.preventDefault(); handleAsk() }} style={{ display: 'flex', gap: '10px' }}>
+        <input
+          type="text"
+          placeholder="Ask about your courses, students, assignments or grades"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          style={{ flex: 1, padding: '8px' }}
+        />
+        <button type="submit" disabled={!question.trim() || asking}>
+          {asking ? 'Asking...' : 'Ask'}
+        </button>
+      </form>
+      <div style={{ marginTop: '8px', fontSize: '0.9em' }}>
+        {EXAMPLE_QUESTIONS.map((example) => (
+          <button key={example} onClick={() => handleAsk(example)} disabled={asking} style={{ margin: '0 6px 6px 0' }}>
+            {example}
+          </button>
+        ))}
+      </div>
+
+      {result && (
+        <div style={{ marginTop: '15px' }}>
+          <p><strong>{result.answer.summary}</strong></p>
+          {result.answer.rows.length > 0 && (
+            <table style={{ borderCollapse: 'collapse', fontSize: '0.9em' }}>
+              <thead>
+                <tr>
+                  {result.answer.columns.map((column) => <th key={column} style={cellStyle}>{column}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {result.answer.rows.map((row, index) => (
+                  <tr key={index}>
+                    {row.map((value, column) => <td key={column} style={cellStyle}>{value ?? ''}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <details style={{ marginTop: '10px', fontSize: '0.9em' }}>
+            <summary>How this was answered ({result.calls.length} API calls, planned by {result.planner})</summary>
+            {result.plan.explanation && <p>{result.plan.explanation}</p>}
+            <ol>
+              {result.plan.steps.map((step, index) => <li key={index}>{step}</li>)}
+            </ol>
+            <pre style={{ backgroundColor: '#f5f5f5', padding: '10px', borderRadius: '5px', overflow: 'auto' }}>
+              {result.calls.map((call) =>
+                `${call.method} ${call.endpoint} (${call.durationMs} ms)${call.error ? ` - ${call.error}` : ''}`).join('\n')}
+            </pre>
+          </details>
+        </div>
+      )}
+    </div>
+  )
+}
 
 /**
  * Google Classroom API Client Demo Application
@@ -18,8 +678,15 @@ function App() {
   const [courses, setCourses] = useState(null)
   const [error, setError] = useState(null)
   const [loading, setLoading] = useState(false)
+  const [courseCount, setCourseCount] = useState(0)
+  const [cacheInfo, setCacheInfo] = useState(null)
+  const [accounts, setAccounts] = useState([])
+  const [activeAccountId, setActiveAccountId] = useState('')
+  // Latest sign-out handler, for the client's cross-tab callback
+  const signOutHandler = useRef(null)
   const [clientId, setClientId] = useState('')
   const [clientSecret, setClientSecret] = useState('')
+  const [brokerUrl, setBrokerUrl] = useState('')
 
   // Initialize client when credentials are provided
   useEffect(() => {
@@ -31,10 +698,13 @@ function App() {
     if (code && state) {
       // We have credentials in localStorage from before redirect
       const savedClientId = localStorage.getItem('gcr_client_id')
-      const savedClientSecret = localStorage.getItem('gcr_client_secret')
+      const savedClientSecret = localStorage.getItem('gcr_client_secret') || ''
       
-      if (savedClientId && savedClientSecret) {
-        const newClient = new GoogleClassroomClient(savedClientId, savedClientSecret)
+      if (savedClientId) {
+        const newClient = new GoogleClassroomClient(savedClientId, savedClientSecret, {
+          baseUrl: API_BASE_URL,
+          cache: createCacheOptions()
+        })
         setClient(newClient)
         setClientId(savedClientId)
         setClientSecret(savedClientSecret)
@@ -45,11 +715,23 @@ function App() {
     } else {
       // Not an OAuth callback - check if we have saved credentials and restore client
       const savedClientId = localStorage.getItem('gcr_client_id')
-      const savedClientSecret = localStorage.getItem('gcr_client_secret')
+      const savedClientSecret = localStorage.getItem('gcr_client_secret') || ''
+      
+      const savedBrokerUrl = localStorage.getItem('gcr_broker_url') || ''
       
-      if (savedClientId && savedClientSecret) {
+      if (savedBrokerUrl) {
+        // Restore broker client (tokens live on the broker, the session cookie identifies us)
+        setClient(new GoogleClassroomClient(savedClientId, null, {
+          brokerUrl: savedBrokerUrl,
+          cache: createCacheOptions()
+        }))
+        setBrokerUrl(savedBrokerUrl)
+      } else if (savedClientId) {
         // Restore client from saved credentials (tokens will be loaded from localStorage)
-        const restoredClient = new GoogleClassroomClient(savedClientId, savedClientSecret)
+        const restoredClient = new GoogleClassroomClient(savedClientId, savedClientSecret, {
+          baseUrl: API_BASE_URL,
+          cache: createCacheOptions()
+        })
         setClient(restoredClient)
         setClientId(savedClientId)
         setClientSecret(savedClientSecret)
@@ -58,11 +740,30 @@ function App() {
   }, [])
 
   useEffect(() => {
-    if (client) {
-      setIsAuthenticated(client.isAuthenticated())
+    if (!client) {
+      return
+    }
+
+    // Another tab signed out; the client has already reloaded its tokens
+    client.onSignOut = () => signOutHandler.current(client)
+
+    if (client.brokerUrl) {
+      client.checkSession()
+        .then(setIsAuthenticated)
+        .catch((err) => setError(`Token broker unreachable: ${err.message}`))
+    } else {
+      // Tokens are loaded from the storage adapter asynchronously
+      client.ready.then(() => syncAccounts(client))
     }
   }, [client])
 
+  // Mirror the client's signed-in accounts and active account into state
+  const syncAccounts = async (clientInstance) => {
+    setAccounts(await clientInstance.listAccounts())
+    setActiveAccountId(clientInstance.account?.id || '')
+    setIsAuthenticated(clientInstance.isAuthenticated())
+  }
+
   const handleOAuthCallback = async (clientInstance, code, state) => {
     setLoading(true)
     setError(null)
@@ -70,31 +771,49 @@ function App() {
     try {
       await clientInstance.handleCallback(code, state)
       setIsAuthenticated(true)
+      setAccounts(await clientInstance.listAccounts())
+      setActiveAccountId(clientInstance.account?.id || '')
       // Clean up URL
       window.history.replaceState({}, document.title, window.location.pathname)
     } catch (err) {
-      setError(err.message)
+      setError(err)
     } finally {
       setLoading(false)
     }
   }
 
   const handleCreateClient = () => {
-    if (!clientId || !clientSecret) {
-      setError('Please provide both Client ID and Client Secret')
+    if (brokerUrl) {
+      // The broker owns the client secret; nothing sensitive is stored in the browser
+      localStorage.setItem('gcr_broker_url', brokerUrl)
+      localStorage.removeItem('gcr_client_secret')
+      setClient(new GoogleClassroomClient(clientId, null, { brokerUrl, cache: createCacheOptions() }))
+      setError(null)
+      return
+    }
+
+    if (!clientId) {
+      setError('Please provide a Client ID')
       return
     }
     
-    // Save credentials for after OAuth redirect
+    // Save credentials for after OAuth redirect (no secret is stored in PKCE mode)
     localStorage.setItem('gcr_client_id', clientId)
-    localStorage.setItem('gcr_client_secret', clientSecret)
+    if (clientSecret) {
+      localStorage.setItem('gcr_client_secret', clientSecret)
+    } else {
+      localStorage.removeItem('gcr_client_secret')
+    }
     
-    const newClient = new GoogleClassroomClient(clientId, clientSecret)
+    const newClient = new GoogleClassroomClient(clientId, clientSecret, {
+      baseUrl: API_BASE_URL,
+      cache: createCacheOptions()
+    })
     setClient(newClient)
     setError(null)
   }
 
-  const handleAuthorize = async () => {
+  const handleAuthorize = async ({ scopes = [SCOPES.COURSES_READONLY], addAccount = false } = {}) => {
     if (!client) {
       setError('Please create a client first')
       return
@@ -104,10 +823,15 @@ function App() {
     setError(null)
     
     try {
-      // This will redirect to Google's OAuth page
-      await client.authorize('https://www.googleapis.com/auth/classroom.courses.readonly')
+      // Consent happens in a popup so the page keeps its state; a signed-in account is only asked for missing scopes.
+      // Nothing comes back when the popup was blocked and the page redirects instead.
+      const tokens = await client.authorize(scopes, { addAccount, popup: true })
+      if (tokens) {
+        await syncAccounts(client)
+        setLoading(false)
+      }
     } catch (err) {
-      setError(err.message)
+      setError(err)
       setLoading(false)
     }
   }
@@ -121,57 +845,118 @@ function App() {
     setLoading(true)
     setError(null)
     setCourses(null)
+    setCourseCount(0)
+    setCacheInfo(null)
     
     try {
-      const response = await client.makeRequest({
+      // Follow nextPageToken so large accounts are not truncated to the first page
+      const { items, pageCount, truncated } = await client.collectAll({
         endpoint: 'https://classroom.googleapis.com/v1/courses',
-        method: 'GET'
+        params: { pageSize: 100 },
+        itemsKey: 'courses',
+        scopes: [SCOPES.COURSES_READONLY],
+        priority: 'interactive',
+        onPage: ({ items: loaded }) => setCourseCount(loaded.length),
+        cache: {
+          onStatus: ({ source, storedAt }) => setCacheInfo((info) => ({ ...info, source, storedAt })),
+          // A background revalidation stored newer data; fetching again reads it from the cache
+          onUpdate: () => setCacheInfo((info) => ({ ...info, updated: true }))
+        }
       })
       
-      setCourses(response)
+      setCourses({ courses: items, pageCount, truncated })
     } catch (err) {
-      setError(err.message)
+      setError(err)
     } finally {
       setLoading(false)
     }
   }
 
-  const handleCustomRequest = async () => {
-    const endpoint = prompt('Enter API endpoint:', 'https://classroom.googleapis.com/v1/courses')
-    const method = prompt('Enter HTTP method:', 'GET')
-    
-    if (!endpoint) return
-    
-    setLoading(true)
+  const handleSwitchAccount = async (accountId) => {
     setError(null)
     setCourses(null)
-    
+    setCacheInfo(null)
+
     try {
-      const response = await client.makeRequest({
-        endpoint,
-        method: method || 'GET'
-      })
-      
-      setCourses(response)
+      await client.switchAccount(accountId)
+      await syncAccounts(client)
     } catch (err) {
-      setError(err.message)
-    } finally {
-      setLoading(false)
+      setError(err)
     }
   }
 
-  const handleLogout = () => {
+  // Drop everything shown for the signed-out account; forget the saved
+  // credentials once no account is left
+  const finishSignOut = async (clientInstance) => {
+    setCourses(null)
+    setCacheInfo(null)
+
+    const remaining = await clientInstance.listAccounts()
+    if (remaining.length > 0) {
+      await syncAccounts(clientInstance)
+      return
+    }
+
+    localStorage.removeItem('gcr_client_id')
+    localStorage.removeItem('gcr_client_secret')
+    localStorage.removeItem('gcr_broker_url')
+    clientInstance.close()
+    setClient(null)
+    setClientId('')
+    setClientSecret('')
+    setBrokerUrl('')
+    setAccounts([])
+    setActiveAccountId('')
+    setIsAuthenticated(false)
+  }
+
+  signOutHandler.current = finishSignOut
+
+  const handleLogout = async () => {
     if (client) {
-      client.clearTokens()
-      setIsAuthenticated(false)
-      setCourses(null)
-      setError(null)
+      try {
+        // Revoke the grant at Google, not just the local copy of the tokens.
+        // Signs out the active account; another signed-in account may take over.
+        await client.revoke()
+        await finishSignOut(client)
+        setError(null)
+      } catch (err) {
+        setError(err)
+      }
     }
   }
 
   return (
     <div className="App">
-      <h1>Google Classroom API Client</h1>
+      <header style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: '20px',
+        flexWrap: 'wrap'
+      }}>
+        <h1>Google Classroom API Client</h1>
+        {client && accounts.length > 0 && (
+          <div>
+            <select
+              value={activeAccountId}
+              onChange={(e) => handleSwitchAccount(e.target.value)}
+              disabled={loading}
+              style={{ padding: '8px' }}
+            >
+              {!activeAccountId && <option value="">Choose account</option>}
+              {accounts.map((account) => (
+                <option key={account.id} value={account.id}>
+                  {account.email || account.name || account.id}
+                </option>
+              ))}
+            </select>
+            <button onClick={() => handleAuthorize({ addAccount: true })} disabled={loading} style={{ marginLeft: '10px' }}>
+              Add account
+            </button>
+          </div>
+        )}
+      </header>
       
       {!client ? (
         <div className="card">
@@ -188,12 +973,21 @@ function App() {
           <div style={{ marginBottom: '10px' }}>
             <input
               type="password"
-              placeholder="Client Secret"
+              placeholder="Client Secret (optional with PKCE)"
               value={clientSecret}
               onChange={(e) => setClientSecret(e.target.value)}
               style={{ width: '300px', padding: '8px', marginBottom: '10px' }}
             />
           </div>
+          <div style={{ marginBottom: '10px' }}>
+            <input
+              type="text"
+              placeholder="Token broker URL (optional, e.g. http://localhost:8787)"
+              value={brokerUrl}
+              onChange={(e) => setBrokerUrl(e.target.value)}
+              style={{ width: '300px', padding: '8px', marginBottom: '10px' }}
+            />
+          </div>
           <button onClick={handleCreateClient}>
             Create Client
           </button>
@@ -205,16 +999,13 @@ function App() {
           </div>
           
           {!isAuthenticated ? (
-            <button onClick={handleAuthorize} disabled={loading}>
+            <button onClick={() => handleAuthorize()} disabled={loading}>
               {loading ? 'Authorizing...' : 'Authorize with Google'}
             </button>
           ) : (
             <div>
               <button onClick={handleFetchCourses} disabled={loading} style={{ marginRight: '10px' }}>
-                {loading ? 'Loading...' : 'Fetch Courses'}
-              </button>
-              <button onClick={handleCustomRequest} disabled={loading} style={{ marginRight: '10px' }}>
-                Custom Request
+                {loading ? `Loading... (${courseCount} courses)` : 'Fetch Courses'}
               </button>
               <button onClick={handleLogout}>
                 Logout
@@ -224,17 +1015,27 @@ function App() {
         </div>
       )}
 
-      {error && (
-        <div style={{ 
-          color: 'red', 
-          padding: '10px', 
-          marginTop: '20px', 
-          border: '1px solid red',
-          borderRadius: '5px',
-          backgroundColor: '#ffebee'
-        }}>
-          <strong>Error:</strong> {error}
-        </div>
+      {error && <ErrorPanel error={error} onGrantScopes={(scopes) => handleAuthorize({ scopes })} />}
+
+      {client && isAuthenticated && (
+        <QueryConsolePanel client={client} onError={setError} />
+      )}
+
+      {client && isAuthenticated && (
+        <GradebookPanel client={client} courses={courses?.courses} onError={setError} />
+      )}
+
+      {client && isAuthenticated && (
+        <AssignmentAssistantPanel client={client} courses={courses?.courses} onError={setError} />
+      )}
+
+      {client && isAuthenticated && (
+        <GradingAssistantPanel
+          client={client}
+          courses={courses?.courses}
+          onError={setError}
+          onGrantScopes={(scopes) => handleAuthorize({ scopes })}
+        />
       )}
 
       {courses && (
@@ -245,6 +1046,23 @@ function App() {
           margin: '20px auto'
         }}>
           <h2>API Response:</h2>
+          {courses.pageCount && (
+            <p>
+              {courses.courses.length} courses from {courses.pageCount} page(s)
+              {courses.truncated && ' (stopped early, more courses are available)'}
+            </p>
+          )}
+          {courses.pageCount && cacheInfo && cacheInfo.source !== 'network' && (
+            <p>
+              {cacheInfo.source === 'offline' ? '📴 Offline - showing' : 'Showing'} cached
+              courses from {new Date(cacheInfo.storedAt).toLocaleTimeString()}
+              {cacheInfo.updated && (
+                <button onClick={handleFetchCourses} style={{ marginLeft: '10px' }}>
+                  Show latest
+                </button>
+              )}
+            </p>
+          )}
           <pre style={{ 
             backgroundColor: '#f5f5f5', 
             padding: '15px', 
@@ -260,11 +1078,14 @@ function App() {
       <div style={{ marginTop: '40px', fontSize: '0.9em', color: '#666' }}>
         <h3>Instructions:</h3>
         <ol style={{ textAlign: 'left', maxWidth: '600px', margin: '0 auto' }}>
-          <li>Enter your Google Cloud OAuth 2.0 Client ID and Client Secret</li>
+          <li>Enter your Google Cloud OAuth 2.0 Client ID (leave the secret empty to use PKCE), or the URL of a running token broker</li>
           <li>Click "Create Client" to initialize the API client</li>
           <li>Click "Authorize with Google" to start the OAuth flow</li>
           <li>After authorization, click "Fetch Courses" to retrieve your courses</li>
-          <li>Use "Custom Request" to make other API calls</li>
+          <li>Ask questions about your classes under "Ask Classroom", e.g. which students are missing more than two assignments in a course</li>
+          <li>Pick a course under "Gradebook" to see every student's grades and download them as CSV or XLSX</li>
+          <li>Describe an assignment under "Assignment Assistant", review the draft and post it to Classroom as a draft</li>
+          <li>Under "Grading Assistant", pick an assignment and enter a rubric to get suggested draft grades; only the ones you approve are saved</li>
         </ol>
       </div>
     </div>
@@ -0,0 +1,300 @@
+/**
+ * Assignment assistant: drafts course work from a teacher's prompt
+ *
+ * The course (name, section, description) and its recent course work are
+ * fetched through the client and given to the model with the prompt, so the
+ * draft fits the course. Nothing is posted: the result is a draft for the
+ * teacher to review and edit, which `courseWorkFromDraft()` then turns into
+ * a `courseWork.create()` payload in the DRAFT state.
+ *
+ * Model output is never trusted as is. Unknown fields are dropped, only
+ * http(s) links are kept as materials, and an invalid or past due date or a
+ * negative maximum is left out with a warning for the teacher.
+ */
+
+import { AssistantError, parseJsonResponse } from './provider.js';
+
+export const COURSEWORK_DRAFT_TASK = 'courseWork.draft';
+
+// Recent course work titles given to the model as context
+const CONTEXT_WORK_LIMIT = 10;
+
+const DEFAULT_MAX_POINTS = 100;
+const DEFAULT_DUE_TIME = '23:59';
+
+const SYSTEM_PROMPT = [
+  'You help a teacher write Google Classroom assignments.',
+  'Answer with one JSON object and nothing else, with these fields:',
+  '"title" (string, at most 100 characters), "description" (string, instructions for students),',
+  '"materials" (array of {"url", "title"}, only links the teacher gave or well-known public resources),',
+  '"maxPoints" (number, or null for ungraded work), "dueDate" ("YYYY-MM-DD" or null),',
+  '"dueTime" ("HH:MM" in UTC, or null).',
+  'Match the level and style of the course and its existing assignments.'
+].join(' ');
+
+/**
+ * @typedef {Object} CourseWorkDraft
+ * @property {string} title
+ * @property {string} description
+ * @property {{url: string, title: string}[]} materials - Links
+ * @property {number|null} maxPoints - null for ungraded work
+ * @property {string|null} dueDate - 'YYYY-MM-DD' (UTC)
+ * @property {string|null} dueTime - 'HH:MM' (UTC); only with a due date
+ */
+
+/**
+ * @typedef {Object} CourseWorkDraftResult
+ * @property {CourseWorkDraft} draft - Editable draft
+ * @property {import('../api/resources.js').CourseWork} courseWork - Payload for `courseWork.create()`
+ * @property {string[]} warnings - What was changed or left out of the model's answer
+ * @property {string} provider - Name of the provider that wrote the draft
+ */
+
+/**
+ * Format a date as 'YYYY-MM-DD' (UTC)
+ * @param {Date} date
+ * @returns {string}
+ */
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a 'YYYY-MM-DD' date, rejecting dates that do not exist
+ * @param {string} value
+ * @returns {{year: number, month: number, day: number}|null}
+ */
+function parseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? { year, month, day } : null;
+}
+
+/**
+ * Parse an 'HH:MM' time of day
+ * @param {string} value
+ * @returns {{hours: number, minutes: number}|null}
+ */
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const [hours, minutes] = match.slice(1).map(Number);
+  return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+}
+
+/**
+ * Whether a string is an absolute http(s) URL
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isWebUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a model's answer into a draft
+ * @param {Object} answer - Parsed model output
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Due dates before this are dropped
+ * @returns {{draft: CourseWorkDraft, warnings: string[]}}
+ */
+export function normalizeCourseWorkDraft(answer, { now = new Date() } = {}) {
+  const warnings = [];
+
+  const title = typeof answer.title === 'string' ? answer.title.trim() : '';
+  if (!title) {
+    throw new AssistantError('The draft has no title', { reason: 'invalidResponse', task: COURSEWORK_DRAFT_TASK });
+  }
+
+  const materials = [];
+  for (const material of Array.isArray(answer.materials) ? answer.materials : []) {
+    const url = typeof material === 'string' ? material : material?.url;
+    if (typeof url === 'string' && isWebUrl(url)) {
+      materials.push({ url, title: typeof material?.title === 'string' ? material.title : '' });
+    } else {
+      warnings.push(`Left out material that is not a web link: ${JSON.stringify(material)}`);
+    }
+  }
+
+  let maxPoints = null;
+  if (typeof answer.maxPoints === 'number' && Number.isFinite(answer.maxPoints) && answer.maxPoints >= 0) {
+    maxPoints = answer.maxPoints;
+  } else if (answer.maxPoints !== null && answer.maxPoints !== undefined) {
+    warnings.push(`Left out invalid maximum points: ${JSON.stringify(answer.maxPoints)}`);
+  }
+
+  let dueDate = null;
+  let dueTime = null;
+  if (answer.dueDate) {
+    const date = parseDate(answer.dueDate);
+    const time = answer.dueTime ? parseTime(answer.dueTime) : parseTime(DEFAULT_DUE_TIME);
+    if (!date) {
+      warnings.push(`Left out invalid due date: ${JSON.stringify(answer.dueDate)}`);
+    } else if (!time) {
+      warnings.push(`Left out invalid due time: ${JSON.stringify(answer.dueTime)}`);
+    } else if (Date.UTC(date.year, date.month - 1, date.day, time.hours, time.minutes) < now.getTime()) {
+      warnings.push(`Left out due date in the past: ${answer.dueDate}`);
+    } else {
+      dueDate = answer.dueDate.trim();
+      dueTime = `${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}`;
+    }
+  }
+
+  return {
+    draft: {
+      title,
+      description: typeof answer.description === 'string' ? answer.description.trim() : '',
+      materials,
+      maxPoints,
+      dueDate,
+      dueTime
+    },
+    warnings
+  };
+}
+
+/**
+ * Build the `courseWork.create()` payload for a draft
+ * The work is created in the DRAFT state, so it is not shown to students
+ * until the teacher publishes it in Classroom.
+ * @param {CourseWorkDraft} draft
+ * @returns {import('../api/resources.js').CourseWork}
+ */
+export function courseWorkFromDraft(draft) {
+  const courseWork = {
+    title: draft.title,
+    workType: 'ASSIGNMENT',
+    state: 'DRAFT'
+  };
+
+  if (draft.description) {
+    courseWork.description = draft.description;
+  }
+  if (draft.materials?.length) {
+    courseWork.materials = draft.materials.map(({ url, title }) => ({ link: title ? { url, title } : { url } }));
+  }
+  if (draft.maxPoints !== null && draft.maxPoints !== undefined) {
+    courseWork.maxPoints = draft.maxPoints;
+  }
+  if (draft.dueDate) {
+    // Classroom needs a due time with a due date
+    courseWork.dueDate = parseDate(draft.dueDate);
+    courseWork.dueTime = parseTime(draft.dueTime || DEFAULT_DUE_TIME);
+  }
+
+  return courseWork;
+}
+
+/**
+ * Offline draft for the stub provider
+ *
+ * Reads the prompt literally: the first sentence becomes the title, "N
+ * points" the maximum, "due YYYY-MM-DD", "due tomorrow" or "due in N days"
+ * the due date, and any URLs the materials.
+ * @param {Object} input - Input of the draft request
+ * @param {string} input.prompt
+ * @param {string} input.today - 'YYYY-MM-DD'
+ * @returns {Object} Model-style answer
+ */
+export function stubCourseWorkDraft({ prompt, today }) {
+  const urls = prompt.match(/https?:\/\/[^\s)>\]]+/g) || [];
+  const text = urls.reduce((rest, url) => rest.replace(url, ''), prompt).replace(/\s+/g, ' ').trim();
+
+  const firstSentence = text.split(/(?<=[.!?])\s/)[0].replace(/[.!?]+$/, '');
+  const topic = firstSentence
+    .replace(/^(?:please\s+)?(?:create|draft|write|make)\s+(?:an?\s+)?(?:[\w-]+\s+)?(?:assignment|worksheet|project|essay|task)\s+(?:on|about|for)\s+/i, '')
+    .trim();
+  const title = (topic.charAt(0).toUpperCase() + topic.slice(1)).slice(0, 100) || 'New assignment';
+
+  const points = /(\d+(?:\.\d+)?)\s*(?:points?|pts)\b/i.exec(text);
+
+  let dueDate = /\bdue\s+(?:on\s+|by\s+)?(\d{4}-\d{2}-\d{2})\b/i.exec(text)?.[1] || null;
+  const inDays = /\bdue\s+in\s+(\d+)\s+days?\b/i.exec(text);
+  const offset = inDays ? Number(inDays[1]) : /\bdue\s+tomorrow\b/i.test(text) ? 1 : null;
+  if (!dueDate && offset !== null) {
+    const date = new Date(`${today}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + offset);
+    dueDate = isoDate(date);
+  }
+
+  return {
+    title,
+    description: text,
+    materials: urls.map(url => ({ url, title: '' })),
+    maxPoints: points ? Number(points[1]) : DEFAULT_MAX_POINTS,
+    dueDate,
+    dueTime: null
+  };
+}
+
+/**
+ * Build the user message for a draft request
+ * @param {Object} input
+ * @returns {string}
+ */
+function buildPrompt({ prompt, today, course, recentWork }) {
+  const lines = [`Today is ${today}.`, `Course: ${course.name}${course.section ? ` (${course.section})` : ''}`];
+  if (course.description) {
+    lines.push(`Course description: ${course.description}`);
+  }
+  if (recentWork.length) {
+    lines.push('Recent assignments:', ...recentWork.map(work => `- ${work.title}`));
+  }
+  lines.push('', 'Teacher request:', prompt);
+  return lines.join('\n');
+}
+
+/**
+ * Draft course work for a course from a teacher's prompt
+ * @param {import('../api/gcr.js').GoogleClassroomClient} client
+ * @param {string} courseId - Course identifier or alias
+ * @param {string} prompt - What the teacher wants
+ * @param {Object} options
+ * @param {import('./provider.js').LanguageModelProvider} options.provider - Model to write the draft
+ * @param {Date} [options.now] - Current time, for relative and past due dates
+ * @returns {Promise<CourseWorkDraftResult>}
+ *
+ * @example
+ * const { draft, warnings } = await draftCourseWork(client, courseId,
+ *   'Lab report on photosynthesis, 20 points, due in 7 days', { provider: new StubProvider() });
+ * // ...teacher reviews and edits the draft...
+ * await client.courseWork.create(courseId, courseWorkFromDraft(draft));
+ */
+export async function draftCourseWork(client, courseId, prompt, { provider, now = new Date() }) {
+  if (!prompt?.trim()) {
+    throw new AssistantError('Describe the assignment to draft', { reason: 'invalidInput', task: COURSEWORK_DRAFT_TASK });
+  }
+
+  const [course, { courseWork }] = await Promise.all([
+    client.courses.get(courseId),
+    client.courseWork.list(courseId, { pageSize: CONTEXT_WORK_LIMIT, courseWorkStates: ['PUBLISHED', 'DRAFT'] })
+  ]);
+
+  const input = {
+    prompt: prompt.trim(),
+    today: isoDate(now),
+    course: { name: course.name, section: course.section || null, description: course.description || null },
+    recentWork: courseWork.slice(0, CONTEXT_WORK_LIMIT).map(work => ({ title: work.title, maxPoints: work.maxPoints ?? null }))
+  };
+
+  const text = await provider.complete({
+    task: COURSEWORK_DRAFT_TASK,
+    system: SYSTEM_PROMPT,
+    prompt: buildPrompt(input),
+    input,
+    offline: stubCourseWorkDraft
+  });
+
+  const { draft, warnings } = normalizeCourseWorkDraft(parseJsonResponse(text, COURSEWORK_DRAFT_TASK), { now });
+  return { draft, courseWork: courseWorkFromDraft(draft), warnings, provider: provider.name };
+}
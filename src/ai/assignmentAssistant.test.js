@@ -0,0 +1,118 @@
+import { describe, expect, it } from 'vitest';
+import { createFakeClient, requestLines } from '../test/helpers.js';
+import { courseWorkFromDraft, draftCourseWork, normalizeCourseWorkDraft } from './assignmentAssistant.js';
+import { AssistantError, StubProvider } from './provider.js';
+
+const NOW = new Date('2026-03-02T10:00:00Z');
+
+/**
+ * Client answering the course and course work reads of the assistant
+ */
+function createCourseClient() {
+  return createFakeClient({
+    '/v1/courses/301': { id: '301', name: 'Biology', section: 'Period 2', description: 'Introductory biology' },
+    '/v1/courses/301/courseWork': { courseWork: [{ id: '1', title: 'Cell structure quiz', maxPoints: 10 }] }
+  });
+}
+
+describe('draftCourseWork()', () => {
+  it('drafts course work offline with the stub provider', async () => {
+    const client = createCourseClient();
+    const provider = new StubProvider();
+
+    const { draft, courseWork, warnings } = await draftCourseWork(client, '301',
+      'Create an assignment on photosynthesis. Write a one-page lab report, 20 points, due in 7 days. '
+      + 'Use https://example.org/photosynthesis as a reference.',
+      { provider, now: NOW });
+
+    expect(draft).toMatchObject({
+      title: 'Photosynthesis',
+      maxPoints: 20,
+      dueDate: '2026-03-09',
+      dueTime: '23:59',
+      materials: [{ url: 'https://example.org/photosynthesis', title: '' }]
+    });
+    expect(warnings).toEqual([]);
+    expect(courseWork).toEqual({
+      title: 'Photosynthesis',
+      description: draft.description,
+      workType: 'ASSIGNMENT',
+      state: 'DRAFT',
+      materials: [{ link: { url: 'https://example.org/photosynthesis' } }],
+      maxPoints: 20,
+      dueDate: { year: 2026, month: 3, day: 9 },
+      dueTime: { hours: 23, minutes: 59 }
+    });
+
+    // The course context reaches the model
+    expect(requestLines(client)[1]).toBe('GET /v1/courses/301/courseWork?pageSize=10&courseWorkStates=PUBLISHED&courseWorkStates=DRAFT');
+    const [request] = provider.requests;
+    expect(request.task).toBe('courseWork.draft');
+    expect(request.prompt).toContain('Course: Biology (Period 2)');
+    expect(request.prompt).toContain('- Cell structure quiz');
+    expect(request.prompt).toContain('Today is 2026-03-02.');
+  });
+
+  it('keeps only valid parts of a model answer and reports the rest', async () => {
+    const provider = new StubProvider({
+      handlers: {
+        'courseWork.draft': () => '```json\n' + JSON.stringify({
+          title: '  Essay: The water cycle ',
+          description: 'Explain evaporation, condensation and precipitation.',
+          materials: [{ url: 'https://example.org/water', title: 'Water cycle' }, { url: 'javascript:alert(1)' }, 'notes.pdf'],
+          maxPoints: -5,
+          dueDate: '2026-02-30',
+          extra: 'ignored'
+        }) + '\n```'
+      }
+    });
+
+    const { draft, warnings } = await draftCourseWork(createCourseClient(), '301', 'Water cycle essay', { provider, now: NOW });
+
+    expect(draft).toEqual({
+      title: 'Essay: The water cycle',
+      description: 'Explain evaporation, condensation and precipitation.',
+      materials: [{ url: 'https://example.org/water', title: 'Water cycle' }],
+      maxPoints: null,
+      dueDate: null,
+      dueTime: null
+    });
+    expect(warnings).toHaveLength(4);
+  });
+
+  it('rejects an empty prompt without calling the model', async () => {
+    const client = createCourseClient();
+    const provider = new StubProvider();
+
+    const error = await draftCourseWork(client, '301', '  ', { provider, now: NOW }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(AssistantError);
+    expect(error.reason).toBe('invalidInput');
+    expect(client.requests).toEqual([]);
+    expect(provider.requests).toEqual([]);
+  });
+});
+
+describe('normalizeCourseWorkDraft()', () => {
+  it('drops due dates in the past', () => {
+    const { draft, warnings } = normalizeCourseWorkDraft(
+      { title: 'Review', maxPoints: 0, dueDate: '2026-03-01', dueTime: '08:00' },
+      { now: NOW }
+    );
+
+    expect(draft.maxPoints).toBe(0);
+    expect(draft.dueDate).toBeNull();
+    expect(warnings).toEqual(['Left out due date in the past: 2026-03-01']);
+  });
+
+  it('requires a title', () => {
+    expect(() => normalizeCourseWorkDraft({ description: 'No title' })).toThrow(AssistantError);
+  });
+});
+
+describe('courseWorkFromDraft()', () => {
+  it('leaves out empty fields and makes ungraded work', () => {
+    expect(courseWorkFromDraft({ title: 'Reading', description: '', materials: [], maxPoints: null, dueDate: null, dueTime: null }))
+      .toEqual({ title: 'Reading', workType: 'ASSIGNMENT', state: 'DRAFT' });
+  });
+});
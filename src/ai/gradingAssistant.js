@@ -0,0 +1,450 @@
+/**
+ * Grading assistant: rubric-based grade suggestions for student submissions
+ *
+ * Turned-in submissions of one assignment are fetched through the client and
+ * their text is extracted: the answer of a short-answer question, and for
+ * assignments the text of attached Google Docs and plain-text Drive files.
+ * Each submission is scored against the teacher's rubric by the model, which
+ * sees the assignment, the rubric and the student's text, but never the
+ * student's name or email.
+ *
+ * Suggestions are only suggestions. `applyGradeSuggestions()` writes the
+ * draft grades of suggestions the teacher has marked `approved`, and nothing
+ * else; assigned grades and returning work stay with the teacher. The
+ * Classroom API cannot post comments, so feedback is shown for the teacher to
+ * copy into Classroom.
+ */
+
+import { fetchRoster } from '../api/roster.js';
+import { RESOURCE_SCOPES } from '../api/scopes.js';
+import { AssistantError, parseJsonResponse } from './provider.js';
+
+export const GRADE_SUBMISSION_TASK = 'submission.grade';
+
+const DRIVE_FILES_URL = 'https://www.googleapis.com/drive/v3/files';
+const GOOGLE_DOC_MIME_TYPE = 'application/vnd.google-apps.document';
+
+// Longest student text sent to the model; longer work is cut off with a warning
+const MAX_TEXT_LENGTH = 20000;
+// Largest plain-text Drive file that is downloaded
+const MAX_FILE_BYTES = 1024 * 1024;
+
+// Work types with text to grade; multiple choice is graded by Classroom
+const GRADABLE_WORK_TYPES = ['ASSIGNMENT', 'SHORT_ANSWER_QUESTION'];
+
+const SYSTEM_PROMPT = [
+  'You help a teacher grade student work against a rubric.',
+  'Score each rubric criterion between 0 and its points, judging only the student work given.',
+  'Answer with one JSON object and nothing else:',
+  '{"scores": [{"criterion": "<criterion name>", "points": <number>, "comment": "<one sentence>"}],',
+  '"feedback": "<two or three sentences to the student>"}.',
+  'Give one score per criterion, using the criterion names exactly as listed.'
+].join(' ');
+
+/**
+ * @typedef {Object} RubricCriterion
+ * @property {string} name
+ * @property {number} points - Most points for this criterion
+ * @property {string} description - What earns the points
+ */
+
+/**
+ * @typedef {Object} CriterionScore
+ * @property {string} criterion - Criterion name
+ * @property {number} points
+ * @property {number} maxPoints
+ * @property {string} comment
+ */
+
+/**
+ * @typedef {Object} GradeSuggestion
+ * @property {string} submissionId
+ * @property {string} userId
+ * @property {string|null} studentName
+ * @property {string} state - Submission state
+ * @property {boolean} late
+ * @property {number|null} currentDraftGrade - Draft grade before the suggestion
+ * @property {number|null} assignedGrade - Grade already visible to the student
+ * @property {string} text - Student work the suggestion is based on
+ * @property {{type: 'shortAnswer'|'driveFile'|'link', title: string, url: string|null}[]} sources - Where the text came from
+ * @property {CriterionScore[]} scores
+ * @property {number|null} draftGrade - Suggested draft grade, scaled to the assignment's maximum; editable
+ * @property {string} feedback - Suggested comment to the student
+ * @property {string[]} warnings
+ * @property {'suggested'|'noText'|'failed'} status - 'noText' when nothing could be graded
+ * @property {string|null} error - Failure message
+ * @property {boolean} approved - Set by the teacher; only approved suggestions are applied
+ */
+
+/**
+ * @typedef {Object} GradeApplyResult
+ * @property {string} submissionId
+ * @property {string} userId
+ * @property {number|null} draftGrade
+ * @property {'done'|'skipped'|'failed'} status - 'skipped' when not approved
+ * @property {string|null} error - Failure message
+ */
+
+/**
+ * Parse a rubric written one criterion per line as `Name (N points): description`
+ * "points" may be left out or abbreviated ("(4)", "(4 pts)"); blank lines are skipped.
+ * @param {string} text
+ * @returns {RubricCriterion[]}
+ *
+ * @example
+ * parseRubric('Thesis (4 points): States a clear, arguable claim\nEvidence (6): Cites two sources');
+ */
+export function parseRubric(text) {
+  const rubric = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    const match = /^\s*(?:[-*]\s*)?(.+?)\s*\(\s*(\d+(?:\.\d+)?)\s*(?:points?|pts?)?\s*\)\s*(?::\s*(.*))?$/i.exec(line);
+    if (!match) {
+      throw new AssistantError(`Rubric line ${index + 1} is not "Name (N points): description"`, {
+        reason: 'invalidInput',
+        task: GRADE_SUBMISSION_TASK
+      });
+    }
+    rubric.push({ name: match[1], points: Number(match[2]), description: (match[3] || '').trim() });
+  });
+
+  return rubric;
+}
+
+/**
+ * Throw unless a rubric has criteria with unique names and positive points
+ * @param {RubricCriterion[]} rubric
+ */
+function validateRubric(rubric) {
+  const invalid = message => new AssistantError(message, { reason: 'invalidInput', task: GRADE_SUBMISSION_TASK });
+
+  if (!Array.isArray(rubric) || rubric.length === 0) {
+    throw invalid('The rubric has no criteria');
+  }
+  const names = new Set();
+  for (const criterion of rubric) {
+    if (!criterion?.name?.trim() || !(criterion.points > 0)) {
+      throw invalid(`Rubric criteria need a name and positive points: ${JSON.stringify(criterion)}`);
+    }
+    const key = criterion.name.trim().toLowerCase();
+    if (names.has(key)) {
+      throw invalid(`Rubric criterion listed twice: ${criterion.name}`);
+    }
+    names.add(key);
+  }
+}
+
+/**
+ * Read the text of a Drive file attached to a submission
+ * Google Docs are exported as plain text and text files downloaded; other
+ * files (PDFs, images, slides, ...) have no text to read.
+ * @param {import('../api/gcr.js').GoogleClassroomClient} client
+ * @param {string} fileId
+ * @returns {Promise<string|null>} null for files without readable text
+ */
+async function readDriveFileText(client, fileId) {
+  const fileUrl = `${DRIVE_FILES_URL}/${encodeURIComponent(fileId)}`;
+  const scopes = RESOURCE_SCOPES['drive.files.read'];
+
+  const { mimeType, size } = await client.makeRequest({ endpoint: `${fileUrl}?fields=mimeType,size`, scopes });
+  let content;
+  if (mimeType === GOOGLE_DOC_MIME_TYPE) {
+    content = await client.makeRequest({ endpoint: `${fileUrl}/export?mimeType=text/plain`, scopes });
+  } else if (mimeType?.startsWith('text/') && Number(size) <= MAX_FILE_BYTES) {
+    content = await client.makeRequest({ endpoint: `${fileUrl}?alt=media`, scopes });
+  } else {
+    return null;
+  }
+  // The HTTP client parses bodies that look like JSON
+  return typeof content === 'string' ? content : JSON.stringify(content);
+}
+
+/**
+ * Extract the gradable text of a submission
+ * Links and unreadable attachments are listed as sources without text.
+ * @param {import('../api/gcr.js').GoogleClassroomClient} client
+ * @param {import('../api/resources.js').StudentSubmission} submission
+ * @param {Object} [options]
+ * @param {boolean} [options.readDriveFiles=true] - Read attached Drive files (needs the drive.readonly scope)
+ * @returns {Promise<{text: string, sources: Object[], warnings: string[]}>}
+ */
+export async function extractSubmissionText(client, submission, { readDriveFiles = true } = {}) {
+  const parts = [];
+  const sources = [];
+  const warnings = [];
+
+  const answer = submission.shortAnswerSubmission?.answer;
+  if (answer?.trim()) {
+    parts.push(answer.trim());
+    sources.push({ type: 'shortAnswer', title: 'Short answer', url: null });
+  }
+
+  for (const attachment of submission.assignmentSubmission?.attachments || []) {
+    if (attachment.driveFile) {
+      const { id, title, alternateLink } = attachment.driveFile;
+      sources.push({ type: 'driveFile', title: title || id, url: alternateLink || null });
+      if (!readDriveFiles) {
+        continue;
+      }
+      try {
+        const content = await readDriveFileText(client, id);
+        if (content?.trim()) {
+          parts.push(`[${title || id}]\n${content.trim()}`);
+        } else {
+          warnings.push(`No text to read in ${title || id}`);
+        }
+      } catch (error) {
+        warnings.push(`Could not read ${title || id}: ${error.message}`);
+      }
+    } else if (attachment.link) {
+      sources.push({ type: 'link', title: attachment.link.title || attachment.link.url, url: attachment.link.url });
+      warnings.push(`Links are not read: ${attachment.link.url}`);
+    }
+  }
+
+  let text = parts.join('\n\n');
+  if (text.length > MAX_TEXT_LENGTH) {
+    text = text.slice(0, MAX_TEXT_LENGTH);
+    warnings.push(`Only the first ${MAX_TEXT_LENGTH} characters were graded`);
+  }
+  return { text, sources, warnings };
+}
+
+/**
+ * Offline scores for the stub provider
+ *
+ * Each criterion earns the share of its key terms (words of six letters or
+ * more in its description) that the student's text uses, rounded to half
+ * points. Crude, but deterministic and good enough to exercise the
+ * review flow without a model.
+ * @param {Object} input - Input of a grading request
+ * @param {RubricCriterion[]} input.rubric
+ * @param {string} input.text - Student work
+ * @returns {Object} Model-style answer
+ */
+export function stubGradeSubmission({ rubric, text }) {
+  const words = new Set(text.toLowerCase().match(/[a-z]{6,}/g) || []);
+  const uses = term => [...words].some(word => word.startsWith(term.slice(0, 6)));
+
+  const scores = rubric.map(criterion => {
+    const terms = [...new Set(criterion.description.toLowerCase().match(/[a-z]{6,}/g) || [])];
+    const found = terms.filter(uses);
+    const share = terms.length ? found.length / terms.length : (words.size ? 1 : 0);
+    return {
+      criterion: criterion.name,
+      points: Math.round(share * criterion.points * 2) / 2,
+      comment: terms.length
+        ? `Uses ${found.length} of ${terms.length} key terms${found.length ? ` (${found.join(', ')})` : ''}.`
+        : 'No key terms to check.'
+    };
+  });
+
+  const strong = scores.filter((score, index) => score.points >= rubric[index].points * 0.75).map(score => score.criterion);
+  const weak = scores.filter((score, index) => score.points < rubric[index].points * 0.5).map(score => score.criterion);
+  const feedback = [
+    strong.length ? `Strong work on ${strong.join(', ')}.` : '',
+    weak.length ? `Develop ${weak.join(', ')} further.` : ''
+  ].filter(Boolean).join(' ') || 'Solid work overall.';
+
+  return { scores, feedback };
+}
+
+/**
+ * Validate a model's scores against the rubric
+ * Scores are matched by criterion name, or by position when the model
+ * gave one unnamed score per criterion. Missing scores count as 0 and scores
+ * out of range are clamped, each with a warning.
+ * @param {Object} answer - Parsed model output
+ * @param {RubricCriterion[]} rubric
+ * @returns {{scores: CriterionScore[], feedback: string, warnings: string[]}}
+ */
+function normalizeScores(answer, rubric) {
+  const warnings = [];
+  const given = Array.isArray(answer.scores) ? answer.scores : [];
+  const byName = new Map(given
+    .filter(score => typeof score?.criterion === 'string')
+    .map(score => [score.criterion.trim().toLowerCase(), score]));
+
+  const scores = rubric.map((criterion, index) => {
+    const score = byName.get(criterion.name.trim().toLowerCase())
+      ?? (given.length === rubric.length && !given[index]?.criterion ? given[index] : undefined);
+    let points = Number(score?.points);
+
+    if (!score || !Number.isFinite(points)) {
+      warnings.push(`No score for ${criterion.name}; counted as 0`);
+      points = 0;
+    } else if (points < 0 || points > criterion.points) {
+      warnings.push(`Score ${points} for ${criterion.name} is outside 0-${criterion.points}`);
+      points = Math.min(Math.max(points, 0), criterion.points);
+    }
+
+    return {
+      criterion: criterion.name,
+      points,
+      maxPoints: criterion.points,
+      comment: typeof score?.comment === 'string' ? score.comment.trim() : ''
+    };
+  });
+
+  return { scores, feedback: typeof answer.feedback === 'string' ? answer.feedback.trim() : '', warnings };
+}
+
+/**
+ * Build the user message of a grading request
+ * @param {Object} input
+ * @returns {string}
+ */
+function buildPrompt({ assignment, rubric, text }) {
+  return [
+    `Assignment: ${assignment.title}`,
+    ...(assignment.description ? [`Instructions: ${assignment.description}`] : []),
+    '',
+    'Rubric:',
+    ...rubric.map(criterion => `- ${criterion.name} (${criterion.points} points): ${criterion.description}`),
+    '',
+    'Student work:',
+    text
+  ].join('\n');
+}
+
+/**
+ * Suggest draft grades and feedback for the submissions of an assignment
+ *
+ * Submissions are graded one at a time. A submission whose grading fails is
+ * reported as 'failed' without stopping the others.
+ * @param {import('../api/gcr.js').GoogleClassroomClient} client
+ * @param {string} courseId - Course identifier or alias
+ * @param {string} courseWorkId - Course work identifier
+ * @param {RubricCriterion[]} rubric
+ * @param {Object} options
+ * @param {import('./provider.js').LanguageModelProvider} options.provider - Model to score with
+ * @param {string[]} [options.states=['TURNED_IN']] - Submission states to grade
+ * @param {boolean} [options.readDriveFiles=true] - Read attached Drive files (needs the drive.readonly scope)
+ * @param {function(number, number): void} [options.onProgress] - Called with (graded, total) after each submission
+ * @returns {Promise<{courseWork: import('../api/resources.js').CourseWork, rubric: RubricCriterion[], suggestions: GradeSuggestion[]}>}
+ */
+export async function suggestGrades(client, courseId, courseWorkId, rubric, {
+  provider,
+  states = ['TURNED_IN'],
+  readDriveFiles = true,
+  onProgress
+}) {
+  validateRubric(rubric);
+
+  const [courseWork, { items: submissions }, students] = await Promise.all([
+    client.courseWork.get(courseId, courseWorkId),
+    // Every page, so no turned-in work is silently left ungraded
+    client.studentSubmissions.listAll(courseId, courseWorkId, { states }, { maxPages: Infinity }),
+    fetchRoster(client, courseId, { roles: ['STUDENT'] })
+  ]);
+
+  if (!GRADABLE_WORK_TYPES.includes(courseWork.workType)) {
+    throw new AssistantError(`Only assignments and short-answer questions can be graded, not ${courseWork.workType}`, {
+      reason: 'invalidInput',
+      task: GRADE_SUBMISSION_TASK
+    });
+  }
+  if (!(courseWork.maxPoints > 0)) {
+    throw new AssistantError(`${courseWork.title} is ungraded; set its points before grading`, {
+      reason: 'invalidInput',
+      task: GRADE_SUBMISSION_TASK
+    });
+  }
+
+  const names = new Map(students.map(student => [student.userId, student.name]));
+  const rubricPoints = rubric.reduce((sum, criterion) => sum + criterion.points, 0);
+  const assignment = { title: courseWork.title, description: courseWork.description || '', maxPoints: courseWork.maxPoints };
+
+  const suggestions = [];
+  for (const submission of submissions) {
+    const { text, sources, warnings } = await extractSubmissionText(client, submission, { readDriveFiles });
+    const suggestion = {
+      submissionId: submission.id,
+      userId: submission.userId,
+      studentName: names.get(submission.userId) || null,
+      state: submission.state,
+      late: Boolean(submission.late),
+      currentDraftGrade: submission.draftGrade ?? null,
+      assignedGrade: submission.assignedGrade ?? null,
+      text,
+      sources,
+      scores: [],
+      draftGrade: null,
+      feedback: '',
+      warnings,
+      status: 'suggested',
+      error: null,
+      approved: false
+    };
+
+    if (!text) {
+      suggestion.status = 'noText';
+    } else {
+      try {
+        const input = { assignment, rubric, text };
+        const answer = parseJsonResponse(await provider.complete({
+          task: GRADE_SUBMISSION_TASK,
+          system: SYSTEM_PROMPT,
+          prompt: buildPrompt(input),
+          input,
+          offline: stubGradeSubmission
+        }), GRADE_SUBMISSION_TASK);
+        const { scores, feedback, warnings: scoreWarnings } = normalizeScores(answer, rubric);
+        const earned = scores.reduce((sum, score) => sum + score.points, 0);
+
+        suggestion.scores = scores;
+        suggestion.feedback = feedback;
+        suggestion.draftGrade = Math.round(earned / rubricPoints * courseWork.maxPoints * 100) / 100;
+        suggestion.warnings.push(...scoreWarnings);
+      } catch (error) {
+        suggestion.status = 'failed';
+        suggestion.error = error.message;
+      }
+    }
+
+    suggestions.push(suggestion);
+    onProgress?.(suggestions.length, submissions.length);
+  }
+
+  return { courseWork, rubric, suggestions };
+}
+
+/**
+ * Write the draft grades of approved suggestions
+ * Only suggestions with `approved: true` and a draft grade are written;
+ * every other suggestion is reported as 'skipped'. Every row reports its own
+ * result, so one failed write does not stop the rest.
+ * @param {import('../api/gcr.js').GoogleClassroomClient} client
+ * @param {string} courseId - Course identifier or alias
+ * @param {string} courseWorkId - Course work identifier
+ * @param {GradeSuggestion[]} suggestions - As returned by suggestGrades(), with the teacher's approvals and edits
+ * @returns {Promise<GradeApplyResult[]>}
+ */
+export async function applyGradeSuggestions(client, courseId, courseWorkId, suggestions) {
+  return Promise.all(suggestions.map(async suggestion => {
+    const result = {
+      submissionId: suggestion.submissionId,
+      userId: suggestion.userId,
+      draftGrade: suggestion.draftGrade,
+      status: 'skipped',
+      error: null
+    };
+    if (suggestion.approved !== true || typeof suggestion.draftGrade !== 'number') {
+      return result;
+    }
+
+    try {
+      await client.studentSubmissions.grade(courseId, courseWorkId, suggestion.submissionId, {
+        draftGrade: suggestion.draftGrade
+      });
+      result.status = 'done';
+    } catch (error) {
+      result.status = 'failed';
+      result.error = error.message;
+    }
+    return result;
+  }));
+}
@@ -0,0 +1,186 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_MAX_PAGES } from '../api/pagination.js';
+import { apiError, createFakeClient, requestLines } from '../test/helpers.js';
+import { applyGradeSuggestions, parseRubric, suggestGrades } from './gradingAssistant.js';
+import { AssistantError, StubProvider } from './provider.js';
+
+const RUBRIC = [
+  { name: 'Process', points: 4, description: 'Explains chlorophyll absorbing sunlight' },
+  { name: 'Products', points: 6, description: 'Names glucose and oxygen' }
+];
+
+const DOC_TEXT = 'Chlorophyll absorbs sunlight, and the plant makes glucose and releases oxygen.';
+
+const SUBMISSIONS_PATH = '/v1/courses/c1/courseWork/w1/studentSubmissions';
+
+/**
+ * Client answering the assistant's Classroom and Drive requests; the
+ * submissions come in two pages and grading `failGrade` is refused
+ */
+function createGradingClient({ workType = 'ASSIGNMENT', maxPoints = 20, failGrade = null } = {}) {
+  const grade = id => ({ body }) => {
+    if (id === failGrade) {
+      throw apiError(403, 'The caller does not have permission');
+    }
+    return { id, ...body };
+  };
+
+  return createFakeClient({
+    '/v1/courses/c1/courseWork/w1': { id: 'w1', courseId: 'c1', title: 'Photosynthesis', workType, maxPoints },
+    '/v1/courses/c1/students': { students: [{ userId: 's1', profile: { name: { fullName: 'Grace Hopper' } } }] },
+    [SUBMISSIONS_PATH]: [
+      {
+        studentSubmissions: [
+          { id: 'sub1', userId: 's1', state: 'TURNED_IN', assignmentSubmission: { attachments: [
+            { driveFile: { id: 'doc1', title: 'Lab report' } },
+            { driveFile: { id: 'pdf1', title: 'Diagram.pdf' } }
+          ] } }
+        ]
+      },
+      {
+        studentSubmissions: [
+          { id: 'sub2', userId: 's2', state: 'TURNED_IN', draftGrade: 5, shortAnswerSubmission: { answer: 'Plants are green.' } },
+          { id: 'sub3', userId: 's3', state: 'TURNED_IN', assignmentSubmission: { attachments: [
+            { link: { url: 'https://example.org/essay' } }
+          ] } }
+        ]
+      }
+    ],
+    ...Object.fromEntries(['sub1', 'sub2', 'sub3'].map(id => [`PATCH ${SUBMISSIONS_PATH}/${id}`, grade(id)])),
+    '/drive/v3/files/doc1': { mimeType: 'application/vnd.google-apps.document' },
+    '/drive/v3/files/doc1/export': DOC_TEXT,
+    '/drive/v3/files/pdf1': { mimeType: 'application/pdf', size: '2048' }
+  });
+}
+
+describe('parseRubric()', () => {
+  it('reads one criterion per line', () => {
+    expect(parseRubric('- Thesis (4 points): States a clear claim\n\nEvidence (6 pts): Cites two sources\nStyle (2)'))
+      .toEqual([
+        { name: 'Thesis', points: 4, description: 'States a clear claim' },
+        { name: 'Evidence', points: 6, description: 'Cites two sources' },
+        { name: 'Style', points: 2, description: '' }
+      ]);
+  });
+
+  it('reports the line it cannot read', () => {
+    expect(() => parseRubric('Thesis (4): Claim\nEvidence: Cites sources')).toThrow('Rubric line 2');
+  });
+});
+
+describe('suggestGrades()', () => {
+  it('suggests grades offline from short answers and Google Docs', async () => {
+    const client = createGradingClient();
+    const provider = new StubProvider();
+    const progress = [];
+
+    const { suggestions } = await suggestGrades(client, 'c1', 'w1', RUBRIC, {
+      provider,
+      onProgress: (done, total) => progress.push([done, total])
+    });
+
+    expect(suggestions.map(suggestion => [suggestion.submissionId, suggestion.status])).toEqual([
+      ['sub1', 'suggested'],
+      ['sub2', 'suggested'],
+      ['sub3', 'noText']
+    ]);
+    expect(progress).toEqual([[1, 3], [2, 3], [3, 3]]);
+    expect(requestLines(client).filter(line => line.includes('studentSubmissions'))).toEqual([
+      `GET ${SUBMISSIONS_PATH}?states=TURNED_IN`,
+      `GET ${SUBMISSIONS_PATH}?states=TURNED_IN&pageToken=1`
+    ]);
+
+    const [report, shortAnswer, link] = suggestions;
+    expect(report).toMatchObject({ studentName: 'Grace Hopper', text: `[Lab report]\n${DOC_TEXT}`, approved: false });
+    expect(report.scores.map(score => [score.criterion, score.points])).toEqual([['Process', 3], ['Products', 6]]);
+    // 9 of 10 rubric points, scaled to the assignment's 20
+    expect(report.draftGrade).toBe(18);
+    expect(report.warnings).toEqual(['No text to read in Diagram.pdf']);
+
+    expect(shortAnswer.currentDraftGrade).toBe(5);
+    expect(shortAnswer.draftGrade).toBe(0);
+    expect(link.warnings).toEqual(['Links are not read: https://example.org/essay']);
+
+    // Only the work and rubric reach the model, not who wrote it
+    expect(provider.requests).toHaveLength(2);
+    expect(provider.requests[0].prompt).toContain('- Products (6 points): Names glucose and oxygen');
+    expect(provider.requests[0].prompt).not.toContain('Grace Hopper');
+  });
+
+  it('clamps and fills in scores from the model', async () => {
+    const provider = new StubProvider({
+      handlers: {
+        'submission.grade': () => ({ scores: [{ criterion: 'process', points: 9, comment: 'Thorough' }], feedback: 'Good.' })
+      }
+    });
+
+    const { suggestions } = await suggestGrades(createGradingClient(), 'c1', 'w1', RUBRIC, { provider });
+
+    expect(suggestions[0].scores).toEqual([
+      { criterion: 'Process', points: 4, maxPoints: 4, comment: 'Thorough' },
+      { criterion: 'Products', points: 0, maxPoints: 6, comment: '' }
+    ]);
+    expect(suggestions[0].draftGrade).toBe(8);
+    expect(suggestions[0].warnings).toContain('Score 9 for Process is outside 0-4');
+    expect(suggestions[0].warnings).toContain('No score for Products; counted as 0');
+  });
+
+  it('marks a submission failed when the model answer is unusable', async () => {
+    const provider = new StubProvider({ handlers: { 'submission.grade': () => 'I cannot grade this.' } });
+
+    const { suggestions } = await suggestGrades(createGradingClient(), 'c1', 'w1', RUBRIC, { provider });
+
+    expect(suggestions[0].status).toBe('failed');
+    expect(suggestions[0].error).toMatch(/JSON/);
+    expect(suggestions[0].draftGrade).toBeNull();
+  });
+
+  it('grades submissions past the default page guard', async () => {
+    const pages = Array.from({ length: DEFAULT_MAX_PAGES + 1 }, (_, index) => ({
+      studentSubmissions: index === DEFAULT_MAX_PAGES
+        ? [{ id: 'late-page', userId: 's1', state: 'TURNED_IN', shortAnswerSubmission: { answer: 'Glucose and oxygen.' } }]
+        : []
+    }));
+    const client = createFakeClient({
+      '/v1/courses/c1/courseWork/w1': { id: 'w1', courseId: 'c1', title: 'Photosynthesis', workType: 'SHORT_ANSWER_QUESTION', maxPoints: 10 },
+      '/v1/courses/c1/students': { students: [] },
+      [SUBMISSIONS_PATH]: pages
+    });
+
+    const { suggestions } = await suggestGrades(client, 'c1', 'w1', RUBRIC, { provider: new StubProvider() });
+
+    expect(suggestions.map(suggestion => [suggestion.submissionId, suggestion.status])).toEqual([['late-page', 'suggested']]);
+  });
+
+  it('refuses ungraded and multiple choice work', async () => {
+    const provider = new StubProvider();
+
+    for (const options of [{ maxPoints: null }, { workType: 'MULTIPLE_CHOICE_QUESTION' }]) {
+      const error = await suggestGrades(createGradingClient(options), 'c1', 'w1', RUBRIC, { provider }).catch(caught => caught);
+      expect(error).toBeInstanceOf(AssistantError);
+      expect(error.reason).toBe('invalidInput');
+    }
+    expect(provider.requests).toEqual([]);
+  });
+});
+
+describe('applyGradeSuggestions()', () => {
+  it('writes only approved draft grades', async () => {
+    const client = createGradingClient({ failGrade: 'sub3' });
+    const suggestions = [
+      { submissionId: 'sub1', userId: 's1', draftGrade: 17.5, approved: true },
+      { submissionId: 'sub2', userId: 's2', draftGrade: 4, approved: false },
+      { submissionId: 'sub3', userId: 's3', draftGrade: 12, approved: true },
+      { submissionId: 'sub4', userId: 's4', draftGrade: null, approved: true }
+    ];
+
+    const results = await applyGradeSuggestions(client, 'c1', 'w1', suggestions);
+
+    expect(client.requests.filter(request => request.method === 'PATCH').map(request => [request.endpoint, request.body])).toEqual([
+      [`https://classroom.googleapis.com${SUBMISSIONS_PATH}/sub1?updateMask=draftGrade`, { draftGrade: 17.5 }],
+      [`https://classroom.googleapis.com${SUBMISSIONS_PATH}/sub3?updateMask=draftGrade`, { draftGrade: 12 }]
+    ]);
+    expect(results.map(result => result.status)).toEqual(['done', 'skipped', 'failed', 'skipped']);
+    expect(results[2].error).toBe('The caller does not have permission');
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Language model providers for the AI assistants
+ *
+ * Assistants describe what they need as a CompletionRequest and only depend
+ * on the `complete()` method, so any backend can be plugged in:
+ *
+ * - StubProvider answers offline and deterministically, for development,
+ *   tests and demos without an API key
+ * - ChatCompletionsProvider calls an OpenAI-compatible `/chat/completions`
+ *   endpoint (OpenAI, Azure OpenAI, Ollama, LM Studio, ...)
+ *
+ * Assistants ask for JSON and validate what comes back themselves; a
+ * provider only has to return the model's text.
+ */
+
+import axios from 'axios';
+
+/**
+ * @typedef {Object} CompletionRequest
+ * @property {string} task - Task identifier (e.g. 'courseWork.draft')
+ * @property {string} system - Instructions for the model
+ * @property {string} prompt - User message, including any context
+ * @property {Object} input - Structured input the prompt was built from
+ * @property {function(Object): Object} [offline] - Deterministic answer for `input`, used by StubProvider
+ */
+
+/**
+ * @typedef {Object} LanguageModelProvider
+ * @property {string} name - Shown in the UI and recorded with results
+ * @property {function(CompletionRequest): Promise<string>} complete - Model output text (JSON for every current task)
+ */
+
+/**
+ * Failure of an assistant or its provider
+ */
+export class AssistantError extends Error {
+  name = 'AssistantError';
+
+  /**
+   * @param {string} message
+   * @param {Object} [info]
+   * @param {'provider'|'invalidResponse'|'unsupportedTask'|'invalidInput'} [info.reason]
+   * @param {string|null} [info.task] - Task of the failed request
+   * @param {Error} [info.cause] - Underlying error
+   */
+  constructor(message, { reason = 'provider', task = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.reason = reason;
+    this.task = task;
+  }
+}
+
+/**
+ * Parse the JSON object a model answered with
+ * Tolerates Markdown code fences and text around the object.
+ * @param {string} text - Model output
+ * @param {string} [task] - Task, for the error
+ * @returns {Object}
+ */
+export function parseJsonResponse(text, task = null) {
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/.exec(text);
+  const body = fenced ? fenced[1] : text;
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+
+  try {
+    const value = JSON.parse(start >= 0 && end > start ? body.slice(start, end + 1) : body);
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return value;
+    }
+  } catch {
+    // Reported below
+  }
+  throw new AssistantError('The model did not answer with a JSON object', { reason: 'invalidResponse', task });
+}
+
+/**
+ * Offline provider with deterministic answers
+ *
+ * Each task answers with its handler, or else with the request's own
+ * `offline` answer, so assistants work out of the box without a model.
+ */
+export class StubProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, function(CompletionRequest): (Object|string)>} [options.handlers] - Answers per task,
+   *   overriding the requests' offline answers
+   */
+  constructor({ handlers = {} } = {}) {
+    this.name = 'stub';
+    this.handlers = handlers;
+    this.requests = [];
+  }
+
+  /**
+   * @param {CompletionRequest} request
+   * @returns {Promise<string>}
+   */
+  async complete(request) {
+    this.requests.push(request);
+    const answer = this.handlers[request.task] || request.offline;
+    if (!answer) {
+      throw new AssistantError(`The stub provider has no answer for ${request.task}`, {
+        reason: 'unsupportedTask',
+        task: request.task
+      });
+    }
+
+    const result = await answer(request.input, request);
+    return typeof result === 'string' ? result : JSON.stringify(result);
+  }
+}
+
+/**
+ * Provider for OpenAI-compatible chat completion APIs
+ *
+ * SECURITY NOTE: An API key given here is visible to anyone using the page.
+ * In production, point `baseUrl` at a server-side proxy that adds the key.
+ */
+export class ChatCompletionsProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - API root, e.g. 'https://api.openai.com/v1' or 'http://localhost:11434/v1'
+   * @param {string} options.model - Model name
+   * @param {string} [options.apiKey] - Bearer token, if the endpoint needs one
+   * @param {number} [options.temperature=0.2]
+   * @param {number} [options.timeoutMs=60000]
+   */
+  constructor({ baseUrl, model, apiKey = null, temperature = 0.2, timeoutMs = 60000 }) {
+    if (!baseUrl || !model) {
+      throw new TypeError('ChatCompletionsProvider needs baseUrl and model');
+    }
+    this.name = model;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.model = model;
+    this.apiKey = apiKey;
+    this.temperature = temperature;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * @param {CompletionRequest} request
+   * @returns {Promise<string>}
+   */
+  async complete(request) {
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}/chat/completions`, {
+        model: this.model,
+        temperature: this.temperature,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: request.system },
+          { role: 'user', content: request.prompt }
+        ]
+      }, {
+        timeout: this.timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+        }
+      });
+    } catch (error) {
+      const detail = error.response?.data?.error?.message || error.message;
+      throw new AssistantError(`Language model request failed: ${detail}`, {
+        reason: 'provider',
+        task: request.task,
+        cause: error
+      });
+    }
+
+    const text = response.data?.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new AssistantError('Language model returned no message', { reason: 'invalidResponse', task: request.task });
+    }
+    return text;
+  }
+}
@@ -0,0 +1,95 @@
+import axios from 'axios';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { AssistantError, ChatCompletionsProvider, parseJsonResponse, StubProvider } from './provider.js';
+
+const REQUEST = {
+  task: 'test.echo',
+  system: 'Answer in JSON.',
+  prompt: 'Say hi',
+  input: { greeting: 'hi' },
+  offline: input => ({ echo: input.greeting })
+};
+
+describe('parseJsonResponse()', () => {
+  it('reads plain, fenced and surrounded JSON objects', () => {
+    expect(parseJsonResponse('{"a":1}')).toEqual({ a: 1 });
+    expect(parseJsonResponse('```json\n{"a":1}\n```')).toEqual({ a: 1 });
+    expect(parseJsonResponse('Here you go: {"a":{"b":2}} Hope that helps!')).toEqual({ a: { b: 2 } });
+  });
+
+  it('rejects answers that are not a JSON object', () => {
+    for (const text of ['Sorry, I cannot help.', '[1, 2]', '{"a":']) {
+      const error = (() => {
+        try {
+          return parseJsonResponse(text, 'test.echo');
+        } catch (caught) {
+          return caught;
+        }
+      })();
+      expect(error).toBeInstanceOf(AssistantError);
+      expect(error.reason).toBe('invalidResponse');
+      expect(error.task).toBe('test.echo');
+    }
+  });
+});
+
+describe('StubProvider', () => {
+  it('answers with the offline answer of the request', async () => {
+    const provider = new StubProvider();
+
+    expect(JSON.parse(await provider.complete(REQUEST))).toEqual({ echo: 'hi' });
+    expect(provider.requests).toEqual([REQUEST]);
+  });
+
+  it('prefers a handler for the task', async () => {
+    const provider = new StubProvider({ handlers: { 'test.echo': () => '{"echo":"handled"}' } });
+
+    expect(await provider.complete(REQUEST)).toBe('{"echo":"handled"}');
+  });
+
+  it('fails for tasks it has no answer for', async () => {
+    const error = await new StubProvider().complete({ ...REQUEST, offline: undefined }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(AssistantError);
+    expect(error.reason).toBe('unsupportedTask');
+  });
+});
+
+describe('ChatCompletionsProvider', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('sends the system and user messages and returns the reply', async () => {
+    const post = vi.spyOn(axios, 'post').mockResolvedValue({
+      data: { choices: [{ message: { role: 'assistant', content: '{"echo":"hi"}' } }] }
+    });
+    const provider = new ChatCompletionsProvider({ baseUrl: 'http://localhost:11434/v1/', model: 'llama3', apiKey: 'key' });
+
+    expect(await provider.complete(REQUEST)).toBe('{"echo":"hi"}');
+
+    const [url, body, config] = post.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(body.model).toBe('llama3');
+    expect(body.messages).toEqual([
+      { role: 'system', content: 'Answer in JSON.' },
+      { role: 'user', content: 'Say hi' }
+    ]);
+    expect(config.headers.Authorization).toBe('Bearer key');
+  });
+
+  it('wraps request failures in an AssistantError', async () => {
+    const failure = Object.assign(new Error('Request failed with status code 401'), {
+      response: { status: 401, data: { error: { message: 'Invalid API key' } } }
+    });
+    vi.spyOn(axios, 'post').mockRejectedValue(failure);
+    const provider = new ChatCompletionsProvider({ baseUrl: 'https://api.example.com/v1', model: 'model' });
+
+    const error = await provider.complete(REQUEST).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(AssistantError);
+    expect(error.reason).toBe('provider');
+    expect(error.message).toContain('Invalid API key');
+    expect(error.cause).toBe(failure);
+  });
+});
@@ -0,0 +1,564 @@
+/**
+ * Query console: answers questions about Classroom data in plain language
+ *
+ * A question such as "which students are missing more than two assignments
+ * in Biology?" is planned into one of the read-only operations below with
+ * its arguments (`{ operation: 'missingWork', args: { course: 'Biology',
+ * moreThan: 2 } }`), which is then run through the client. The planner is a
+ * language model, or the rule-based planner (`planQueryWithRules()`), which
+ * is also the offline answer of the stub provider.
+ *
+ * Operations only see a read-only view of the client that refuses anything
+ * but GET and records every call, so each answer can show the calls it made.
+ * A model can choose an operation and its arguments, but never a URL.
+ */
+
+import { buildGradebook, dueAt } from '../api/gradebook.js';
+import { collectPages } from '../api/pagination.js';
+import {
+  createCoursesResource,
+  createCourseWorkResource,
+  createStudentSubmissionsResource
+} from '../api/resources.js';
+import { fetchRoster } from '../api/roster.js';
+import { AssistantError, parseJsonResponse } from './provider.js';
+
+export const QUERY_PLAN_TASK = 'query.plan';
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+const COUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+// Average below which a student counts as failing
+const FAILING_PERCENT = 60;
+
+// Listings read every page: an answer built on a cut-off listing would be silently wrong
+const ALL_PAGES = { maxPages: Infinity };
+
+/**
+ * @typedef {Object} QueryParam
+ * @property {'course'|'count'|'percent'|'courseState'} type
+ * @property {boolean} [required]
+ * @property {string} description - Shown to the model
+ */
+
+/**
+ * @typedef {Object} QueryAnswer
+ * @property {string} summary - One-sentence answer
+ * @property {string[]} columns
+ * @property {Array<Array<string|number|null>>} rows
+ */
+
+/**
+ * @typedef {Object} QueryPlan
+ * @property {string} operation - Key of QUERY_OPERATIONS
+ * @property {Object} args - Validated arguments
+ * @property {string} explanation - How the planner read the question
+ * @property {string[]} steps - What running the plan does, in order
+ */
+
+/**
+ * @typedef {Object} QueryCall
+ * @property {string} method
+ * @property {string} endpoint
+ * @property {number} durationMs
+ * @property {string|null} error - Failure message
+ */
+
+/**
+ * @typedef {Object} QueryResult
+ * @property {string} question
+ * @property {QueryPlan} plan
+ * @property {QueryAnswer} answer
+ * @property {QueryCall[]} calls - Every API call made, planning included
+ * @property {string} planner - Name of the provider that planned the query
+ */
+
+const COURSE_PARAM = { type: 'course', required: true, description: 'Course name or ID' };
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Students of a gradebook whose count of flagged cells is above a limit
+ * @param {import('../api/gradebook.js').Gradebook} gradebook
+ * @param {'missing'|'late'} flag
+ * @param {number} moreThan
+ * @returns {Array<Array<string|number>>} Rows of name, count and assignment titles
+ */
+function flaggedStudentRows(gradebook, flag, moreThan) {
+  return gradebook.students
+    .filter(student => student[`${flag}Count`] > moreThan)
+    .sort((a, b) => b[`${flag}Count`] - a[`${flag}Count`])
+    .map(student => [
+      student.name || student.userId,
+      student[`${flag}Count`],
+      gradebook.assignments.filter(assignment => student.grades[assignment.id]?.[flag]).map(assignment => assignment.title).join(', ')
+    ]);
+}
+
+/**
+ * Read-only operations the planner can choose from
+ *
+ * Each operation lists its parameters, describes the steps it takes, and
+ * runs against the read-only client with the course argument resolved.
+ * @type {Object<string, {description: string, params: Object<string, QueryParam>,
+ *   steps: function(Object): string[], run: function(Object, Object, {now: Date}): Promise<QueryAnswer>}>}
+ */
+export const QUERY_OPERATIONS = {
+  courses: {
+    description: 'List the courses of the signed-in user',
+    params: {
+      state: { type: 'courseState', description: 'Only courses in this state: ACTIVE, ARCHIVED, PROVISIONED, DECLINED or SUSPENDED' }
+    },
+    steps: ({ state }) => [state ? `Keep the ${state.toLowerCase()} courses` : 'Show every course'],
+    async run(api, { state, courses }) {
+      const matching = courses.filter(course => !state || course.courseState === state);
+      return {
+        summary: `You have ${plural(matching.length, `${state ? `${state.toLowerCase()} ` : ''}course`)}.`,
+        columns: ['Course', 'Section', 'State', 'ID'],
+        rows: matching.map(course => [course.name, course.section || '', course.courseState || '', course.id])
+      };
+    }
+  },
+
+  students: {
+    description: 'List the students of a course',
+    params: { course: COURSE_PARAM },
+    steps: ({ course }) => [`List the students of ${course.name}`],
+    async run(api, { course }) {
+      const students = await fetchRoster(api, course.id, { roles: ['STUDENT'] });
+      return {
+        summary: `${course.name} has ${plural(students.length, 'student')}.`,
+        columns: ['Student', 'Email', 'User ID'],
+        rows: students.map(student => [student.name || '', student.email || '', student.userId])
+      };
+    }
+  },
+
+  assignments: {
+    description: 'List the published course work of a course with due dates',
+    params: {
+      course: COURSE_PARAM,
+      dueWithinDays: { type: 'count', description: 'Only work due in the next N days' }
+    },
+    steps: ({ course, dueWithinDays }) => [
+      `List the published course work of ${course.name}`,
+      ...(dueWithinDays !== undefined ? [`Keep work due in the next ${plural(dueWithinDays, 'day')}`] : [])
+    ],
+    async run(api, { course, dueWithinDays }, { now }) {
+      const { items: work } = await api.courseWork.listAll(course.id, { courseWorkStates: ['PUBLISHED'] }, ALL_PAGES);
+      const until = dueWithinDays !== undefined ? now.getTime() + dueWithinDays * 24 * 60 * 60 * 1000 : null;
+      const matching = work
+        .map(item => ({ ...item, due: dueAt(item) }))
+        .filter(item => until === null || (item.due && item.due.getTime() >= now.getTime() && item.due.getTime() <= until))
+        .sort((a, b) => (a.due?.getTime() ?? Infinity) - (b.due?.getTime() ?? Infinity));
+
+      return {
+        summary: until === null
+          ? `${course.name} has ${plural(matching.length, 'published assignment')}.`
+          : `${plural(matching.length, 'assignment')} in ${course.name} ${matching.length === 1 ? 'is' : 'are'} due in the next ${plural(dueWithinDays, 'day')}.`,
+        columns: ['Assignment', 'Points', 'Due (UTC)'],
+        rows: matching.map(item => [item.title, item.maxPoints ?? null, item.due ? item.due.toISOString().slice(0, 16).replace('T', ' ') : ''])
+      };
+    }
+  },
+
+  missingWork: {
+    description: 'Students with missing work (past due, not handed in and not graded)',
+    params: {
+      course: COURSE_PARAM,
+      moreThan: { type: 'count', description: 'Only students missing more than N assignments (default 0)' }
+    },
+    steps: ({ course, moreThan = 0 }) => [
+      `Build the gradebook of ${course.name} (students, course work and submissions)`,
+      moreThan ? `Keep students missing more than ${plural(moreThan, 'assignment')}` : 'Keep students with missing work'
+    ],
+    async run(api, { course, moreThan = 0 }, { now }) {
+      const rows = flaggedStudentRows(await buildGradebook(api, course.id, { now }), 'missing', moreThan);
+      return {
+        summary: `${plural(rows.length, 'student')} in ${course.name} ${rows.length === 1 ? 'is' : 'are'} missing `
+          + `${moreThan ? `more than ${plural(moreThan, 'assignment')}` : 'work'}.`,
+        columns: ['Student', 'Missing', 'Missing work'],
+        rows
+      };
+    }
+  },
+
+  lateWork: {
+    description: 'Students who turned work in late',
+    params: {
+      course: COURSE_PARAM,
+      moreThan: { type: 'count', description: 'Only students with more than N late submissions (default 0)' }
+    },
+    steps: ({ course, moreThan = 0 }) => [
+      `Build the gradebook of ${course.name} (students, course work and submissions)`,
+      moreThan ? `Keep students with more than ${plural(moreThan, 'late submission')}` : 'Keep students with late submissions'
+    ],
+    async run(api, { course, moreThan = 0 }, { now }) {
+      const rows = flaggedStudentRows(await buildGradebook(api, course.id, { now }), 'late', moreThan);
+      return {
+        summary: `${plural(rows.length, 'student')} in ${course.name} turned in `
+          + `${moreThan ? `more than ${plural(moreThan, 'assignment')}` : 'work'} late.`,
+        columns: ['Student', 'Late', 'Late work'],
+        rows
+      };
+    }
+  },
+
+  averages: {
+    description: 'Grade averages of the students of a course (percentage of points earned on graded work)',
+    params: {
+      course: COURSE_PARAM,
+      below: { type: 'percent', description: `Only averages below this percentage (${FAILING_PERCENT} for "failing")` }
+    },
+    steps: ({ course, below }) => [
+      `Build the gradebook of ${course.name} (students, course work and submissions)`,
+      below !== undefined ? `Keep students averaging below ${below}%` : 'Sort students by average'
+    ],
+    async run(api, { course, below }, { now }) {
+      const { students } = await buildGradebook(api, course.id, { now });
+      const matching = students
+        .filter(student => below === undefined || (student.average !== null && student.average < below))
+        .sort((a, b) => (a.average ?? Infinity) - (b.average ?? Infinity));
+
+      return {
+        summary: below === undefined
+          ? `Averages of ${plural(matching.length, 'student')} in ${course.name}.`
+          : `${plural(matching.length, 'student')} in ${course.name} ${matching.length === 1 ? 'averages' : 'average'} below ${below}%.`,
+        columns: ['Student', 'Average %'],
+        rows: matching.map(student => [student.name || student.userId, student.average])
+      };
+    }
+  },
+
+  ungraded: {
+    description: 'Turned-in submissions of a course that have no assigned grade yet',
+    params: { course: COURSE_PARAM },
+    steps: ({ course }) => [
+      `Build the gradebook of ${course.name} (students, course work and submissions)`,
+      'Keep turned-in submissions without an assigned grade'
+    ],
+    async run(api, { course }, { now }) {
+      const { students, assignments } = await buildGradebook(api, course.id, { now });
+      const rows = [];
+      for (const assignment of assignments) {
+        for (const student of students) {
+          const cell = student.grades[assignment.id];
+          if (cell?.state === 'TURNED_IN' && cell.assignedGrade === null) {
+            rows.push([assignment.title, student.name || student.userId, cell.draftGrade, cell.late ? 'yes' : 'no']);
+          }
+        }
+      }
+      return {
+        summary: `${plural(rows.length, 'submission')} in ${course.name} ${rows.length === 1 ? 'is' : 'are'} waiting for a grade.`,
+        columns: ['Assignment', 'Student', 'Draft grade', 'Late'],
+        rows
+      };
+    }
+  }
+};
+
+const COURSE_STATES = ['ACTIVE', 'ARCHIVED', 'PROVISIONED', 'DECLINED', 'SUSPENDED'];
+
+/**
+ * Parse a count written as digits or a word ("2", "two")
+ * @param {string} value
+ * @returns {number}
+ */
+function parseCount(value) {
+  return value in NUMBER_WORDS ? NUMBER_WORDS[value] : Number(value);
+}
+
+/**
+ * Plan a question with keyword rules
+ *
+ * Handles the common phrasings of each operation: "missing", "late",
+ * "ungraded", "average"/"failing"/"below N%", "assignments"/"due in the next
+ * N days", "students" and "courses", with counts such as "more than two" or
+ * "at least 3". The course is the one whose name or ID the question
+ * mentions, or else the only course with a name word (of four letters or
+ * more) in the question. Used as the stub provider's offline answer.
+ * @param {Object} input - Input of a planning request
+ * @param {string} input.question
+ * @param {{id: string, name: string}[]} input.courses - Courses the question may refer to
+ * @returns {{operation: string|null, args: Object, explanation: string}}
+ */
+export function planQueryWithRules({ question, courses }) {
+  const text = question.toLowerCase().replace(/[’']/g, '');
+  const args = {};
+
+  const words = text.split(/[^a-z0-9]+/);
+  // A word of a course name ("algebra" for "Algebra I") when it names only one course
+  const byWord = courses.filter(item => (item.name || '').toLowerCase().split(/[^a-z0-9]+/)
+    .some(word => word.length >= 4 && words.includes(word)));
+  const course = courses
+    .filter(item => item.name && text.includes(item.name.toLowerCase()))
+    .sort((a, b) => b.name.length - a.name.length)[0]
+    || courses.find(item => words.includes(item.id.toLowerCase()))
+    || (byWord.length === 1 ? byWord[0] : undefined);
+  if (course) {
+    args.course = course.name;
+  }
+
+  const moreThan = new RegExp(`\\bmore than ${COUNT}\\b`).exec(text);
+  const atLeast = new RegExp(`\\b(?:at least ${COUNT}|${COUNT} or more)\\b`).exec(text);
+  if (moreThan) {
+    args.moreThan = parseCount(moreThan[1]);
+  } else if (atLeast) {
+    args.moreThan = Math.max(parseCount(atLeast[1] || atLeast[2]) - 1, 0);
+  }
+
+  let operation = null;
+  if (/\bmissing\b|\bnot (?:turned|handed) in\b|\bhavent (?:turned|handed) in\b/.test(text)) {
+    operation = 'missingWork';
+  } else if (/\blate\b/.test(text)) {
+    operation = 'lateWork';
+  } else if (/\bungraded\b|\bnot (?:been |yet )?graded\b|\bneeds? grading\b|\bto grade\b/.test(text)) {
+    operation = 'ungraded';
+  } else if (/\baverages?\b|\bfailing\b|\bgrades?\b|\bbelow \d/.test(text)) {
+    operation = 'averages';
+    const below = /\b(?:below|under|less than|lower than)\s+(\d+(?:\.\d+)?)\s*(?:%|percent)?/.exec(text);
+    if (below) {
+      args.below = Number(below[1]);
+    } else if (/\bfailing\b/.test(text)) {
+      args.below = FAILING_PERCENT;
+    }
+  } else if (/\bassignments?\b|\bcourse ?work\b|\bhomework\b|\bdue\b/.test(text)) {
+    operation = 'assignments';
+    const within = new RegExp(`\\b(?:next|within)\\s+${COUNT}\\s+days?\\b`).exec(text);
+    if (within) {
+      args.dueWithinDays = parseCount(within[1]);
+    } else if (/\b(?:this|next) week\b/.test(text)) {
+      args.dueWithinDays = 7;
+    } else if (/\btomorrow\b/.test(text)) {
+      args.dueWithinDays = 1;
+    }
+  } else if (/\bstudents?\b|\broster\b|\benrolled\b|\bwho is in\b/.test(text)) {
+    operation = 'students';
+  } else if (/\bcourses?\b|\bclasses\b/.test(text)) {
+    operation = 'courses';
+    const state = COURSE_STATES.find(value => text.includes(value.toLowerCase()));
+    if (state) {
+      args.state = state;
+    }
+  }
+
+  if (!operation) {
+    return {
+      operation: null,
+      args: {},
+      explanation: 'Ask about courses, students, assignments, missing or late work, averages or ungraded submissions.'
+    };
+  }
+  const matched = [operation, ...Object.entries(args).map(([name, value]) => `${name} ${value}`)];
+  return { operation, args, explanation: `Rules matched ${matched.join(', ')}` };
+}
+
+/**
+ * Find the course a course argument refers to
+ * Matches an ID, then a name, then a unique part of a name (all ignoring case).
+ * @param {string|number} value
+ * @param {import('../api/resources.js').Course[]} courses
+ * @returns {import('../api/resources.js').Course}
+ */
+function resolveCourse(value, courses) {
+  const wanted = String(value).trim().toLowerCase();
+  const byId = courses.find(course => course.id.toLowerCase() === wanted);
+  const byName = courses.filter(course => course.name?.toLowerCase() === wanted);
+  const partial = courses.filter(course => course.name?.toLowerCase().includes(wanted));
+  const matches = byId ? [byId] : byName.length ? byName : partial;
+
+  if (matches.length !== 1) {
+    const names = (matches.length ? matches : courses).map(course => course.name).join(', ');
+    throw new AssistantError(matches.length
+      ? `"${value}" matches more than one course: ${names}`
+      : `No course matches "${value}"; your courses are ${names || 'none'}`, { reason: 'invalidInput', task: QUERY_PLAN_TASK });
+  }
+  return matches[0];
+}
+
+/**
+ * Validate a planner's answer against the operation catalog
+ * Unknown arguments are dropped; the course argument is resolved to a course.
+ * @param {Object} answer - Parsed planner output
+ * @param {import('../api/resources.js').Course[]} courses
+ * @returns {{operation: string, args: Object, explanation: string}}
+ */
+function normalizePlan(answer, courses) {
+  const explanation = typeof answer.explanation === 'string' ? answer.explanation.trim() : '';
+  if (answer.operation === null || answer.operation === undefined) {
+    throw new AssistantError(`Can't answer that question. ${explanation}`.trim(), { reason: 'invalidInput', task: QUERY_PLAN_TASK });
+  }
+  if (!Object.hasOwn(QUERY_OPERATIONS, answer.operation)) {
+    throw new AssistantError(`The planner chose an unknown operation: ${answer.operation}`, {
+      reason: 'invalidResponse',
+      task: QUERY_PLAN_TASK
+    });
+  }
+  const operation = QUERY_OPERATIONS[answer.operation];
+
+  const given = answer.args && typeof answer.args === 'object' ? answer.args : {};
+  const args = {};
+  for (const [name, param] of Object.entries(operation.params)) {
+    const value = given[name];
+    if (value === undefined || value === null || value === '') {
+      if (param.required) {
+        throw new AssistantError(`Which course? Your courses are ${courses.map(course => course.name).join(', ') || 'none'}`, {
+          reason: 'invalidInput',
+          task: QUERY_PLAN_TASK
+        });
+      }
+      continue;
+    }
+
+    if (param.type === 'course') {
+      args[name] = resolveCourse(value, courses);
+    } else if (param.type === 'courseState') {
+      if (COURSE_STATES.includes(String(value).toUpperCase())) {
+        args[name] = String(value).toUpperCase();
+      }
+    } else {
+      const number = Number(value);
+      if (Number.isFinite(number) && number >= 0) {
+        args[name] = param.type === 'count' ? Math.floor(number) : number;
+      }
+    }
+  }
+
+  return { operation: answer.operation, args, explanation };
+}
+
+/**
+ * Instructions for a model planner, listing the operations
+ * @returns {string}
+ */
+function buildSystemPrompt() {
+  const operations = Object.entries(QUERY_OPERATIONS).map(([name, operation]) => {
+    const params = Object.entries(operation.params)
+      .map(([param, { required, description }]) => `${param}${required ? '' : '?'}: ${description}`);
+    return `- ${name}(${params.join('; ')}): ${operation.description}`;
+  });
+
+  return [
+    'You translate a teacher\'s question about their Google Classroom data into one operation.',
+    'Operations (parameters marked ? are optional):',
+    ...operations,
+    'Answer with one JSON object and nothing else:',
+    '{"operation": "<name>", "args": {...}, "explanation": "<how you read the question>"}.',
+    'Use a course name from the list given. If no operation answers the question,',
+    'answer {"operation": null, "explanation": "<what can be asked instead>"}.'
+  ].join('\n');
+}
+
+/**
+ * View of a client for running queries: resource methods that only send GET
+ * requests, recording each call
+ * @param {import('../api/gcr.js').GoogleClassroomClient} client
+ * @param {QueryCall[]} calls - Receives the calls made
+ * @returns {Object} Client-like object with `courses`, `courseWork` and `studentSubmissions`
+ */
+export function createReadOnlyClient(client, calls) {
+  const api = {
+    async makeRequest(options) {
+      const method = (options.method || 'GET').toUpperCase();
+      if (method !== 'GET') {
+        throw new AssistantError(`Queries are read-only; refused ${method} ${options.endpoint}`, {
+          reason: 'invalidInput',
+          task: QUERY_PLAN_TASK
+        });
+      }
+
+      const call = { method, endpoint: options.endpoint, durationMs: 0, error: null };
+      calls.push(call);
+      const started = Date.now();
+      try {
+        return await client.makeRequest({ ...options, priority: options.priority || 'interactive' });
+      } catch (error) {
+        call.error = error.message;
+        throw error;
+      } finally {
+        call.durationMs = Date.now() - started;
+      }
+    }
+  };
+
+  // Listings page through the facade, so every page is checked and recorded too
+  api.collectAll = options => collectPages(api, options);
+
+  api.courses = createCoursesResource(api);
+  api.courseWork = createCourseWorkResource(api);
+  api.studentSubmissions = createStudentSubmissionsResource(api);
+  return api;
+}
+
+/**
+ * Plan a question into an operation of QUERY_OPERATIONS
+ * @param {string} question
+ * @param {Object} options
+ * @param {import('./provider.js').LanguageModelProvider} options.provider - Planner
+ * @param {import('../api/resources.js').Course[]} options.courses - Courses the question may refer to
+ * @param {Date} [options.now]
+ * @returns {Promise<QueryPlan>}
+ */
+export async function planQuery(question, { provider, courses, now = new Date() }) {
+  if (!question?.trim()) {
+    throw new AssistantError('Type a question', { reason: 'invalidInput', task: QUERY_PLAN_TASK });
+  }
+
+  const input = {
+    question: question.trim(),
+    today: now.toISOString().slice(0, 10),
+    courses: courses.map(course => ({ id: course.id, name: course.name, section: course.section || null, courseState: course.courseState || null }))
+  };
+  const text = await provider.complete({
+    task: QUERY_PLAN_TASK,
+    system: buildSystemPrompt(),
+    prompt: [
+      `Today is ${input.today}.`,
+      'Courses:',
+      ...input.courses.map(course => `- ${course.name}${course.section ? ` (${course.section})` : ''} [id ${course.id}, ${course.courseState}]`),
+      '',
+      `Question: ${input.question}`
+    ].join('\n'),
+    input,
+    offline: planQueryWithRules
+  });
+
+  const plan = normalizePlan(parseJsonResponse(text, QUERY_PLAN_TASK), courses);
+  const steps = QUERY_OPERATIONS[plan.operation].steps(plan.args);
+  return { ...plan, steps: plan.args.course ? [`Find the course "${plan.args.course.name}"`, ...steps] : steps };
+}
+
+/**
+ * Answer a question about Classroom data
+ * Lists the user's courses for the planner, plans the question, and runs the
+ * plan through a read-only view of the client.
+ * @param {import('../api/gcr.js').GoogleClassroomClient} client
+ * @param {string} question
+ * @param {Object} options
+ * @param {import('./provider.js').LanguageModelProvider} options.provider - Planner
+ * @param {Date} [options.now] - Reference time for due and missing work
+ * @returns {Promise<QueryResult>}
+ *
+ * @example
+ * const { answer, calls } = await runQuery(client, 'Which students are missing more than two assignments in Biology?',
+ *   { provider: new StubProvider() });
+ */
+export async function runQuery(client, question, { provider, now = new Date() }) {
+  const calls = [];
+  const api = createReadOnlyClient(client, calls);
+
+  const { items: courses } = await api.courses.listAll({}, ALL_PAGES);
+  const plan = await planQuery(question, { provider, courses, now });
+  const answer = await QUERY_OPERATIONS[plan.operation].run(api, { ...plan.args, courses }, { now });
+
+  return {
+    question: question.trim(),
+    plan: { ...plan, args: plan.args.course ? { ...plan.args, course: plan.args.course.name } : plan.args },
+    answer,
+    calls,
+    planner: provider.name
+  };
+}
@@ -0,0 +1,140 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_MAX_PAGES } from '../api/pagination.js';
+import { createFakeClient } from '../test/helpers.js';
+import { AssistantError, StubProvider } from './provider.js';
+import { createReadOnlyClient, planQueryWithRules, runQuery } from './queryConsole.js';
+
+const NOW = new Date('2026-03-02T10:00:00Z');
+
+const COURSES = [
+  { id: '1', name: 'Algebra I', courseState: 'ACTIVE' },
+  { id: '2', name: 'Biology', courseState: 'ACTIVE' },
+  { id: '3', name: 'Biology Lab', courseState: 'ARCHIVED' }
+];
+
+const WORK = ['w1', 'w2', 'w3'].map((id, index) => ({
+  id,
+  title: `Lab ${index + 1}`,
+  maxPoints: 10,
+  state: 'PUBLISHED',
+  creationTime: `2026-02-0${index + 1}T00:00:00Z`,
+  dueDate: { year: 2026, month: 2, day: 10 + index }
+}));
+
+/**
+ * Submissions: s1 handed nothing in, s2 turned in one lab, s3 got every lab back graded
+ */
+const SUBMISSIONS = WORK.flatMap(work => [
+  { id: `${work.id}-s1`, courseWorkId: work.id, userId: 's1', state: 'CREATED' },
+  work.id === 'w1'
+    ? { id: `${work.id}-s2`, courseWorkId: work.id, userId: 's2', state: 'TURNED_IN', late: true }
+    : { id: `${work.id}-s2`, courseWorkId: work.id, userId: 's2', state: 'CREATED' },
+  { id: `${work.id}-s3`, courseWorkId: work.id, userId: 's3', state: 'RETURNED', assignedGrade: 8 }
+]);
+
+/**
+ * Client answering Classroom GET requests from the fixtures above
+ */
+function createQueryClient() {
+  return createFakeClient({
+    '/v1/courses': { courses: COURSES },
+    '/v1/courses/2/students': {
+      students: ['s1', 's2', 's3'].map((userId, index) => ({
+        userId,
+        profile: { name: { fullName: ['Grace Hopper', 'Alan Turing', 'Katherine Johnson'][index] } }
+      }))
+    },
+    '/v1/courses/2/courseWork': { courseWork: WORK },
+    '/v1/courses/2/courseWork/-/studentSubmissions': { studentSubmissions: SUBMISSIONS }
+  });
+}
+
+describe('planQueryWithRules()', () => {
+  it.each([
+    ['Which students are missing more than two assignments in Biology?', 'missingWork', { course: 'Biology', moreThan: 2 }],
+    ['Who has at least 3 late submissions in biology lab', 'lateWork', { course: 'Biology Lab', moreThan: 2 }],
+    ['Who is failing Algebra I?', 'averages', { course: 'Algebra I', below: 60 }],
+    ['Show grades below 75% in course 2', 'averages', { course: 'Biology', below: 75 }],
+    ['What is due in Biology in the next five days?', 'assignments', { course: 'Biology', dueWithinDays: 5 }],
+    ['What still needs grading in Biology?', 'ungraded', { course: 'Biology' }],
+    ['Anything ungraded in algebra?', 'ungraded', { course: 'Algebra I' }],
+    ['List the students in Algebra I', 'students', { course: 'Algebra I' }],
+    ['How many archived courses do I have?', 'courses', { state: 'ARCHIVED' }]
+  ])('plans "%s"', (question, operation, args) => {
+    expect(planQueryWithRules({ question, courses: COURSES })).toMatchObject({ operation, args });
+  });
+
+  it('declines questions it has no rule for', () => {
+    expect(planQueryWithRules({ question: 'What is the weather like?', courses: COURSES }).operation).toBeNull();
+  });
+});
+
+describe('runQuery()', () => {
+  it('answers offline and reports the calls it made', async () => {
+    const client = createQueryClient();
+
+    const result = await runQuery(client, 'Which students are missing more than two assignments in Biology?', {
+      provider: new StubProvider(),
+      now: NOW
+    });
+
+    expect(result.plan).toMatchObject({ operation: 'missingWork', args: { course: 'Biology', moreThan: 2 } });
+    expect(result.plan.steps[0]).toBe('Find the course "Biology"');
+    expect(result.answer).toEqual({
+      summary: '1 student in Biology is missing more than 2 assignments.',
+      columns: ['Student', 'Missing', 'Missing work'],
+      rows: [['Grace Hopper', 3, 'Lab 1, Lab 2, Lab 3']]
+    });
+    expect(result.calls.map(call => `${call.method} ${new URL(call.endpoint).pathname}`)).toEqual([
+      'GET /v1/courses',
+      'GET /v1/courses/2/students',
+      'GET /v1/courses/2/courseWork',
+      'GET /v1/courses/2/courseWork/-/studentSubmissions'
+    ]);
+    expect(client.requests.every(request => request.priority === 'interactive')).toBe(true);
+  });
+
+  it('reads courses and course work past the default page guard', async () => {
+    // Biology and its only lab sit on the page after the guard
+    const pagesEndingWith = (key, items) => Array.from({ length: DEFAULT_MAX_PAGES + 1 }, (_, index) => ({
+      [key]: index === DEFAULT_MAX_PAGES ? items : []
+    }));
+    const client = createFakeClient({
+      '/v1/courses': pagesEndingWith('courses', COURSES.slice(1, 2)),
+      '/v1/courses/2/courseWork': pagesEndingWith('courseWork', WORK.slice(0, 1))
+    });
+
+    const { answer } = await runQuery(client, 'What is due in Biology?', { provider: new StubProvider(), now: NOW });
+
+    expect(answer.summary).toBe('Biology has 1 published assignment.');
+    expect(answer.rows.map(row => row[0])).toEqual(['Lab 1']);
+  });
+
+  it('rejects plans for unknown operations and courses', async () => {
+    const unknownOperation = new StubProvider({ handlers: { 'query.plan': () => ({ operation: 'deleteCourse', args: {} }) } });
+    const unknownCourse = new StubProvider({ handlers: { 'query.plan': () => ({ operation: 'students', args: { course: 'Chemistry' } }) } });
+
+    const first = await runQuery(createQueryClient(), 'Delete Biology', { provider: unknownOperation }).catch(caught => caught);
+    const second = await runQuery(createQueryClient(), 'Who takes chemistry?', { provider: unknownCourse }).catch(caught => caught);
+
+    expect(first).toBeInstanceOf(AssistantError);
+    expect(first.reason).toBe('invalidResponse');
+    expect(second).toBeInstanceOf(AssistantError);
+    expect(second.message).toBe('No course matches "Chemistry"; your courses are Algebra I, Biology, Biology Lab');
+  });
+});
+
+describe('createReadOnlyClient()', () => {
+  it('refuses requests that are not GET', async () => {
+    const client = createQueryClient();
+    const calls = [];
+    const api = createReadOnlyClient(client, calls);
+
+    const error = await api.courses.delete('2').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(AssistantError);
+    expect(error.message).toMatch(/^Queries are read-only; refused DELETE/);
+    expect(client.requests).toEqual([]);
+    expect(calls).toEqual([]);
+  });
+});
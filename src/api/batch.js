@@ -0,0 +1,281 @@
+/**
+ * Google batch HTTP requests (multipart/mixed)
+ *
+ * A batch packs up to 50 API calls into one HTTP request. Each call becomes
+ * an `application/http` part carrying its own request line, headers and body;
+ * the outer request carries the Authorization header for all of them. Google
+ * answers with a multipart/mixed response whose parts hold the individual
+ * HTTP responses, matched back to requests through their Content-ID.
+ *
+ * See https://developers.google.com/classroom/best-practices/batch
+ */
+
+import { isIdempotent } from './retry.js';
+import { GoogleClassroomError, ValidationError, errorFromResponse } from './errors.js';
+
+/** Classroom rejects batches with more than 50 calls */
+export const MAX_BATCH_SIZE = 50;
+
+const BATCH_ENDPOINT = 'https://classroom.googleapis.com/batch';
+const CRLF = '\r\n';
+
+/**
+ * @typedef {Object} BatchItem
+ * @property {string} endpoint - API endpoint URL (only path and query are sent)
+ * @property {string} [method='GET'] - HTTP method
+ * @property {Object} [body] - JSON request body
+ * @property {Object} [headers] - Additional headers for this call
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {number} status - HTTP status of the individual call
+ * @property {Object|null} data - Parsed response body
+ * @property {import('./errors.js').GoogleClassroomError|null} error - Set when the call failed (status >= 400)
+ */
+
+/**
+ * Generate a random multipart boundary
+ * @returns {string}
+ */
+function generateBoundary() {
+  const array = new Uint8Array(16);
+  crypto.getRandomValues(array);
+  return `batch_${Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Serialize calls into a multipart/mixed batch body
+ * @param {BatchItem[]} items - Calls to include
+ * @param {string} boundary - Multipart boundary
+ * @returns {string}
+ */
+export function serializeBatch(items, boundary) {
+  const parts = items.map((item, index) => {
+    const url = new URL(item.endpoint, BATCH_ENDPOINT);
+    const method = (item.method || 'GET').toUpperCase();
+    const lines = [
+      `--${boundary}`,
+      'Content-Type: application/http',
+      `Content-ID: <item${index + 1}>`,
+      '',
+      `${method} ${url.pathname}${url.search} HTTP/1.1`
+    ];
+
+    for (const [name, value] of Object.entries(item.headers || {})) {
+      lines.push(`${name}: ${value}`);
+    }
+
+    if (item.body && ['POST', 'PUT', 'PATCH'].includes(method)) {
+      const json = JSON.stringify(item.body);
+      lines.push('Content-Type: application/json', '', json);
+    } else {
+      lines.push('');
+    }
+
+    return lines.join(CRLF);
+  });
+
+  return `${parts.join(CRLF)}${CRLF}--${boundary}--${CRLF}`;
+}
+
+/**
+ * Split an HTTP message into its header block and body
+ * @param {string} message
+ * @returns {{head: string, body: string}}
+ */
+function splitMessage(message) {
+  const match = /\r?\n\r?\n/.exec(message);
+  if (!match) {
+    return { head: message, body: '' };
+  }
+  return {
+    head: message.slice(0, match.index),
+    body: message.slice(match.index + match[0].length)
+  };
+}
+
+/**
+ * Parse header lines into a lower-cased header object
+ * @param {string[]} lines
+ * @returns {Object<string, string>}
+ */
+function parseHeaders(lines) {
+  const headers = {};
+  for (const line of lines) {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+  }
+  return headers;
+}
+
+/**
+ * Parse a multipart/mixed batch response
+ * @param {string} text - Raw response body
+ * @param {string} [contentType] - Response Content-Type; the boundary is read from the body if absent
+ * @returns {Array<{contentId: string|null, status: number, headers: Object, data: *}>}
+ */
+export function parseBatchResponse(text, contentType = '') {
+  const boundary = /boundary="?([^";]+)"?/i.exec(contentType)?.[1] ||
+    /^\s*--([^\r\n]+)/.exec(text)?.[1];
+  if (!boundary) {
+    throw new GoogleClassroomError('Invalid batch response: missing multipart boundary');
+  }
+
+  return text
+    .split(`--${boundary}`)
+    .slice(1)
+    .filter(part => !part.startsWith('--'))
+    .map(part => {
+      const outer = splitMessage(part.replace(/^\r?\n/, ''));
+      const outerHeaders = parseHeaders(outer.head.split(/\r?\n/));
+      const inner = splitMessage(outer.body);
+      const [statusLine, ...headerLines] = inner.head.split(/\r?\n/);
+      const status = parseInt(statusLine.split(' ')[1], 10);
+      const body = inner.body.trim();
+
+      let data = null;
+      if (body) {
+        try {
+          data = JSON.parse(body);
+        } catch {
+          data = body;
+        }
+      }
+
+      return {
+        contentId: outerHeaders['content-id']?.replace(/^<|>$/g, '') || null,
+        status,
+        headers: parseHeaders(headerLines),
+        data
+      };
+    });
+}
+
+/**
+ * Builder that collects calls and sends them as one or more batch requests
+ *
+ * @example
+ * const results = await client.batch()
+ *   .add({ endpoint: `${base}/courses/1` })
+ *   .add({ endpoint: `${base}/courses/2` })
+ *   .execute();
+ */
+export class BatchRequest {
+  /**
+   * @param {import('./gcr.js').GoogleClassroomClient} client
+   * @param {Object} [options]
+   * @param {string} [options.endpoint] - Batch endpoint URL
+   * @param {number} [options.maxBatchSize=50] - Calls per HTTP request, an integer of at least 1
+   *   (capped at 50); larger batches are split
+   * @param {string} [options.priority] - Queue lane for the batch requests
+   */
+  constructor(client, { endpoint = BATCH_ENDPOINT, maxBatchSize = MAX_BATCH_SIZE, priority } = {}) {
+    // Anything below 1 would never shrink the list of calls left to send
+    if (!Number.isInteger(maxBatchSize) || maxBatchSize < 1) {
+      throw new ValidationError(`Batch size must be a whole number of at least 1, got ${maxBatchSize}`, { reason: 'maxBatchSize' });
+    }
+    this.client = client;
+    this.endpoint = endpoint;
+    this.maxBatchSize = Math.min(maxBatchSize, MAX_BATCH_SIZE);
+    this.priority = priority;
+    this.items = [];
+  }
+
+  /**
+   * Number of calls collected so far
+   * @returns {number}
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Add a call to the batch
+   * @param {BatchItem} item
+   * @returns {BatchRequest} this, for chaining
+   */
+  add(item) {
+    if (!item?.endpoint) {
+      throw new ValidationError('Batch items require an endpoint');
+    }
+    this.items.push(item);
+    return this;
+  }
+
+  /**
+   * Send one batch HTTP request
+   * @param {BatchItem[]} items - At most maxBatchSize calls
+   * @returns {Promise<BatchResult[]>} Results in the order of `items`
+   */
+  async send(items) {
+    const boundary = generateBoundary();
+    const response = await this.client.makeRequest({
+      endpoint: this.endpoint,
+      method: 'POST',
+      body: serializeBatch(items, boundary),
+      headers: { 'Content-Type': `multipart/mixed; boundary=${boundary}` },
+      // A batch is only safe to repeat if every call in it is
+      idempotent: items.every(item => isIdempotent(item.method || 'GET')),
+      priority: this.priority
+    });
+
+    const parts = parseBatchResponse(String(response));
+    const byContentId = new Map(parts.map(part => [part.contentId, part]));
+
+    const results = items.map((item, index) => {
+      const context = { method: (item.method || 'GET').toUpperCase(), endpoint: item.endpoint };
+      const part = byContentId.get(`response-item${index + 1}`) || parts[index];
+      if (!part) {
+        return {
+          status: 0,
+          data: null,
+          error: new GoogleClassroomError('Batch response is missing this call', context)
+        };
+      }
+
+      const error = part.status >= 400 ? errorFromResponse(part, context) : null;
+      return { status: part.status, data: error ? null : part.data, error };
+    });
+
+    // The batch itself is a POST to /batch; drop cached reads of the calls that changed data
+    if (this.client.cache) {
+      for (const [index, item] of items.entries()) {
+        if ((item.method || 'GET').toUpperCase() !== 'GET' && !results[index].error) {
+          await this.client.cache.invalidateRelated(item.endpoint, item.body);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Send all collected calls, splitting them into batches of maxBatchSize
+   * Each batch is one request through the client's queue, so batches share its
+   * concurrency and rate limits. A batch that fails as a whole (network error,
+   * 401, 429 after retries, ...) sets its error on each of its calls; the
+   * results of the other batches are kept.
+   * @returns {Promise<BatchResult[]>} Results in the order the calls were added
+   */
+  async execute() {
+    const chunks = [];
+    for (let i = 0; i < this.items.length; i += this.maxBatchSize) {
+      chunks.push(this.items.slice(i, i + this.maxBatchSize));
+    }
+
+    const outcomes = await Promise.allSettled(chunks.map(chunk => this.send(chunk)));
+    return outcomes.flatMap((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        return outcome.value;
+      }
+      // Programming errors are not batch failures
+      if (!(outcome.reason instanceof GoogleClassroomError)) {
+        throw outcome.reason;
+      }
+      return chunks[index].map(() => ({ status: outcome.reason.status || 0, data: null, error: outcome.reason }));
+    });
+  }
+}
@@ -0,0 +1,181 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { stubHttp } from '../test/helpers.js';
+import { MAX_BATCH_SIZE, parseBatchResponse, serializeBatch } from './batch.js';
+import { AuthError, NotFoundError, QuotaExceededError, ValidationError } from './errors.js';
+import { GoogleClassroomClient } from './gcr.js';
+import { SCOPES } from './scopes.js';
+
+const COURSES_URL = 'https://classroom.googleapis.com/v1/courses';
+const BATCH_URL = 'https://classroom.googleapis.com/batch';
+
+/**
+ * Multipart/mixed batch response body
+ * @param {Array<{id: string, status: number, data?: Object, headers?: string[]}>} parts
+ * @returns {string}
+ */
+function batchResponse(parts, boundary = 'batch_response') {
+  const body = parts.map(({ id, status, data = {}, headers = [] }) => [
+    `--${boundary}`,
+    'Content-Type: application/http',
+    `Content-ID: <response-${id}>`,
+    '',
+    `HTTP/1.1 ${status} Status`,
+    'Content-Type: application/json',
+    ...headers,
+    '',
+    JSON.stringify(data)
+  ].join('\r\n'));
+  return `${body.join('\r\n')}\r\n--${boundary}--\r\n`;
+}
+
+/**
+ * Content-IDs of the calls in a batch request body
+ */
+function contentIds(body) {
+  return [...body.matchAll(/Content-ID: <([^>]+)>/g)].map(match => match[1]);
+}
+
+describe('serializeBatch()', () => {
+  it('writes each call as an application/http part', () => {
+    const body = serializeBatch([
+      { endpoint: `${COURSES_URL}/1?fields=id%2Cname` },
+      {
+        endpoint: `${COURSES_URL}/1/courseWork/2/studentSubmissions/3?updateMask=draftGrade`,
+        method: 'patch',
+        body: { draftGrade: 8 },
+        headers: { 'If-Match': '"etag"' }
+      }
+    ], 'b');
+
+    expect(body).toBe([
+      '--b',
+      'Content-Type: application/http',
+      'Content-ID: <item1>',
+      '',
+      'GET /v1/courses/1?fields=id%2Cname HTTP/1.1',
+      '',
+      '--b',
+      'Content-Type: application/http',
+      'Content-ID: <item2>',
+      '',
+      'PATCH /v1/courses/1/courseWork/2/studentSubmissions/3?updateMask=draftGrade HTTP/1.1',
+      'If-Match: "etag"',
+      'Content-Type: application/json',
+      '',
+      '{"draftGrade":8}',
+      '--b--',
+      ''
+    ].join('\r\n'));
+  });
+});
+
+describe('parseBatchResponse()', () => {
+  it('reads the status, headers and body of every part', () => {
+    const text = batchResponse([
+      { id: 'item1', status: 200, data: { id: '1' }, headers: ['ETag: "a"'] },
+      { id: 'item2', status: 401, data: { error: { code: 401, message: 'Invalid Credentials' } } },
+      { id: 'item3', status: 429, data: { error: { code: 429, message: 'Quota exceeded' } }, headers: ['Retry-After: 30'] }
+    ]);
+
+    const parts = parseBatchResponse(text, 'multipart/mixed; boundary=batch_response');
+
+    expect(parts.map(part => [part.contentId, part.status])).toEqual([
+      ['response-item1', 200],
+      ['response-item2', 401],
+      ['response-item3', 429]
+    ]);
+    expect(parts[0].data).toEqual({ id: '1' });
+    expect(parts[0].headers.etag).toBe('"a"');
+    expect(parts[2].headers['retry-after']).toBe('30');
+  });
+
+  it('finds the boundary in the body without a Content-Type', () => {
+    const parts = parseBatchResponse(batchResponse([{ id: 'item1', status: 204 }]));
+    expect(parts).toHaveLength(1);
+    expect(parts[0].status).toBe(204);
+  });
+});
+
+describe('BatchRequest', () => {
+  let client;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    client = new GoogleClassroomClient('client-id', null, { retry: false, rateLimit: false });
+    await client.ready;
+    await client.saveTokensToStorage('token', 'refresh', 3600, SCOPES.COURSES_READONLY);
+  });
+
+  afterEach(() => {
+    client.close();
+  });
+
+  it('reports failed calls in their own result', async () => {
+    stubHttp(client, () => ({
+      data: batchResponse([
+        { id: 'item1', status: 200, data: { id: '1' } },
+        { id: 'item2', status: 404, data: { error: { code: 404, message: 'Requested entity was not found.' } } },
+        { id: 'item3', status: 401, data: { error: { code: 401, message: 'Invalid Credentials' } } },
+        { id: 'item4', status: 429, data: { error: { code: 429, message: 'Quota exceeded' } } }
+      ])
+    }));
+
+    const results = await client.batch()
+      .add({ endpoint: `${COURSES_URL}/1` })
+      .add({ endpoint: `${COURSES_URL}/2` })
+      .add({ endpoint: `${COURSES_URL}/3` })
+      .add({ endpoint: `${COURSES_URL}/4` })
+      .execute();
+
+    expect(results.map(result => result.status)).toEqual([200, 404, 401, 429]);
+    expect(results[0]).toEqual({ status: 200, data: { id: '1' }, error: null });
+    expect(results[1].error).toBeInstanceOf(NotFoundError);
+    expect(results[2].error).toBeInstanceOf(AuthError);
+    expect(results[3].error).toBeInstanceOf(QuotaExceededError);
+    expect(results[3].error.endpoint).toBe(`${COURSES_URL}/4`);
+  });
+
+  it(`splits more than ${MAX_BATCH_SIZE} calls into several batch requests`, async () => {
+    const calls = stubHttp(client, request => ({
+      data: batchResponse(contentIds(request.data).map(id => ({ id, status: 200, data: { id } })))
+    }));
+
+    const batch = client.batch();
+    for (let i = 0; i < 2 * MAX_BATCH_SIZE + 20; i++) {
+      batch.add({ endpoint: `${COURSES_URL}/${i}` });
+    }
+    const results = await batch.execute();
+
+    expect(MAX_BATCH_SIZE).toBe(50);
+    expect(calls.map(call => call.url)).toEqual([BATCH_URL, BATCH_URL, BATCH_URL]);
+    expect(calls.map(call => contentIds(call.data).length)).toEqual([50, 50, 20]);
+    expect(results).toHaveLength(120);
+    expect(results.every(result => result.error === null)).toBe(true);
+  });
+
+  it('keeps the results of other batches when one batch request fails', async () => {
+    let requests = 0;
+    stubHttp(client, request => {
+      requests++;
+      if (requests === 2) {
+        return { status: 503, data: { error: { code: 503, message: 'Backend Error' } } };
+      }
+      return { data: batchResponse(contentIds(request.data).map(id => ({ id, status: 200, data: { id } }))) };
+    });
+
+    const batch = client.batch({ maxBatchSize: 2 });
+    for (let i = 0; i < 5; i++) {
+      batch.add({ endpoint: `${COURSES_URL}/${i}` });
+    }
+    const results = await batch.execute();
+
+    expect(results.map(result => result.status)).toEqual([200, 200, 503, 503, 200]);
+    expect(results[2].error.status).toBe(503);
+    expect(results[2].error).toBe(results[3].error);
+    expect(results[4].data).toEqual({ id: 'item1' });
+  });
+
+  it.each([0, -1, 2.5, NaN, '10'])('rejects a maxBatchSize of %s', maxBatchSize => {
+    expect(() => client.batch({ maxBatchSize })).toThrow(ValidationError);
+  });
+});
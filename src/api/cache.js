@@ -0,0 +1,393 @@
+/**
+ * Response cache for GoogleClassroomClient
+ *
+ * Successful GET responses are stored per account, method, endpoint and granted scopes
+ * with a time-to-live. Expired entries are revalidated with `If-None-Match`
+ * when the server sent an ETag, so unchanged data costs a 304 instead of the
+ * full body. In stale-while-revalidate mode expired entries are returned
+ * immediately and refreshed in the background, and when the network is
+ * unreachable the last stored snapshot is served instead of failing.
+ *
+ * Every store implements the same asynchronous interface:
+ *
+ *   get(key)          -> Promise<CacheEntry|undefined>
+ *   set(key, entry)   -> Promise<void>
+ *   delete(key)       -> Promise<void>
+ *   keys()            -> Promise<string[]>
+ *   clear()           -> Promise<void>
+ */
+
+import { NetworkError } from './errors.js';
+import { promisifyRequest } from './storage.js';
+
+/** Default time-to-live of cached responses */
+export const DEFAULT_CACHE_TTL_MS = 60000;
+
+// Memory store size limit; the least recently used entries are dropped first
+const DEFAULT_MAX_ENTRIES = 500;
+
+// IndexedDB configuration
+const IDB_DATABASE_NAME = 'gcr-cache';
+const IDB_STORE_NAME = 'responses';
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {*} data - Response body
+ * @property {string|null} etag - ETag sent with the response
+ * @property {number} storedAt - When the response was received (ms since epoch)
+ * @property {number} expiresAt - When the entry needs revalidation (ms since epoch)
+ */
+
+/**
+ * In-memory cache store (lost on reload)
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=500] - Entries kept before evicting the least recently used
+   */
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // Map iteration follows insertion order; re-insert to mark as recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async keys() {
+    return [...this.entries.keys()];
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * IndexedDB cache store; survives reloads, which makes offline use possible
+ */
+export class IndexedDBCacheStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.databaseName='gcr-cache'] - IndexedDB database name
+   */
+  constructor({ databaseName = IDB_DATABASE_NAME } = {}) {
+    this.databaseName = databaseName;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create on first use) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      if (!globalThis.indexedDB) {
+        return Promise.reject(new Error('IndexedDB is not available in this environment'));
+      }
+
+      const request = globalThis.indexedDB.open(this.databaseName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(IDB_STORE_NAME);
+      };
+      this.dbPromise = promisifyRequest(request);
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against the object store
+   * @param {IDBTransactionMode} mode
+   * @param {function(IDBObjectStore): IDBRequest} operation
+   * @returns {Promise<*>}
+   */
+  async withStore(mode, operation) {
+    const db = await this.openDatabase();
+    const store = db.transaction(IDB_STORE_NAME, mode).objectStore(IDB_STORE_NAME);
+    return promisifyRequest(operation(store));
+  }
+
+  async get(key) {
+    return this.withStore('readonly', store => store.get(key));
+  }
+
+  async set(key, entry) {
+    await this.withStore('readwrite', store => store.put(entry, key));
+  }
+
+  async delete(key) {
+    await this.withStore('readwrite', store => store.delete(key));
+  }
+
+  async keys() {
+    return this.withStore('readonly', store => store.getAllKeys());
+  }
+
+  async clear() {
+    await this.withStore('readwrite', store => store.clear());
+  }
+}
+
+/**
+ * Path of an endpoint without query string and custom method (`:turnIn`)
+ * @param {string} endpoint
+ * @returns {string}
+ */
+function resourcePath(endpoint) {
+  return new URL(endpoint, 'https://classroom.googleapis.com').pathname.replace(/:[^/]*$/, '');
+}
+
+/**
+ * Cache of API responses in front of a cache store
+ */
+export class ResponseCache {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Cache store; defaults to a MemoryCacheStore
+   * @param {number} [options.ttlMs=60000] - Time-to-live of new entries
+   * @param {boolean} [options.staleWhileRevalidate=false] - Serve expired entries while refreshing them
+   * @param {boolean} [options.offline=true] - Serve stored entries when the network is unreachable
+   */
+  constructor({
+    store = new MemoryCacheStore(),
+    ttlMs = DEFAULT_CACHE_TTL_MS,
+    staleWhileRevalidate = false,
+    offline = true
+  } = {}) {
+    this.store = store;
+    this.ttlMs = ttlMs;
+    this.staleWhileRevalidate = staleWhileRevalidate;
+    this.offline = offline;
+    this.revalidations = new Map();
+  }
+
+  /**
+   * Build the cache key of a request
+   * @param {Object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.endpoint - Request URL
+   * @param {string[]} [request.scopes] - Scopes granted to the access token
+   * @param {string|null} [request.account] - Account the request is made for
+   * @returns {string}
+   */
+  static key({ method, endpoint, scopes = [], account = null }) {
+    return JSON.stringify([method.toUpperCase(), endpoint, [...scopes].sort().join(' '), account]);
+  }
+
+  /**
+   * Read an entry, ignoring store failures (e.g. IndexedDB blocked in private mode)
+   * @param {string} key
+   * @returns {Promise<CacheEntry|undefined>}
+   */
+  async get(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      console.error('Error reading response cache:', error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a response
+   * @param {string} key
+   * @param {Object} response
+   * @param {*} response.data - Response body
+   * @param {string|null} [response.etag] - ETag header value
+   * @param {number} [ttlMs] - Overrides the cache's default time-to-live
+   * @returns {Promise<CacheEntry>}
+   */
+  async set(key, { data, etag = null }, ttlMs = this.ttlMs) {
+    const now = Date.now();
+    const entry = { data, etag, storedAt: now, expiresAt: now + ttlMs };
+    try {
+      await this.store.set(key, entry);
+    } catch (error) {
+      console.error('Error writing response cache:', error);
+    }
+    return entry;
+  }
+
+  /**
+   * Remove entries whose endpoint matches
+   * @param {string|function(string): boolean} match - Endpoint prefix, or predicate on the endpoint
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async invalidate(match) {
+    const test = typeof match === 'function' ? match : endpoint => endpoint.startsWith(match);
+    let removed = 0;
+
+    let keys;
+    try {
+      keys = await this.store.keys();
+    } catch (error) {
+      // Nothing can be read from the store either, so there is nothing stale to serve
+      console.error('Error reading response cache:', error);
+      return 0;
+    }
+
+    for (const key of keys) {
+      const [, endpoint] = JSON.parse(key);
+      if (test(endpoint)) {
+        try {
+          await this.store.delete(key);
+          removed++;
+        } catch (error) {
+          console.error('Error deleting from response cache:', error);
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove entries a mutating call on `endpoint` may have changed: the resource
+   * itself, everything below it, and listings of its parent collection
+   * (e.g. PATCH /v1/courses/1 drops /v1/courses/1, /v1/courses/1/students and /v1/courses?...).
+   * Creating an invitation also drops the rosters of the invited course.
+   * @param {string} endpoint - URL of the mutating call
+   * @param {Object} [body] - Request body of the mutating call
+   * @returns {Promise<number>} Number of removed entries
+   */
+  invalidateRelated(endpoint, body = null) {
+    const path = resourcePath(endpoint);
+    const parent = path.slice(0, path.lastIndexOf('/'));
+    const rosters = path === '/v1/invitations' && body?.courseId
+      ? ['students', 'teachers'].map(collection => `/v1/courses/${encodeURIComponent(body.courseId)}/${collection}`)
+      : [];
+
+    return this.invalidate(cachedEndpoint => {
+      const cachedPath = resourcePath(cachedEndpoint);
+      return cachedPath === path || cachedPath.startsWith(`${path}/`) || cachedPath === parent || rosters.includes(cachedPath);
+    });
+  }
+
+  /**
+   * Remove all entries
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    try {
+      await this.store.clear();
+    } catch (error) {
+      console.error('Error clearing response cache:', error);
+    }
+  }
+
+  /**
+   * Serve a request from the cache or the network
+   * @param {string} key - Cache key (see ResponseCache.key())
+   * @param {function(Object): Promise<Object>} send - Sends the request with extra headers,
+   *   resolving to an axios-style `{ status, data, headers }` (status 304 when not modified)
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - Time-to-live for this response
+   * @param {boolean} [options.staleWhileRevalidate] - Overrides the cache's mode for this request
+   * @param {function(*): void} [options.onUpdate] - Called with fresh data after a background revalidation
+   * @param {function(Object): void} [options.onStatus] - Called with `{ source, storedAt }`, where source is
+   *   'network', 'cache', 'not-modified', 'stale' or 'offline'
+   * @returns {Promise<*>} Response body
+   */
+  async fetch(key, send, {
+    ttlMs = this.ttlMs,
+    staleWhileRevalidate = this.staleWhileRevalidate,
+    onUpdate,
+    onStatus
+  } = {}) {
+    const entry = await this.get(key);
+
+    if (entry && Date.now() < entry.expiresAt) {
+      onStatus?.({ source: 'cache', storedAt: entry.storedAt });
+      return entry.data;
+    }
+
+    if (entry && staleWhileRevalidate) {
+      onStatus?.({ source: 'stale', storedAt: entry.storedAt });
+      this.revalidate(key, send, entry, ttlMs)
+        .then(fresh => {
+          if (fresh !== entry) {
+            onUpdate?.(fresh.data);
+          }
+        })
+        .catch(error => {
+          console.error('Background revalidation failed:', error);
+        });
+      return entry.data;
+    }
+
+    try {
+      const fresh = await this.revalidate(key, send, entry, ttlMs);
+      onStatus?.({ source: fresh === entry ? 'not-modified' : 'network', storedAt: fresh.storedAt });
+      return fresh.data;
+    } catch (error) {
+      if (entry && this.offline && error instanceof NetworkError) {
+        onStatus?.({ source: 'offline', storedAt: entry.storedAt });
+        return entry.data;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a fresh copy of an entry, sharing one request per key
+   * @param {string} key
+   * @param {function(Object): Promise<Object>} send - See fetch()
+   * @param {CacheEntry|undefined} entry - Current entry, used for If-None-Match
+   * @param {number} ttlMs
+   * @returns {Promise<CacheEntry>} `entry` itself (with a new expiry) when not modified
+   */
+  revalidate(key, send, entry, ttlMs) {
+    if (!this.revalidations.has(key)) {
+      const headers = entry?.etag ? { 'If-None-Match': entry.etag } : {};
+      const promise = send(headers)
+        .then(async response => {
+          if (response.status === 304 && entry) {
+            entry.expiresAt = Date.now() + ttlMs;
+            await this.store.set(key, entry).catch(() => {});
+            return entry;
+          }
+          return this.set(key, { data: response.data, etag: response.headers?.etag || null }, ttlMs);
+        })
+        .finally(() => {
+          this.revalidations.delete(key);
+        });
+      this.revalidations.set(key, promise);
+    }
+    return this.revalidations.get(key);
+  }
+}
+
+/**
+ * Build a response cache from the client's `cache` option
+ * @param {boolean|Object|ResponseCache} [options] - true for an in-memory cache,
+ *   ResponseCache options, or a ready ResponseCache
+ * @returns {ResponseCache|null} null when caching is disabled
+ */
+export function createResponseCache(options) {
+  if (!options) {
+    return null;
+  }
+  if (options instanceof ResponseCache) {
+    return options;
+  }
+  return new ResponseCache(options === true ? {} : options);
+}
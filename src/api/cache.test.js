@@ -0,0 +1,67 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { MemoryCacheStore, ResponseCache } from './cache.js';
+
+const COURSES_URL = 'https://classroom.googleapis.com/v1/courses';
+
+const key = endpoint => ResponseCache.key({ method: 'GET', endpoint });
+
+describe('ResponseCache', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('invalidate()', () => {
+    it('treats the cache as empty when the store cannot list its keys', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const store = new MemoryCacheStore();
+      store.keys = () => Promise.reject(new Error('QuotaExceededError'));
+      const cache = new ResponseCache({ store });
+
+      await expect(cache.invalidate(COURSES_URL)).resolves.toBe(0);
+      await expect(cache.invalidateRelated(`${COURSES_URL}/1`)).resolves.toBe(0);
+      expect(console.error).toHaveBeenCalledTimes(2);
+    });
+
+    it('keeps going when deleting an entry fails', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const store = new MemoryCacheStore();
+      const cache = new ResponseCache({ store });
+      await cache.set(key(`${COURSES_URL}/1`), { data: {} });
+      await cache.set(key(`${COURSES_URL}/2`), { data: {} });
+      const remove = store.delete.bind(store);
+      store.delete = async entryKey => {
+        if (entryKey === key(`${COURSES_URL}/1`)) {
+          throw new Error('blocked');
+        }
+        return remove(entryKey);
+      };
+
+      await expect(cache.invalidate(COURSES_URL)).resolves.toBe(1);
+      expect(await store.keys()).toEqual([key(`${COURSES_URL}/1`)]);
+    });
+  });
+
+  describe('invalidateRelated()', () => {
+    it('drops the rosters of the course an invitation is for', async () => {
+      const cache = new ResponseCache();
+      const cached = [
+        `${COURSES_URL}/1/students?pageSize=50`,
+        `${COURSES_URL}/1/teachers`,
+        `${COURSES_URL}/2/students`,
+        `${COURSES_URL}/1`
+      ];
+      for (const endpoint of cached) {
+        await cache.set(key(endpoint), { data: {} });
+      }
+
+      const removed = await cache.invalidateRelated('https://classroom.googleapis.com/v1/invitations', {
+        courseId: '1',
+        userId: 'student@school.example',
+        role: 'STUDENT'
+      });
+
+      expect(removed).toBe(2);
+      expect(await cache.store.keys()).toEqual([key(`${COURSES_URL}/2/students`), key(`${COURSES_URL}/1`)]);
+    });
+  });
+});
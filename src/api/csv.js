@@ -0,0 +1,110 @@
+/**
+ * CSV reading and writing (RFC 4180)
+ *
+ * Fields containing commas, quotes or line breaks are quoted, with quotes
+ * doubled. Output lines end in CRLF as the RFC specifies; input may use
+ * either ending and start with a UTF-8 byte order mark (as saved by Excel).
+ *
+ * Text that a spreadsheet would run as a formula is written with a leading
+ * apostrophe (see neutralizeFormula()), since exported names and titles
+ * come from users.
+ */
+
+// Leading characters that make spreadsheets read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * @typedef {Object} CsvColumn
+ * @property {string} header - Column header
+ * @property {function(Object): *} value - Reads the cell value from a row
+ */
+
+/**
+ * Keep a spreadsheet from running text as a formula (CSV injection)
+ * Text starting with =, +, -, @, a tab or a carriage return gets a leading
+ * apostrophe, so it is shown as text; other values are returned as is.
+ * @param {*} value
+ * @returns {*}
+ */
+export function neutralizeFormula(value) {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Quote a single field if needed
+ * @param {*} value - null and undefined become empty fields
+ * @returns {string}
+ */
+function escapeField(value) {
+  const text = value === null || value === undefined ? '' : String(neutralizeFormula(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows as CSV with a header line
+ * @param {Object[]} rows
+ * @param {CsvColumn[]} columns
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const lines = [
+    columns.map(column => escapeField(column.header)),
+    ...rows.map(row => columns.map(column => escapeField(column.value(row))))
+  ];
+  return lines.map(fields => fields.join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * Blank lines are skipped; quoted fields may contain commas, quotes and line breaks.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let index = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
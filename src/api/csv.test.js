@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { parseCsv, toCsv } from './csv.js';
+
+const COLUMNS = [
+  { header: 'name', value: row => row.name },
+  { header: 'grade', value: row => row.grade }
+];
+
+describe('toCsv()', () => {
+  it('writes text that spreadsheets would run as a formula with a leading apostrophe', () => {
+    const csv = toCsv([
+      { name: '=HYPERLINK("http://evil.example","x")', grade: -3 },
+      { name: '+1+1', grade: null },
+      { name: '-2', grade: 4 },
+      { name: '@SUM(A1)', grade: 5 },
+      { name: '\tTab', grade: 6 },
+      { name: '\rReturn', grade: 7 },
+      { name: 'Ada = Lovelace', grade: 8 }
+    ], COLUMNS);
+
+    expect(parseCsv(csv)).toEqual([
+      ['name', 'grade'],
+      ['\'=HYPERLINK("http://evil.example","x")', '-3'],
+      ['\'+1+1', ''],
+      ['\'-2', '4'],
+      ['\'@SUM(A1)', '5'],
+      ['\'\tTab', '6'],
+      ['\'\rReturn', '7'],
+      ['Ada = Lovelace', '8']
+    ]);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Google service endpoints used by the client
+ *
+ * Every endpoint can be moved under one base URL, e.g. the mock server in
+ * server/mockGoogle.js, so the client runs fully offline:
+ *
+ *   new GoogleClassroomClient(clientId, null, { baseUrl: 'http://localhost:8789' })
+ *
+ * Under a base URL the paths stay the same as Google's (`/token`,
+ * `/o/oauth2/v2/auth`, `/v1/courses`, ...), so Classroom URLs written for
+ * classroom.googleapis.com keep working and are rebased on the way out.
+ */
+
+/**
+ * @typedef {Object} Endpoints
+ * @property {string} authorize - OAuth authorization endpoint
+ * @property {string} token - OAuth token endpoint
+ * @property {string} revoke - OAuth token revocation endpoint
+ * @property {string} userinfo - OpenID Connect userinfo endpoint
+ * @property {string} classroom - Classroom API origin (without /v1)
+ */
+
+/** @type {Endpoints} */
+export const GOOGLE_ENDPOINTS = {
+  authorize: 'https://accounts.google.com/o/oauth2/v2/auth',
+  token: 'https://oauth2.googleapis.com/token',
+  revoke: 'https://oauth2.googleapis.com/revoke',
+  userinfo: 'https://openidconnect.googleapis.com/v1/userinfo',
+  classroom: 'https://classroom.googleapis.com'
+};
+
+/**
+ * Endpoints for a base URL, or Google's without one
+ * @param {string|null} [baseUrl] - Origin (and optional path prefix) serving every endpoint
+ * @returns {Endpoints}
+ */
+export function createEndpoints(baseUrl) {
+  if (!baseUrl) {
+    return GOOGLE_ENDPOINTS;
+  }
+
+  const base = baseUrl.replace(/\/+$/, '');
+  return {
+    authorize: `${base}/o/oauth2/v2/auth`,
+    token: `${base}/token`,
+    revoke: `${base}/revoke`,
+    userinfo: `${base}/v1/userinfo`,
+    classroom: base
+  };
+}
+
+/**
+ * Move a Classroom API URL onto another Classroom origin
+ * URLs of other hosts are returned unchanged.
+ * @param {string} endpoint - Absolute URL, or a path on the Classroom API origin
+ * @param {string} classroom - Target Classroom origin (see Endpoints.classroom)
+ * @returns {string}
+ */
+export function rebaseClassroomUrl(endpoint, classroom) {
+  if (classroom === GOOGLE_ENDPOINTS.classroom) {
+    return endpoint;
+  }
+  const url = new URL(endpoint, GOOGLE_ENDPOINTS.classroom);
+  if (url.origin !== GOOGLE_ENDPOINTS.classroom) {
+    return endpoint;
+  }
+  return `${classroom}${url.pathname}${url.search}`;
+}
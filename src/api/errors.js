@@ -0,0 +1,212 @@
+/**
+ * Structured errors thrown by GoogleClassroomClient
+ *
+ * Every error extends GoogleClassroomError and carries the HTTP status, the
+ * Google error `reason` and `details`, the request method/endpoint and
+ * whether retrying might succeed, so callers can branch with `instanceof`
+ * instead of matching message text. Messages keep their historical wording
+ * (e.g. "API request failed (403): ...").
+ */
+
+// Google error reasons that signal quota/rate limiting rather than missing permissions
+const QUOTA_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded', 'quotaExceeded', 'RATE_LIMIT_EXCEEDED'];
+
+// Google error reasons that signal a token without the required OAuth scopes
+const SCOPE_REASONS = ['insufficientPermissions', 'ACCESS_TOKEN_SCOPE_INSUFFICIENT'];
+
+// Statuses worth retrying besides quota errors
+const RETRYABLE_STATUSES = [408, 500, 502, 503, 504];
+
+/**
+ * Base class for all client errors
+ */
+export class GoogleClassroomError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} [info]
+   * @param {number|null} [info.status] - HTTP status code
+   * @param {string|null} [info.reason] - Google error reason (e.g. 'notFound', 'invalid_grant')
+   * @param {Object[]} [info.details] - Google error details
+   * @param {string|null} [info.method] - HTTP method of the failed request
+   * @param {string|null} [info.endpoint] - URL of the failed request
+   * @param {boolean} [info.retryable] - Whether retrying might succeed
+   * @param {Error} [info.cause] - Underlying error
+   */
+  constructor(message, {
+    status = null,
+    reason = null,
+    details = [],
+    method = null,
+    endpoint = null,
+    retryable = false,
+    cause
+  } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'GoogleClassroomError';
+    this.status = status;
+    this.reason = reason;
+    this.details = details;
+    this.method = method;
+    this.endpoint = endpoint;
+    this.retryable = retryable;
+  }
+}
+
+/** Missing, expired or rejected credentials; re-authorization is needed */
+export class AuthError extends GoogleClassroomError {
+  name = 'AuthError';
+}
+
+/** The authenticated user may not perform this request (403) */
+export class PermissionDeniedError extends GoogleClassroomError {
+  name = 'PermissionDeniedError';
+}
+
+/**
+ * The access token lacks an OAuth scope the request needs (403)
+ * The client fills in the scopes when the request declared them, so callers
+ * can offer an incremental authorization for `missingScopes`.
+ */
+export class InsufficientScopeError extends PermissionDeniedError {
+  name = 'InsufficientScopeError';
+  requiredScopes = [];
+  missingScopes = [];
+}
+
+/** The requested resource does not exist or is not visible (404) */
+export class NotFoundError extends GoogleClassroomError {
+  name = 'NotFoundError';
+}
+
+/** Rate limit or quota exhausted (429, or 403 with a quota reason) */
+export class QuotaExceededError extends GoogleClassroomError {
+  name = 'QuotaExceededError';
+}
+
+/** No response was received (offline, DNS, CORS, timeout) */
+export class NetworkError extends GoogleClassroomError {
+  name = 'NetworkError';
+}
+
+/** The request was malformed, either rejected by Google (400) or caught before sending */
+export class ValidationError extends GoogleClassroomError {
+  name = 'ValidationError';
+}
+
+/**
+ * Extract reason, details and message from a Google API or OAuth error body
+ * @param {*} data - Response body
+ * @returns {{message: string|null, reason: string|null, details: Object[]}}
+ */
+function parseErrorBody(data) {
+  const error = data?.error;
+
+  // OAuth endpoints: { error: 'invalid_grant', error_description: '...' }
+  if (typeof error === 'string') {
+    return { message: data.error_description || error, reason: error, details: [] };
+  }
+
+  // API endpoints: { error: { code, message, status, errors: [{ reason }], details: [...] } }
+  const details = error?.details || [];
+  const reason = error?.errors?.[0]?.reason ||
+    details.find(detail => detail.reason)?.reason ||
+    error?.status ||
+    null;
+
+  return {
+    message: error?.message || data?.message || null,
+    reason,
+    details
+  };
+}
+
+/**
+ * Create the matching error for an HTTP response
+ * @param {Object} response - `{ status, data }` of the failed response
+ * @param {Object} context
+ * @param {string} [context.method] - Request method
+ * @param {string} [context.endpoint] - Request URL
+ * @param {string} [context.prefix='API request failed'] - Message prefix
+ * @param {Error} [context.cause] - Underlying error
+ * @returns {GoogleClassroomError}
+ */
+export function errorFromResponse({ status, data }, { method = null, endpoint = null, prefix = 'API request failed', cause } = {}) {
+  const { message, reason, details } = parseErrorBody(data);
+  const info = { status, reason, details, method, endpoint, cause };
+  const text = `${prefix} (${status}): ${message || `HTTP ${status}`}`;
+
+  if (status === 429 || (status === 403 && QUOTA_REASONS.includes(reason))) {
+    return new QuotaExceededError(text, { ...info, retryable: true });
+  }
+
+  if (status === 403 && [reason, ...details.map(detail => detail.reason)].some(item => SCOPE_REASONS.includes(item))) {
+    return new InsufficientScopeError(text, info);
+  }
+
+  switch (status) {
+    case 400:
+      return new ValidationError(text, info);
+    case 401:
+      return new AuthError(text, info);
+    case 403:
+      return new PermissionDeniedError(text, info);
+    case 404:
+      return new NotFoundError(text, info);
+    default:
+      return new GoogleClassroomError(text, { ...info, retryable: RETRYABLE_STATUSES.includes(status) });
+  }
+}
+
+/**
+ * Convert an axios error into a structured error
+ * @param {Error} error - Axios error (or any error thrown while sending)
+ * @param {Object} context - Same as errorFromResponse()
+ * @returns {Error} A GoogleClassroomError, or `error` itself if it did not come from axios
+ */
+export function errorFromAxios(error, context = {}) {
+  if (error instanceof GoogleClassroomError) {
+    return error;
+  }
+
+  if (error.response) {
+    return errorFromResponse(error.response, { ...context, cause: error });
+  }
+
+  // Programming errors are not network failures; pass them through untouched
+  if (!error.isAxiosError) {
+    return error;
+  }
+
+  const { method = null, endpoint = null, prefix = 'API request failed' } = context;
+  return new NetworkError(`${prefix}: ${error.message}`, {
+    method,
+    endpoint,
+    retryable: true,
+    cause: error
+  });
+}
+
+/**
+ * Convert a failed OAuth token endpoint call into an AuthError (or NetworkError)
+ * @param {Error} error - Axios error
+ * @param {Object} context
+ * @param {string} context.prefix - Message prefix (e.g. 'Token refresh failed')
+ * @param {string} context.endpoint - Token endpoint URL
+ * @param {string} [context.suffix=''] - Appended to the message (e.g. '. Please re-authorize.')
+ * @returns {Error}
+ */
+export function errorFromOAuth(error, { prefix, endpoint, suffix = '' }) {
+  if (!error.response) {
+    return errorFromAxios(error, { method: 'POST', endpoint, prefix });
+  }
+
+  const { message, reason, details } = parseErrorBody(error.response.data);
+  return new AuthError(`${prefix}: ${message || error.message}${suffix}`, {
+    status: error.response.status,
+    reason,
+    details,
+    method: 'POST',
+    endpoint,
+    cause: error
+  });
+}
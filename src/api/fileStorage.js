@@ -0,0 +1,86 @@
+/**
+ * Token storage in a JSON file (Node only)
+ *
+ * Used by the CLI to keep tokens in the user's config directory between runs.
+ * The file is created with owner-only permissions and replaced atomically, so
+ * an interrupted write never leaves half a token file behind.
+ *
+ * SECURITY NOTE: tokens are stored in clear text, protected only by file
+ * permissions. Wrap the adapter in an EncryptedStorageAdapter if that is not
+ * enough.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { StorageAdapter } from './storage.js';
+
+/**
+ * Adapter over a JSON file of `{ "<namespace>_<name>": "<value>" }`
+ */
+export class FileStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Path of the JSON file
+   * @param {string} [options.namespace='gcr'] - Prefix for all stored names
+   */
+  constructor({ file, ...options }) {
+    super(options);
+    if (!file) {
+      throw new TypeError('FileStorageAdapter needs a file path');
+    }
+    this.file = file;
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Read the whole file; a missing file is empty
+   * @returns {Promise<Object<string, string>>}
+   */
+  async readAll() {
+    try {
+      return JSON.parse(await readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a change to the stored values, one write at a time
+   * @param {function(Object<string, string>): void} change - Mutates the values
+   * @returns {Promise<void>}
+   */
+  update(change) {
+    const write = this.writes.then(async () => {
+      const items = await this.readAll();
+      change(items);
+
+      await mkdir(dirname(this.file), { recursive: true, mode: 0o700 });
+      const temporary = `${this.file}.${process.pid}.tmp`;
+      await writeFile(temporary, `${JSON.stringify(items, null, 2)}\n`, { mode: 0o600 });
+      await rename(temporary, this.file);
+    });
+    // A failed write must not block later ones
+    this.writes = write.catch(() => {});
+    return write;
+  }
+
+  async getItem(name) {
+    await this.writes;
+    return (await this.readAll())[this.key(name)] ?? null;
+  }
+
+  async setItem(name, value) {
+    await this.update(items => {
+      items[this.key(name)] = String(value);
+    });
+  }
+
+  async removeItem(name) {
+    await this.update(items => {
+      delete items[this.key(name)];
+    });
+  }
+}
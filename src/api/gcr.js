@@ -1,89 +1,384 @@
 import axios from 'axios';
+import { createDefaultStorage } from './storage.js';
+import { createRetryPolicy, withRetry } from './retry.js';
+import { RequestQueue, DEFAULT_RATE_LIMIT, PRIORITIES } from './queue.js';
+import { BatchRequest } from './batch.js';
+import { ResponseCache, createResponseCache } from './cache.js';
+import { openAuthPopup, waitForPopupCallback } from './popup.js';
+import { GOOGLE_ENDPOINTS, createEndpoints, rebaseClassroomUrl } from './endpoints.js';
+import { collectPages, listPages } from './pagination.js';
+import { IDENTITY_SCOPES, findMissingScopes, toScopeList } from './scopes.js';
+import {
+  AuthError,
+  InsufficientScopeError,
+  ValidationError,
+  errorFromAxios,
+  errorFromOAuth
+} from './errors.js';
+import {
+  createCoursesResource,
+  createCourseWorkResource,
+  createStudentSubmissionsResource
+} from './resources.js';
 
 // OAuth 2.0 Configuration
-const OAUTH_TOKEN_URL = 'https://oauth2.googleapis.com/token';
-const OAUTH_AUTH_URL = 'https://accounts.google.com/o/oauth2/v2/auth';
-const REDIRECT_URI = `${window.location.origin}/oauth/callback`;
-
-// Token storage keys
-// SECURITY NOTE: For production applications, consider using more secure storage
-// mechanisms such as encrypted storage or server-side session management.
-// localStorage is used here for simplicity but stores data in clear text.
-const TOKEN_STORAGE_KEY = 'gcr_access_token';
-const REFRESH_TOKEN_STORAGE_KEY = 'gcr_refresh_token';
-const TOKEN_EXPIRY_STORAGE_KEY = 'gcr_token_expiry';
+const REDIRECT_PATH = '/oauth/callback';
+
+// Token storage names, namespaced by the storage adapter (e.g. `gcr_access_token`)
+// SECURITY NOTE: The default adapter is localStorage, which stores data in clear text.
+// Pass an EncryptedStorageAdapter (see storage.js) or use the token broker in production.
+const TOKEN_STORAGE_KEY = 'access_token';
+const REFRESH_TOKEN_STORAGE_KEY = 'refresh_token';
+const TOKEN_EXPIRY_STORAGE_KEY = 'token_expiry';
+const GRANTED_SCOPES_STORAGE_KEY = 'granted_scopes';
+
+// Account profiles; each account's tokens are stored as `account_<id>_<name>`
+const ACCOUNTS_STORAGE_KEY = 'accounts';
+const ACTIVE_ACCOUNT_STORAGE_KEY = 'active_account';
+const TOKEN_NAMES = [TOKEN_STORAGE_KEY, REFRESH_TOKEN_STORAGE_KEY, TOKEN_EXPIRY_STORAGE_KEY, GRANTED_SCOPES_STORAGE_KEY];
+
+// Channel used to tell other tabs about sign-outs and refreshed tokens
+const BROADCAST_CHANNEL_NAME = 'gcr_auth';
+
+// Web Lock held while refreshing, so only one tab refreshes a token at a time
+const REFRESH_LOCK_PREFIX = 'gcr_token_refresh';
+
+// Session storage keys used across the OAuth redirect
+const OAUTH_STATE_KEY = 'oauth_state';
+const OAUTH_CODE_VERIFIER_KEY = 'oauth_code_verifier';
+
+/**
+ * Encode bytes as unpadded base64url (RFC 4648 section 5)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function base64UrlEncode(bytes) {
+  const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Redirect URI on the current page's origin; null outside browsers
+ * @returns {string|null}
+ */
+function defaultRedirectUri() {
+  return globalThis.location?.origin ? `${globalThis.location.origin}${REDIRECT_PATH}` : null;
+}
+
+/**
+ * Decode the payload of a JWT without verifying it
+ * Only used for ID tokens received directly from Google's token endpoint over TLS.
+ * @param {string} token - Compact JWT
+ * @returns {Object|null} Claims, or null if the token is malformed
+ */
+function decodeJwtPayload(token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(payload), char => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @typedef {Object} AccountProfile
+ * @property {string} id - Google account ID (`sub` claim)
+ * @property {string|null} email
+ * @property {string|null} name
+ * @property {string|null} picture - Profile photo URL
+ */
 
 /**
  * Class to handle Google Classroom API authentication and requests
  * 
  * SECURITY CONSIDERATIONS:
- * - Tokens are stored in localStorage which is clear text storage
- * - For production, implement encrypted storage or secure HTTP-only cookies
+ * - Tokens are stored in localStorage (clear text) unless another storage adapter is given
+ * - For production, use the EncryptedStorageAdapter or secure HTTP-only cookies
  * - Client secrets should ideally be kept server-side in production
+ * - Omit the client secret to use PKCE (RFC 7636) as a public client
  * - This implementation is suitable for development and demonstration purposes
  */
 class GoogleClassroomClient {
-  constructor(clientId, clientSecret) {
+  /**
+   * @param {string} clientId - OAuth 2.0 Client ID
+   * @param {string} [clientSecret] - OAuth 2.0 Client Secret (omit for PKCE public clients)
+   * @param {Object} [options] - Client options
+   * @param {boolean} [options.pkce] - Use PKCE; defaults to true when no client secret is given
+   * @param {string} [options.brokerUrl] - Token broker URL; tokens then stay server-side (see server/broker.js)
+   * @param {import('./serviceAccount.js').ServiceAccountCredentials} [options.credentials] - Service account
+   *   credentials; access tokens are then obtained with signed JWT assertions and kept in memory
+   * @param {string} [options.redirectUri] - OAuth redirect URI; defaults to `/oauth/callback` on the page's origin
+   * @param {string} [options.baseUrl] - Serve OAuth and Classroom requests from this URL instead of Google's
+   *   (e.g. the mock server in server/mockGoogle.js); see endpoints.js
+   * @param {import('./storage.js').StorageAdapter} [options.storage] - Token storage adapter
+   * @param {Partial<import('./retry.js').RetryPolicy>|false} [options.retry] - Retry policy overrides, or false to disable
+   * @param {function(Object): void} [options.onRetry] - Called before each retry (e.g. for logging)
+   * @param {number} [options.concurrency] - Maximum requests in flight at once
+   * @param {{requestsPerSecond: number, burst?: number}|false} [options.rateLimit] - Token-bucket limit, or false to disable
+   * @param {boolean|Object|ResponseCache} [options.cache] - Cache GET responses: true for an in-memory cache,
+   *   or ResponseCache options (store, ttlMs, staleWhileRevalidate, offline); off by default
+   * @param {boolean} [options.popup=false] - Authorize in a popup window instead of redirecting (see authorize())
+   * @param {function(Object): void} [options.onSignOut] - Called when another tab signed out,
+   *   with `{ type, accountId }`, after this client reloaded its tokens
+   */
+  constructor(clientId, clientSecret = null, options = {}) {
     this.clientId = clientId;
-    this.clientSecret = clientSecret;
+    this.clientSecret = clientSecret || null;
+    this.usePkce = options.pkce ?? !this.clientSecret;
+    this.popup = options.popup ?? false;
+    this.redirectUri = options.redirectUri || defaultRedirectUri();
+    this.credentials = options.credentials || null;
+    this.endpoints = createEndpoints(options.baseUrl);
+    this.brokerUrl = options.brokerUrl ? options.brokerUrl.replace(/\/+$/, '') : null;
+    this.brokerSession = null;
     this.accessToken = null;
     this.refreshToken = null;
     this.tokenExpiry = null;
+    this.grantedScopes = [];
+    this.account = null;
+    this.storage = options.storage || createDefaultStorage();
+    this.retryPolicy = createRetryPolicy(options.retry);
+    this.onRetry = options.onRetry || null;
+    this.queue = new RequestQueue({
+      concurrency: options.concurrency,
+      rateLimit: options.rateLimit ?? DEFAULT_RATE_LIMIT
+    });
+    this.middleware = [];
+    this.cache = createResponseCache(options.cache);
+    this.onSignOut = options.onSignOut || null;
+    this.refreshPromise = null;
+
+    // Sign-outs and refreshed tokens in one tab apply to every tab sharing the same storage.
+    // Service account tokens are per process and never shared.
+    const crossTab = !this.credentials;
+    this.channel = crossTab && globalThis.BroadcastChannel ? new BroadcastChannel(BROADCAST_CHANNEL_NAME) : null;
+    this.storageListener = null;
+    if (this.channel) {
+      this.channel.onmessage = event => this.handleBroadcast(event.data);
+      // Do not keep Node processes alive just for this channel
+      this.channel.unref?.();
+    } else if (crossTab && globalThis.addEventListener) {
+      // Without BroadcastChannel, localStorage writes from other tabs still raise storage events
+      this.storageListener = event => {
+        if (event.key?.endsWith(`_${this.tokenName(TOKEN_STORAGE_KEY)}`)) {
+          this.readStoredTokens();
+        }
+      };
+      globalThis.addEventListener('storage', this.storageListener);
+    }
     
-    // Load tokens from storage if available
-    this.loadTokensFromStorage();
+    // Load tokens from storage if available (the broker keeps them server-side and
+    // service account tokens are fetched on first use).
+    // Storage adapters are asynchronous; await `client.ready` before isAuthenticated().
+    this.ready = this.brokerUrl || this.credentials ? Promise.resolve() : this.loadTokensFromStorage();
+
+    // Typed Classroom resources (see resources.js)
+    this.courses = createCoursesResource(this);
+    this.courseWork = createCourseWorkResource(this);
+    this.studentSubmissions = createStudentSubmissionsResource(this);
   }
 
   /**
-   * Load stored tokens from localStorage
+   * Storage name of a token value for the active account
+   * Tokens saved before any account was known keep their unprefixed names.
+   * @param {string} name - Token storage name (e.g. 'access_token')
+   * @param {string|null} [accountId] - Account to address; defaults to the active one
+   * @returns {string}
    */
-  loadTokensFromStorage() {
+  tokenName(name, accountId = this.account?.id ?? null) {
+    return accountId ? `account_${accountId}_${name}` : name;
+  }
+
+  /**
+   * Load the active account and its stored tokens from the storage adapter
+   * @returns {Promise<void>}
+   */
+  async loadTokensFromStorage() {
     try {
-      this.accessToken = localStorage.getItem(TOKEN_STORAGE_KEY);
-      this.refreshToken = localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY);
-      const expiry = localStorage.getItem(TOKEN_EXPIRY_STORAGE_KEY);
+      const accounts = await this.listAccounts();
+      const activeId = await this.storage.getItem(ACTIVE_ACCOUNT_STORAGE_KEY);
+      this.account = accounts.find(account => account.id === activeId) || null;
+    } catch (error) {
+      console.error('Error loading tokens from storage:', error);
+    }
+
+    await this.readStoredTokens();
+  }
+
+  /**
+   * Read the active account's tokens from the storage adapter, e.g. after
+   * another tab refreshed them
+   * @returns {Promise<void>}
+   */
+  async readStoredTokens() {
+    try {
+      this.accessToken = await this.storage.getItem(this.tokenName(TOKEN_STORAGE_KEY));
+      this.refreshToken = await this.storage.getItem(this.tokenName(REFRESH_TOKEN_STORAGE_KEY));
+      const expiry = await this.storage.getItem(this.tokenName(TOKEN_EXPIRY_STORAGE_KEY));
       this.tokenExpiry = expiry ? parseInt(expiry, 10) : null;
+      const scopes = await this.storage.getItem(this.tokenName(GRANTED_SCOPES_STORAGE_KEY));
+      this.grantedScopes = scopes ? scopes.split(' ') : [];
     } catch (error) {
       console.error('Error loading tokens from storage:', error);
     }
   }
 
   /**
-   * Save tokens to localStorage
+   * Save tokens to the storage adapter
+   * @param {string} accessToken
+   * @param {string|null} refreshToken
+   * @param {number} expiresIn - Access token lifetime in seconds
+   * @param {string} [scope] - Space-separated scopes granted to the token
+   * @returns {Promise<void>}
    */
-  saveTokensToStorage(accessToken, refreshToken, expiresIn) {
+  async saveTokensToStorage(accessToken, refreshToken, expiresIn, scope) {
     try {
       this.accessToken = accessToken;
       this.refreshToken = refreshToken;
       this.tokenExpiry = Date.now() + (expiresIn * 1000);
+      if (scope) {
+        this.grantedScopes = scope.split(' ');
+        await this.storage.setItem(this.tokenName(GRANTED_SCOPES_STORAGE_KEY), scope);
+      }
 
-      localStorage.setItem(TOKEN_STORAGE_KEY, accessToken);
+      await this.storage.setItem(this.tokenName(TOKEN_STORAGE_KEY), accessToken);
       if (refreshToken) {
-        localStorage.setItem(REFRESH_TOKEN_STORAGE_KEY, refreshToken);
+        await this.storage.setItem(this.tokenName(REFRESH_TOKEN_STORAGE_KEY), refreshToken);
       }
-      localStorage.setItem(TOKEN_EXPIRY_STORAGE_KEY, this.tokenExpiry.toString());
+      await this.storage.setItem(this.tokenName(TOKEN_EXPIRY_STORAGE_KEY), this.tokenExpiry.toString());
     } catch (error) {
       console.error('Error saving tokens to storage:', error);
     }
   }
 
   /**
-   * Clear stored tokens
+   * Clear stored tokens of the active account
+   * @returns {Promise<void>}
    */
-  clearTokens() {
+  async clearTokens() {
     this.accessToken = null;
     this.refreshToken = null;
     this.tokenExpiry = null;
+    this.grantedScopes = [];
     
     try {
-      localStorage.removeItem(TOKEN_STORAGE_KEY);
-      localStorage.removeItem(REFRESH_TOKEN_STORAGE_KEY);
-      localStorage.removeItem(TOKEN_EXPIRY_STORAGE_KEY);
+      for (const name of TOKEN_NAMES) {
+        await this.storage.removeItem(this.tokenName(name));
+      }
     } catch (error) {
       console.error('Error clearing tokens:', error);
     }
   }
 
+  /**
+   * List the accounts that have signed in on this client's storage
+   * @returns {Promise<AccountProfile[]>}
+   */
+  async listAccounts() {
+    if (this.brokerUrl) {
+      return [];
+    }
+
+    const stored = await this.storage.getItem(ACCOUNTS_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  }
+
+  /**
+   * Make another signed-in account the active one
+   * @param {string} accountId - AccountProfile id
+   * @returns {Promise<AccountProfile>}
+   */
+  async switchAccount(accountId) {
+    if (this.brokerUrl) {
+      throw new ValidationError('Account switching is not available in broker mode');
+    }
+
+    await this.ready;
+    const accounts = await this.listAccounts();
+    const account = accounts.find(item => item.id === accountId);
+    if (!account) {
+      throw new ValidationError(`Unknown account: ${accountId}`, { reason: 'unknownAccount' });
+    }
+
+    await this.storage.setItem(ACTIVE_ACCOUNT_STORAGE_KEY, account.id);
+    await this.loadTokensFromStorage();
+    return account;
+  }
+
+  /**
+   * Forget an account and its tokens
+   * If it was the active account, the next remaining account becomes active.
+   * @param {string} accountId - AccountProfile id
+   * @returns {Promise<void>}
+   */
+  async removeAccount(accountId) {
+    await this.ready;
+    const accounts = await this.listAccounts();
+    const remaining = accounts.filter(account => account.id !== accountId);
+
+    for (const name of TOKEN_NAMES) {
+      await this.storage.removeItem(this.tokenName(name, accountId));
+    }
+    await this.storage.setItem(ACCOUNTS_STORAGE_KEY, JSON.stringify(remaining));
+
+    if (this.account?.id === accountId) {
+      if (remaining.length > 0) {
+        await this.storage.setItem(ACTIVE_ACCOUNT_STORAGE_KEY, remaining[0].id);
+      } else {
+        await this.storage.removeItem(ACTIVE_ACCOUNT_STORAGE_KEY);
+      }
+      await this.loadTokensFromStorage();
+    }
+  }
+
+  /**
+   * Store an account profile and make it the active account
+   * Tokens saved before accounts were tracked belong to an unknown account and are dropped.
+   * @param {AccountProfile} profile
+   * @returns {Promise<void>}
+   */
+  async activateAccount(profile) {
+    if (!this.account) {
+      await this.clearTokens();
+    }
+
+    const accounts = (await this.listAccounts()).filter(account => account.id !== profile.id);
+    await this.storage.setItem(ACCOUNTS_STORAGE_KEY, JSON.stringify([...accounts, profile]));
+    await this.storage.setItem(ACTIVE_ACCOUNT_STORAGE_KEY, profile.id);
+    this.account = profile;
+  }
+
+  /**
+   * Identify the account a token response belongs to, from its ID token or the userinfo endpoint
+   * @param {Object} tokens - Token endpoint response
+   * @returns {Promise<AccountProfile|null>} null if the account cannot be identified
+   */
+  async resolveAccountProfile(tokens) {
+    let claims = tokens.id_token ? decodeJwtPayload(tokens.id_token) : null;
+
+    if (!claims?.sub) {
+      try {
+        const response = await this.runPipeline({
+          url: this.endpoints.userinfo,
+          method: 'GET',
+          headers: { 'Authorization': `Bearer ${tokens.access_token}` }
+        }, { type: 'oauth' });
+        claims = response.data;
+      } catch (error) {
+        console.error('Error loading account profile:', error);
+        return null;
+      }
+    }
+
+    return {
+      id: claims.sub,
+      email: claims.email || null,
+      name: claims.name || null,
+      picture: claims.picture || null
+    };
+  }
+
   /**
    * Check if the current access token is expired
    */
@@ -104,33 +399,229 @@ class GoogleClassroomClient {
     return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
   }
 
+  /**
+   * Generate a random PKCE code verifier (43 base64url characters)
+   */
+  generateCodeVerifier() {
+    const array = new Uint8Array(32);
+    crypto.getRandomValues(array);
+    return base64UrlEncode(array);
+  }
+
+  /**
+   * Derive the S256 PKCE code challenge for a code verifier
+   * @param {string} verifier - PKCE code verifier
+   * @returns {Promise<string>} base64url-encoded SHA-256 digest
+   */
+  async generateCodeChallenge(verifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    return base64UrlEncode(new Uint8Array(digest));
+  }
+
+  /**
+   * Call the OAuth token endpoint through the middleware pipeline
+   * @param {Object} params - Grant-specific parameters
+   * @returns {Promise<Object>} Axios response
+   */
+  requestTokens(params) {
+    return this.runPipeline({
+      url: this.endpoints.token,
+      method: 'POST',
+      data: this.buildTokenRequestBody(params),
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    }, { type: 'oauth' });
+  }
+
+  /**
+   * Build a token endpoint request body, adding the client secret only when configured
+   * @param {Object} params - Grant-specific parameters
+   * @returns {Object}
+   */
+  buildTokenRequestBody(params) {
+    const body = { ...params, client_id: this.clientId };
+    if (this.clientSecret) {
+      body.client_secret = this.clientSecret;
+    }
+    return body;
+  }
+
+  /**
+   * Scopes granted to the current access token (or broker session)
+   * @returns {string[]}
+   */
+  getGrantedScopes() {
+    if (this.brokerUrl) {
+      return toScopeList(this.brokerSession?.scope);
+    }
+    return this.grantedScopes;
+  }
+
+  /**
+   * Check whether the granted scopes cover the given scopes
+   * A read-write scope also covers its `.readonly` variant.
+   * @param {string|Array<string|string[]>} scopes - Scopes, or arrays of alternatives
+   * @returns {boolean}
+   */
+  hasScopes(scopes) {
+    return findMissingScopes(scopes, this.getGrantedScopes()).length === 0;
+  }
+
+  /**
+   * Make sure the granted scopes cover the given scopes, starting an
+   * incremental authorization for the missing ones otherwise
+   * @param {string|Array<string|string[]>} scopes - Scopes, or arrays of alternatives
+   * @returns {Promise<boolean>} true if already granted; false if the browser is being redirected
+   */
+  async ensureScopes(scopes) {
+    await this.ready;
+    const missing = findMissingScopes(scopes, this.getGrantedScopes());
+    if (missing.length === 0) {
+      return true;
+    }
+    await this.authorize(missing);
+    return false;
+  }
+
   /**
    * Initiate OAuth 2.0 authorization code flow
+   *
+   * When the active account already holds a refresh token, only scopes it has
+   * not been granted yet are requested and Google merges them into the
+   * existing grant (`include_granted_scopes`), without forcing the consent
+   * screen again.
+   *
+   * In popup mode the consent screen opens in a popup window and the promise
+   * resolves with the token response once the code has been exchanged, so
+   * the app keeps its state. If the browser blocks the popup, the page is
+   * redirected as usual. Call it directly from a click handler.
+   *
    * @param {string|string[]} scopes - OAuth scopes required
-   * @returns {Promise<void>}
+   * @param {Object} [options]
+   * @param {boolean} [options.addAccount=false] - Sign in another account instead of upgrading the active one
+   * @param {boolean} [options.popup] - Use a popup window; defaults to the client's `popup` option
+   * @returns {Promise<Object|void>} Token response in popup mode; never settles usefully when redirecting
    */
-  async authorize(scopes) {
-    const scopeString = Array.isArray(scopes) ? scopes.join(' ') : scopes;
-    const state = this.generateState();
+  async authorize(scopes, { addAccount = false, popup = this.popup } = {}) {
+    if (this.credentials) {
+      throw new ValidationError('Service account clients do not use interactive authorization', {
+        reason: 'serviceAccount'
+      });
+    }
+
+    // Open the popup before the first await so it still counts as user-initiated
+    const popupWindow = popup && !this.brokerUrl ? openAuthPopup() : null;
+
+    if (this.brokerUrl) {
+      // The broker runs the code exchange and redirects back here with a session cookie
+      const params = new URLSearchParams({
+        scope: this.resolveAuthorizationScopes(scopes, { addAccount }).scope,
+        return_to: window.location.href
+      });
+      window.location.href = `${this.brokerUrl}/auth/login?${params.toString()}`;
+      return;
+    }
+
+    let request;
+    try {
+      request = await this.createAuthorizationRequest(scopes, { addAccount });
+    } catch (error) {
+      // Do not leave an empty popup behind
+      popupWindow?.close();
+      throw error;
+    }
+
+    if (popupWindow) {
+      // State and verifier never leave this window; the popup only reports the result
+      popupWindow.location.href = request.url;
+      return this.completeAuthorization(await waitForPopupCallback(popupWindow), request);
+    }
+
+    // Store state and PKCE verifier for verification after the redirect
+    sessionStorage.setItem(OAUTH_STATE_KEY, request.state);
+    if (request.codeVerifier) {
+      sessionStorage.setItem(OAUTH_CODE_VERIFIER_KEY, request.codeVerifier);
+    }
     
-    // Store state for verification after redirect
-    sessionStorage.setItem('oauth_state', state);
+    // Redirect user to Google's authorization page
+    window.location.href = request.url;
+  }
+
+  /**
+   * Scopes to request for an authorization
+   * @param {string|string[]} scopes - OAuth scopes required
+   * @param {Object} [options]
+   * @param {boolean} [options.addAccount=false] - Sign in another account instead of upgrading the active one
+   * @returns {{scope: string, incremental: boolean}} Space-separated scopes, and whether only missing ones are asked for
+   */
+  resolveAuthorizationScopes(scopes, { addAccount = false } = {}) {
+    const requested = toScopeList(scopes);
+    const incremental = !addAccount && !this.brokerUrl && !!this.refreshToken;
+    const missing = incremental ? findMissingScopes(requested, this.grantedScopes) : [];
+    const wanted = missing.length > 0 ? missing : requested;
+    return { scope: [...new Set([...wanted, ...IDENTITY_SCOPES])].join(' '), incremental };
+  }
+
+  /**
+   * Build the Google authorization URL with a fresh state and PKCE verifier
+   * authorize() sends the browser there. Other callers (e.g. the CLI's
+   * loopback flow) open `url` themselves and hand the callback parameters to
+   * completeAuthorization().
+   * @param {string|string[]} scopes - OAuth scopes required
+   * @param {Object} [options]
+   * @param {boolean} [options.addAccount=false] - Sign in another account instead of upgrading the active one
+   * @returns {Promise<{url: string, state: string, codeVerifier: string|null}>}
+   */
+  async createAuthorizationRequest(scopes, { addAccount = false } = {}) {
+    const { scope, incremental } = this.resolveAuthorizationScopes(scopes, { addAccount });
+    const state = this.generateState();
     
     // Build authorization URL
     const params = new URLSearchParams({
       client_id: this.clientId,
-      redirect_uri: REDIRECT_URI,
+      redirect_uri: this.redirectUri,
       response_type: 'code',
-      scope: scopeString,
+      scope: scope,
       state: state,
       access_type: 'offline', // Request refresh token
-      prompt: 'consent' // Force consent to get refresh token
+      include_granted_scopes: 'true'
     });
 
-    const authUrl = `${OAUTH_AUTH_URL}?${params.toString()}`;
-    
-    // Redirect user to Google's authorization page
-    window.location.href = authUrl;
+    if (incremental) {
+      // Upgrade the signed-in account; Google only asks for the new scopes
+      if (this.account?.email) {
+        params.set('login_hint', this.account.email);
+      }
+    } else {
+      // Let the user pick an account; force consent to get a refresh token
+      params.set('prompt', 'select_account consent');
+    }
+
+    let codeVerifier = null;
+    if (this.usePkce) {
+      codeVerifier = this.generateCodeVerifier();
+      params.set('code_challenge', await this.generateCodeChallenge(codeVerifier));
+      params.set('code_challenge_method', 'S256');
+    }
+
+    return { url: `${this.endpoints.authorize}?${params.toString()}`, state, codeVerifier };
+  }
+
+  /**
+   * Check the parameters Google redirected back with and exchange the code
+   * @param {URLSearchParams} result - Callback query parameters (code, state or error)
+   * @param {{state: string, codeVerifier: string|null}} request - From createAuthorizationRequest()
+   * @returns {Promise<Object>} Token response
+   */
+  async completeAuthorization(result, { state, codeVerifier }) {
+    if (result.get('error')) {
+      throw new AuthError(`Authorization failed: ${result.get('error')}`, { reason: result.get('error') });
+    }
+    if (result.get('state') !== state) {
+      throw new AuthError('Invalid state parameter - possible CSRF attack', { reason: 'invalid_state' });
+    }
+    return this.exchangeCode(result.get('code'), codeVerifier);
   }
 
   /**
@@ -140,79 +631,192 @@ class GoogleClassroomClient {
    * @returns {Promise<Object>} Token response
    */
   async handleCallback(code, state) {
+    if (this.brokerUrl) {
+      throw new ValidationError('OAuth callbacks are handled by the token broker in broker mode');
+    }
+
     // Verify state parameter
-    const savedState = sessionStorage.getItem('oauth_state');
+    const savedState = sessionStorage.getItem(OAUTH_STATE_KEY);
     if (state !== savedState) {
-      throw new Error('Invalid state parameter - possible CSRF attack');
+      throw new AuthError('Invalid state parameter - possible CSRF attack', { reason: 'invalid_state' });
     }
     
-    sessionStorage.removeItem('oauth_state');
+    sessionStorage.removeItem(OAUTH_STATE_KEY);
+
+    const codeVerifier = sessionStorage.getItem(OAUTH_CODE_VERIFIER_KEY);
+    sessionStorage.removeItem(OAUTH_CODE_VERIFIER_KEY);
+    if (this.usePkce && !codeVerifier) {
+      throw new AuthError('Missing PKCE code verifier - please restart authorization', { reason: 'missing_code_verifier' });
+    }
+
+    return this.exchangeCode(code, codeVerifier);
+  }
+
+  /**
+   * Exchange an authorization code for tokens and store them for its account
+   * @param {string} code - Authorization code
+   * @param {string|null} codeVerifier - PKCE code verifier, if PKCE was used
+   * @returns {Promise<Object>} Token response
+   */
+  async exchangeCode(code, codeVerifier) {
+    const params = {
+      code: code,
+      redirect_uri: this.redirectUri,
+      grant_type: 'authorization_code'
+    };
+    if (codeVerifier) {
+      params.code_verifier = codeVerifier;
+    }
 
     try {
-      const response = await axios.post(OAUTH_TOKEN_URL, {
-        code: code,
-        client_id: this.clientId,
-        client_secret: this.clientSecret,
-        redirect_uri: REDIRECT_URI,
-        grant_type: 'authorization_code'
-      }, {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      });
+      const response = await this.requestTokens(params);
 
-      const { access_token, refresh_token, expires_in } = response.data;
+      const { access_token, refresh_token, expires_in, scope } = response.data;
+      const previousAccountId = this.account?.id ?? null;
+
+      // Tokens are stored per account; keep the previous single-account layout if unidentified
+      const profile = await this.resolveAccountProfile(response.data);
+      if (profile) {
+        await this.activateAccount(profile);
+      }
+
+      // Incremental grants may omit the refresh token; the existing one covers the merged grant
+      const sameAccount = (this.account?.id ?? null) === previousAccountId;
       
       // Save tokens
-      this.saveTokensToStorage(access_token, refresh_token, expires_in);
+      await this.saveTokensToStorage(
+        access_token,
+        refresh_token || (sameAccount ? this.refreshToken : null),
+        expires_in,
+        scope
+      );
 
       return response.data;
     } catch (error) {
-      const errorMsg = error.response?.data?.error_description || 
-                      error.response?.data?.error || 
-                      error.message;
-      throw new Error(`Token exchange failed: ${errorMsg}`);
+      throw errorFromOAuth(error, { prefix: 'Token exchange failed', endpoint: this.endpoints.token });
     }
   }
 
   /**
    * Refresh the access token using the refresh token
+   *
+   * Concurrent callers share one in-flight refresh. Across tabs a Web Lock
+   * makes sure only one tab refreshes; tabs waiting for the lock pick up the
+   * token it stored instead of refreshing again.
+   *
+   * @returns {Promise<Object>} Token response
+   */
+  refreshAccessToken() {
+    if (!this.refreshPromise) {
+      const staleToken = this.accessToken;
+      let refresh = () => this.withRefreshLock(() => this.refreshStoredTokens(staleToken));
+      if (this.brokerUrl) {
+        refresh = () => this.refreshBrokerSession();
+      } else if (this.credentials) {
+        refresh = () => this.requestServiceAccountToken();
+      }
+      this.refreshPromise = refresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Run a task while holding the cross-tab refresh lock of the active account
+   * @param {function(): Promise<*>} task
+   * @returns {Promise<*>}
+   */
+  withRefreshLock(task) {
+    const locks = globalThis.navigator?.locks;
+    if (!locks) {
+      return task();
+    }
+
+    const name = [REFRESH_LOCK_PREFIX, this.storage.namespace, this.account?.id ?? 'default'].join('_');
+    return locks.request(name, task);
+  }
+
+  /**
+   * Refresh the tokens unless another tab already stored newer ones
+   * @param {string|null} staleToken - Access token that was current when the refresh was requested
    * @returns {Promise<Object>} Token response
    */
-  async refreshAccessToken() {
+  async refreshStoredTokens(staleToken) {
+    const storedToken = await this.storage.getItem(this.tokenName(TOKEN_STORAGE_KEY)).catch(() => null);
+    if (storedToken && storedToken !== staleToken) {
+      await this.readStoredTokens();
+      if (!this.isTokenExpired()) {
+        return {
+          access_token: this.accessToken,
+          expires_in: Math.round((this.tokenExpiry - Date.now()) / 1000),
+          scope: this.grantedScopes.join(' ')
+        };
+      }
+    }
+
     if (!this.refreshToken) {
-      throw new Error('No refresh token available. Please re-authorize.');
+      throw new AuthError('No refresh token available. Please re-authorize.', { reason: 'missing_refresh_token' });
     }
 
     try {
-      const response = await axios.post(OAUTH_TOKEN_URL, {
+      const response = await this.requestTokens({
         refresh_token: this.refreshToken,
-        client_id: this.clientId,
-        client_secret: this.clientSecret,
         grant_type: 'refresh_token'
-      }, {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
       });
 
-      const { access_token, expires_in, refresh_token } = response.data;
+      const { access_token, expires_in, refresh_token, scope } = response.data;
       
       // Save new tokens (use existing refresh token if new one not provided)
-      this.saveTokensToStorage(
+      await this.saveTokensToStorage(
         access_token, 
         refresh_token || this.refreshToken, 
-        expires_in
+        expires_in,
+        scope
       );
+      this.broadcast({ type: 'tokens', accountId: this.account?.id ?? null });
 
       return response.data;
     } catch (error) {
       // If refresh fails, clear tokens and require re-authorization
-      this.clearTokens();
-      const errorMsg = error.response?.data?.error_description || 
-                      error.response?.data?.error || 
-                      error.message;
-      throw new Error(`Token refresh failed: ${errorMsg}. Please re-authorize.`);
+      await this.clearTokens();
+      throw errorFromOAuth(error, {
+        prefix: 'Token refresh failed',
+        endpoint: this.endpoints.token,
+        suffix: '. Please re-authorize.'
+      });
+    }
+  }
+
+  /**
+   * Exchange a signed service account assertion for an access token
+   * The token is kept in memory only; a new one is requested when it expires.
+   * @returns {Promise<Object>} Token response
+   */
+  async requestServiceAccountToken() {
+    const endpoint = this.credentials.tokenUrl;
+
+    try {
+      const response = await this.runPipeline({
+        url: endpoint,
+        method: 'POST',
+        data: await this.credentials.tokenRequestBody(),
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      }, { type: 'oauth' });
+
+      const { access_token, expires_in, scope } = response.data;
+      this.accessToken = access_token;
+      this.tokenExpiry = Date.now() + (expires_in * 1000);
+      this.grantedScopes = scope ? scope.split(' ') : this.credentials.scopes;
+
+      return response.data;
+    } catch (error) {
+      this.accessToken = null;
+      this.tokenExpiry = null;
+      // unauthorized_client usually means domain-wide delegation is not set up for these scopes
+      throw errorFromOAuth(error, { prefix: 'Service account token request failed', endpoint });
     }
   }
 
@@ -221,8 +825,14 @@ class GoogleClassroomClient {
    * @returns {Promise<string>} Valid access token
    */
   async ensureValidToken() {
+    await this.ready;
+
+    if (!this.accessToken && this.credentials) {
+      await this.refreshAccessToken();
+    }
+
     if (!this.accessToken) {
-      throw new Error('No access token available. Please authorize first.');
+      throw new AuthError('No access token available. Please authorize first.', { reason: 'missing_access_token' });
     }
 
     if (this.isTokenExpired()) {
@@ -232,6 +842,131 @@ class GoogleClassroomClient {
     return this.accessToken;
   }
 
+  /**
+   * Register middleware that runs around every HTTP call the client makes
+   * (API requests, each retry attempt, the 401 refresh-and-retry and token
+   * endpoint calls). A plain function is treated as a beforeRequest stage.
+   *
+   * - beforeRequest(config, context): return a new axios config (or nothing to keep it)
+   * - afterResponse(response, context): return a new response (or nothing to keep it)
+   * - onError(error, context): return a response to recover, or nothing to rethrow
+   *
+   * beforeRequest stages run in registration order, the others in reverse.
+   * `context` holds `type` ('api', 'oauth' or 'broker'), `method`, `endpoint`
+   * and `authRetry` (true for the request repeated after a token refresh).
+   *
+   * @param {Object|function} middleware - Stage handlers
+   * @returns {function(): void} Removes the middleware again
+   */
+  use(middleware) {
+    const entry = typeof middleware === 'function' ? { beforeRequest: middleware } : middleware;
+    this.middleware.push(entry);
+    return () => {
+      this.middleware = this.middleware.filter(item => item !== entry);
+    };
+  }
+
+  /**
+   * Send one HTTP request through the middleware stages
+   * @param {Object} config - Axios request configuration
+   * @param {Object} [context] - Extra context passed to middleware
+   * @returns {Promise<Object>} Axios response
+   */
+  async runPipeline(config, context = {}) {
+    const middleware = [...this.middleware];
+    const stageContext = {
+      type: 'api',
+      authRetry: false,
+      ...context,
+      method: config.method.toUpperCase(),
+      endpoint: config.url
+    };
+
+    let request = { ...config, headers: { ...config.headers } };
+    for (const { beforeRequest } of middleware) {
+      if (beforeRequest) {
+        request = (await beforeRequest(request, stageContext)) || request;
+      }
+    }
+
+    let response;
+    try {
+      response = await axios(request);
+    } catch (error) {
+      for (const { onError } of [...middleware].reverse()) {
+        if (onError) {
+          response = await onError(error, { ...stageContext, config: request });
+          if (response) {
+            break;
+          }
+        }
+      }
+      if (!response) {
+        throw error;
+      }
+    }
+
+    for (const { afterResponse } of [...middleware].reverse()) {
+      if (afterResponse) {
+        response = (await afterResponse(response, { ...stageContext, config: request })) || response;
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Build the axios configuration for an API request
+   * @param {Object} request - makeRequest() options
+   * @param {string|null} token - Access token, or null when the broker adds it
+   * @returns {Object} Axios request configuration
+   */
+  buildRequestConfig({ endpoint, method, body, headers }, token) {
+    const config = {
+      url: rebaseClassroomUrl(endpoint, this.endpoints.classroom),
+      method: method.toUpperCase(),
+      headers: {
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+        'Content-Type': 'application/json',
+        ...headers
+      }
+    };
+
+    // Add body if present
+    if (body && ['POST', 'PUT', 'PATCH'].includes(config.method)) {
+      config.data = body;
+    }
+
+    // Cache revalidation: a 304 answer is a success, not an error
+    if (headers['If-None-Match']) {
+      config.validateStatus = status => (status >= 200 && status < 300) || status === 304;
+    }
+
+    return config;
+  }
+
+  /**
+   * Send a prepared axios request through the request queue and middleware,
+   * retrying failures according to the retry policy. Every attempt waits for
+   * its own queue slot and runs the full middleware pipeline.
+   * @param {Object} config - Axios request configuration
+   * @param {Object} [options]
+   * @param {boolean} [options.idempotent] - Caller override for idempotency
+   * @param {string} [options.priority='default'] - Queue lane: 'interactive', 'default' or 'background'
+   * @param {Object} [options.context] - Extra middleware context
+   * @returns {Promise<Object>} Axios response
+   */
+  sendWithRetry(config, { idempotent, priority, context } = {}) {
+    const send = () => this.runPipeline(config, context);
+    return withRetry(() => this.queue.schedule(send, { priority }), {
+      method: config.method,
+      endpoint: config.url,
+      idempotent,
+      policy: this.retryPolicy,
+      onRetry: this.onRetry
+    });
+  }
+
   /**
    * Make an authenticated API request to Google Classroom API
    * @param {Object} options - Request options
@@ -239,33 +974,93 @@ class GoogleClassroomClient {
    * @param {string} options.method - HTTP method (GET, POST, PUT, DELETE, etc.)
    * @param {Object} [options.body] - Request body for POST/PUT requests
    * @param {Object} [options.headers] - Additional headers
+   * @param {boolean} [options.idempotent] - Mark a POST/PATCH as safe to retry (or a GET as unsafe)
+   * @param {string} [options.priority='default'] - Queue lane: 'interactive' requests jump ahead of 'background' ones;
+   *   an unknown lane rejects with a ValidationError before anything is sent
+   * @param {Object|false} [options.cache] - Per-request ResponseCache.fetch() options
+   *   (ttlMs, staleWhileRevalidate, onUpdate, onStatus), or false to bypass the cache
+   * @param {string|Array<string|string[]>} [options.scopes] - OAuth scopes the request needs;
+   *   reported on InsufficientScopeError
    * @returns {Promise<Object>} API response data
    */
-  async makeRequest({ endpoint, method = 'GET', body = null, headers = {} }) {
+  async makeRequest({ scopes, ...options }) {
+    if (options.priority !== undefined && !PRIORITIES.includes(options.priority)) {
+      throw new ValidationError(`Unknown request priority: ${options.priority}`, { reason: 'priority' });
+    }
+
     try {
-      // Ensure we have a valid token
-      const token = await this.ensureValidToken();
+      return await this.cachedRequest(options);
+    } catch (error) {
+      if (error instanceof InsufficientScopeError && scopes) {
+        const missing = findMissingScopes(scopes, this.getGrantedScopes());
+        error.requiredScopes = toScopeList(scopes);
+        // Google knows better than our record of granted scopes (e.g. after a revocation)
+        error.missingScopes = missing.length > 0 ? missing : findMissingScopes(scopes, []);
+      }
+      throw error;
+    }
+  }
 
-      // Prepare request configuration
-      const config = {
-        url: endpoint,
-        method: method.toUpperCase(),
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-          ...headers
-        }
-      };
+  /**
+   * Send a request through the response cache, when the client has one
+   * @param {Object} options - makeRequest() options without `scopes`
+   * @returns {Promise<Object>} API response data
+   */
+  async cachedRequest({ cache: cacheOptions, ...options }) {
+    const method = (options.method || 'GET').toUpperCase();
+
+    if (!this.cache) {
+      const response = await this.sendRequest(options);
+      return response.data;
+    }
 
-      // Add body if present
-      if (body && ['POST', 'PUT', 'PATCH'].includes(config.method)) {
-        config.data = body;
+    if (method !== 'GET') {
+      // Drop cached reads this call may have changed, even when it failed:
+      // a request that timed out may still have been applied
+      try {
+        const response = await this.sendRequest(options);
+        return response.data;
+      } finally {
+        await this.cache.invalidateRelated(options.endpoint, options.body);
       }
+    }
 
-      // Make the request
-      const response = await axios(config);
-      
+    if (cacheOptions === false) {
+      const response = await this.sendRequest(options);
       return response.data;
+    }
+
+    const key = ResponseCache.key({
+      method,
+      endpoint: options.endpoint,
+      scopes: this.getGrantedScopes(),
+      account: this.account?.id
+    });
+    return this.cache.fetch(
+      key,
+      headers => this.sendRequest({ ...options, headers: { ...options.headers, ...headers } }),
+      cacheOptions
+    );
+  }
+
+  /**
+   * Send an authenticated API request, refreshing the token once on 401
+   * @param {Object} options - makeRequest() options without `cache` and `scopes`
+   * @returns {Promise<Object>} Axios response
+   */
+  async sendRequest({ endpoint, method = 'GET', body = null, headers = {}, idempotent, priority }) {
+    if (this.brokerUrl) {
+      return this.makeBrokerRequest({ endpoint, method, body, headers, idempotent, priority });
+    }
+
+    const request = { endpoint, method, body, headers };
+
+    try {
+      // Ensure we have a valid token
+      const token = await this.ensureValidToken();
+
+      // Make the request
+      return await this.sendWithRetry(this.buildRequestConfig(request, token), { idempotent, priority });
     } catch (error) {
       // Handle token expiry errors
       if (error.response?.status === 401) {
@@ -273,45 +1068,286 @@ class GoogleClassroomClient {
         try {
           await this.refreshAccessToken();
           // Retry the request with new token
-          const token = this.accessToken;
-          const config = {
-            url: endpoint,
-            method: method.toUpperCase(),
-            headers: {
-              'Authorization': `Bearer ${token}`,
-              'Content-Type': 'application/json',
-              ...headers
-            }
-          };
-
-          if (body && ['POST', 'PUT', 'PATCH'].includes(config.method)) {
-            config.data = body;
+          return await this.sendWithRetry(this.buildRequestConfig(request, this.accessToken), {
+            idempotent,
+            priority,
+            context: { authRetry: true }
+          });
+        } catch (retryError) {
+          if (retryError instanceof AuthError || retryError.response?.status === 401) {
+            throw new AuthError('Authentication failed. Please re-authorize.', {
+              status: 401,
+              reason: retryError.reason || null,
+              method: method.toUpperCase(),
+              endpoint,
+              cause: retryError
+            });
           }
-
-          const response = await axios(config);
-          return response.data;
-        } catch {
-          throw new Error('Authentication failed. Please re-authorize.');
+          throw errorFromAxios(retryError, { method: method.toUpperCase(), endpoint });
         }
       }
 
       // Handle other errors
-      const errorMsg = error.response?.data?.error?.message || 
-                      error.response?.data?.message || 
-                      error.message;
-      const statusCode = error.response?.status;
-      
-      throw new Error(
-        `API request failed${statusCode ? ` (${statusCode})` : ''}: ${errorMsg}`
-      );
+      throw errorFromAxios(error, { method: method.toUpperCase(), endpoint });
+    }
+  }
+
+  /**
+   * Start a batch of API calls sent as multipart/mixed requests
+   * @param {Object} [options] - BatchRequest options (endpoint, maxBatchSize, priority)
+   * @returns {BatchRequest}
+   */
+  batch(options) {
+    return new BatchRequest(this, options);
+  }
+
+  /**
+   * Iterate over the pages of a paginated list endpoint, following nextPageToken
+   * @param {Object} options - listPages() options (see pagination.js)
+   * @yields {{items: Object[], nextPageToken: string|null}}
+   */
+  paginatePages(options) {
+    return listPages(this, options);
+  }
+
+  /**
+   * Iterate over every item of a paginated list endpoint
+   * @param {Object} options - Same options as paginatePages()
+   * @yields {Object} Individual items across all pages
+   *
+   * @example
+   * for await (const course of client.paginate({ endpoint, itemsKey: 'courses' })) {
+   *   console.log(course.name);
+   * }
+   */
+  async *paginate(options) {
+    for await (const page of this.paginatePages(options)) {
+      yield* page.items;
+    }
+  }
+
+  /**
+   * Collect all items of a paginated list endpoint, with guards against huge listings
+   * @param {Object} options - collectPages() options (see pagination.js)
+   * @returns {Promise<{items: Object[], pageCount: number, truncated: boolean}>}
+   *   `truncated` is true when a guard stopped the listing before the last page
+   */
+  collectAll(options) {
+    return collectPages(this, options);
+  }
+
+  /**
+   * Map a Google Classroom API URL onto the broker's `/api` proxy
+   * @param {string} endpoint - Google Classroom API endpoint URL
+   * @returns {string} Broker URL
+   */
+  toBrokerUrl(endpoint) {
+    const url = new URL(endpoint, GOOGLE_ENDPOINTS.classroom);
+    if (url.origin !== GOOGLE_ENDPOINTS.classroom) {
+      throw new ValidationError(`Broker mode only proxies ${GOOGLE_ENDPOINTS.classroom} requests`, { endpoint });
+    }
+    return `${this.brokerUrl}/api${url.pathname}${url.search}`;
+  }
+
+  /**
+   * Query the broker for the current session (identified by its HTTP-only cookie)
+   * @returns {Promise<boolean>} Whether the broker holds tokens for this browser
+   */
+  async checkSession() {
+    const response = await this.runPipeline({
+      url: `${this.brokerUrl}/auth/session`,
+      method: 'GET',
+      withCredentials: true
+    }, { type: 'broker' });
+    this.brokerSession = response.data.authenticated ? response.data : null;
+    return !!this.brokerSession;
+  }
+
+  /**
+   * Ask the broker to refresh the session's access token
+   * @returns {Promise<Object>} Session expiry
+   */
+  async refreshBrokerSession() {
+    try {
+      const response = await this.runPipeline({
+        url: `${this.brokerUrl}/auth/refresh`,
+        method: 'POST',
+        withCredentials: true
+      }, { type: 'broker' });
+      this.brokerSession = { ...this.brokerSession, ...response.data };
+      return response.data;
+    } catch (error) {
+      this.brokerSession = null;
+      throw errorFromOAuth(error, {
+        prefix: 'Token refresh failed',
+        endpoint: `${this.brokerUrl}/auth/refresh`,
+        suffix: '. Please re-authorize.'
+      });
+    }
+  }
+
+  /**
+   * Make an API request through the token broker
+   * The broker attaches the access token and refreshes it as needed.
+   * @param {Object} options - Same options as sendRequest()
+   * @returns {Promise<Object>} Axios response
+   */
+  async makeBrokerRequest({ endpoint, method, body, headers, idempotent, priority }) {
+    const config = {
+      ...this.buildRequestConfig({ endpoint: this.toBrokerUrl(endpoint), method, body, headers }, null),
+      withCredentials: true
+    };
+
+    try {
+      return await this.sendWithRetry(config, { idempotent, priority, context: { type: 'broker' } });
+    } catch (error) {
+      if (error.response?.status === 401) {
+        this.brokerSession = null;
+        throw new AuthError('Authentication failed. Please re-authorize.', {
+          status: 401,
+          method: config.method,
+          endpoint,
+          cause: error
+        });
+      }
+
+      throw errorFromAxios(error, { method: config.method, endpoint });
+    }
+  }
+
+  /**
+   * Sign out, ending the broker session when in broker mode
+   * With several accounts only the active one is signed out and the next one
+   * becomes active. Cached responses are dropped as well. The tokens stay
+   * valid at Google until they expire; use revoke() to invalidate them.
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    await this.cache?.clear();
+    const accountId = this.account?.id ?? null;
+
+    if (this.brokerUrl) {
+      await this.runPipeline({
+        url: `${this.brokerUrl}/auth/logout`,
+        method: 'POST',
+        withCredentials: true
+      }, { type: 'broker' });
+      this.brokerSession = null;
+    } else if (this.account) {
+      await this.removeAccount(this.account.id);
+    } else {
+      await this.clearTokens();
+    }
+
+    this.broadcast({ type: 'signout', accountId });
+  }
+
+  /**
+   * Revoke the active account's grant at Google and sign out
+   * Revoking the refresh token also invalidates its access tokens. In broker
+   * mode the broker revokes the session's tokens and ends the session.
+   * @returns {Promise<void>}
+   */
+  async revoke() {
+    if (this.brokerUrl) {
+      try {
+        await this.runPipeline({
+          url: `${this.brokerUrl}/auth/revoke`,
+          method: 'POST',
+          withCredentials: true
+        }, { type: 'broker' });
+      } catch (error) {
+        throw errorFromOAuth(error, { prefix: 'Token revocation failed', endpoint: `${this.brokerUrl}/auth/revoke` });
+      }
+      this.brokerSession = null;
+      await this.cache?.clear();
+      this.broadcast({ type: 'signout', accountId: null });
+      return;
+    }
+
+    await this.ready;
+    const token = this.refreshToken || this.accessToken;
+    if (token) {
+      try {
+        await this.runPipeline({
+          url: this.endpoints.revoke,
+          method: 'POST',
+          data: { token },
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          }
+        }, { type: 'oauth' });
+      } catch (error) {
+        // 400 invalid_token: already revoked or expired, nothing left to invalidate
+        if (error.response?.status !== 400) {
+          throw errorFromOAuth(error, { prefix: 'Token revocation failed', endpoint: this.endpoints.revoke });
+        }
+      }
+    }
+
+    await this.logout();
+  }
+
+  /**
+   * Tell other tabs about an authentication change
+   * @param {Object} message - `{ type, accountId }` where type is 'signout' or 'tokens'
+   */
+  broadcast(message) {
+    try {
+      this.channel?.postMessage(message);
+    } catch (error) {
+      console.error('Error broadcasting to other tabs:', error);
+    }
+  }
+
+  /**
+   * Apply an authentication change made in another tab
+   * @param {Object} message - Message posted by broadcast()
+   * @returns {Promise<void>}
+   */
+  async handleBroadcast(message) {
+    if (message?.type === 'tokens') {
+      // Another tab refreshed; only tabs on the same account share its tokens
+      if (!this.brokerUrl && message.accountId === (this.account?.id ?? null)) {
+        await this.readStoredTokens();
+      }
+      return;
+    }
+
+    if (message?.type !== 'signout') {
+      return;
+    }
+
+    await this.cache?.clear();
+    if (this.brokerUrl) {
+      this.brokerSession = null;
+    } else {
+      await this.loadTokensFromStorage();
+    }
+    this.onSignOut?.(message);
+  }
+
+  /**
+   * Stop listening to other tabs
+   */
+  close() {
+    this.channel?.close();
+    this.channel = null;
+    if (this.storageListener) {
+      globalThis.removeEventListener('storage', this.storageListener);
+      this.storageListener = null;
     }
   }
 
   /**
    * Check if user is currently authenticated
+   * In broker mode this reflects the last checkSession() result.
    * @returns {boolean}
    */
   isAuthenticated() {
+    if (this.brokerUrl) {
+      return !!this.brokerSession;
+    }
     return !!(this.accessToken && !this.isTokenExpired());
   }
 }
@@ -320,7 +1356,7 @@ class GoogleClassroomClient {
  * Simplified API for making authenticated requests
  * @param {Object} config - Configuration object
  * @param {string} config.clientId - OAuth client ID
- * @param {string} config.clientSecret - OAuth client secret
+ * @param {string} [config.clientSecret] - OAuth client secret (omit to use PKCE)
  * @param {string|string[]} config.scopes - OAuth scopes
  * @param {string} config.endpoint - API endpoint URL
  * @param {string} [config.method='GET'] - HTTP method
@@ -336,6 +1372,7 @@ export async function makeAuthenticatedRequest({
   body = null
 }) {
   const client = new GoogleClassroomClient(clientId, clientSecret);
+  await client.ready;
   
   // Check if we need to authorize
   if (!client.isAuthenticated()) {
@@ -363,7 +1400,19 @@ export async function makeAuthenticatedRequest({
 // Export the client class for advanced usage
 export { GoogleClassroomClient };
 
+// Export error classes so callers can branch with instanceof
+export {
+  GoogleClassroomError,
+  AuthError,
+  PermissionDeniedError,
+  InsufficientScopeError,
+  NotFoundError,
+  QuotaExceededError,
+  NetworkError,
+  ValidationError
+} from './errors.js';
+
 // Export default instance creator
-export default function createClient(clientId, clientSecret) {
-  return new GoogleClassroomClient(clientId, clientSecret);
+export default function createClient(clientId, clientSecret, options) {
+  return new GoogleClassroomClient(clientId, clientSecret, options);
 }
\ No newline at end of file
@@ -0,0 +1,306 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { stubHttp } from '../test/helpers.js';
+import { AuthError, GoogleClassroomClient, ValidationError } from './gcr.js';
+import { SCOPES } from './scopes.js';
+
+const REDIRECT_URI = 'http://localhost:5173/oauth/callback';
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const COURSES_URL = 'https://classroom.googleapis.com/v1/courses';
+
+/**
+ * Unsigned ID token; the client only reads its payload
+ */
+function idToken(claims) {
+  const encode = value => btoa(JSON.stringify(value)).replace(/=+$/, '');
+  return `${encode({ alg: 'none' })}.${encode(claims)}.`;
+}
+
+/**
+ * Form fields of a token endpoint call
+ */
+function formOf(call) {
+  return Object.fromEntries(new URLSearchParams(call.data));
+}
+
+function createClient(clientSecret = null) {
+  return new GoogleClassroomClient('client-id', clientSecret, {
+    redirectUri: REDIRECT_URI,
+    retry: false,
+    rateLimit: false
+  });
+}
+
+describe('GoogleClassroomClient', () => {
+  let client;
+
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  afterEach(() => {
+    client?.close();
+    vi.restoreAllMocks();
+  });
+
+  describe('authorize()', () => {
+    it('builds a PKCE authorization URL with the identity scopes', async () => {
+      client = createClient();
+      await client.ready;
+
+      const { url, state, codeVerifier } = await client.createAuthorizationRequest([SCOPES.COURSES_READONLY]);
+      const { origin, pathname, searchParams } = new URL(url);
+
+      expect(`${origin}${pathname}`).toBe('https://accounts.google.com/o/oauth2/v2/auth');
+      expect(searchParams.get('client_id')).toBe('client-id');
+      expect(searchParams.get('redirect_uri')).toBe(REDIRECT_URI);
+      expect(searchParams.get('response_type')).toBe('code');
+      expect(searchParams.get('access_type')).toBe('offline');
+      expect(searchParams.get('include_granted_scopes')).toBe('true');
+      expect(searchParams.get('scope').split(' ')).toEqual([SCOPES.COURSES_READONLY, 'openid', 'email', 'profile']);
+      expect(searchParams.get('state')).toBe(state);
+      expect(state).toMatch(/^[0-9a-f]{64}$/);
+
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+      const challenge = btoa(String.fromCharCode(...new Uint8Array(digest)))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+      expect(searchParams.get('code_challenge')).toBe(challenge);
+      expect(searchParams.get('code_challenge_method')).toBe('S256');
+    });
+
+    it('leaves out PKCE for confidential clients', async () => {
+      client = createClient('client-secret');
+      await client.ready;
+
+      const { url, codeVerifier } = await client.createAuthorizationRequest([SCOPES.COURSES_READONLY]);
+
+      expect(codeVerifier).toBeNull();
+      expect(new URL(url).searchParams.has('code_challenge')).toBe(false);
+    });
+
+    it('stores the state and code verifier of the request it redirects to', async () => {
+      client = createClient();
+      await client.ready;
+      const createRequest = vi.spyOn(client, 'createAuthorizationRequest');
+
+      // jsdom logs the redirect to Google as "not implemented" and stays on the page
+      await client.authorize([SCOPES.COURSES_READONLY]);
+
+      const request = await createRequest.mock.results[0].value;
+      expect(sessionStorage.getItem('oauth_state')).toBe(request.state);
+      expect(sessionStorage.getItem('oauth_code_verifier')).toBe(request.codeVerifier);
+    });
+
+    it('closes the popup when the authorization request cannot be created', async () => {
+      client = createClient();
+      await client.ready;
+      const popup = { close: vi.fn(), closed: false, location: {} };
+      vi.spyOn(window, 'open').mockReturnValue(popup);
+      vi.spyOn(client, 'createAuthorizationRequest').mockRejectedValue(new Error('crypto.subtle is unavailable'));
+
+      await expect(client.authorize([SCOPES.COURSES_READONLY], { popup: true })).rejects.toThrow('crypto.subtle is unavailable');
+
+      expect(popup.close).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('handleCallback()', () => {
+    it('rejects a state that does not match the stored one', async () => {
+      client = createClient();
+      await client.ready;
+      const calls = stubHttp(client, () => ({}));
+      sessionStorage.setItem('oauth_state', 'expected-state');
+      sessionStorage.setItem('oauth_code_verifier', 'verifier');
+
+      const error = await client.handleCallback('code', 'forged-state').catch(caught => caught);
+
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error.reason).toBe('invalid_state');
+      expect(calls).toHaveLength(0);
+      expect(sessionStorage.getItem('oauth_state')).toBe('expected-state');
+    });
+
+    it('exchanges the code and persists the tokens for the account', async () => {
+      client = createClient();
+      await client.ready;
+      const calls = stubHttp(client, () => ({
+        data: {
+          access_token: 'access-1',
+          refresh_token: 'refresh-1',
+          expires_in: 3600,
+          scope: `${SCOPES.COURSES_READONLY} openid`,
+          id_token: idToken({ sub: 'user-1', email: 'teacher@school.example' })
+        }
+      }));
+      sessionStorage.setItem('oauth_state', 'state-1');
+      sessionStorage.setItem('oauth_code_verifier', 'verifier-1');
+
+      await client.handleCallback('code-1', 'state-1');
+
+      expect(calls).toHaveLength(1);
+      expect(calls[0].url).toBe(TOKEN_URL);
+      expect(formOf(calls[0])).toEqual({
+        code: 'code-1',
+        code_verifier: 'verifier-1',
+        redirect_uri: REDIRECT_URI,
+        grant_type: 'authorization_code',
+        client_id: 'client-id'
+      });
+      expect(sessionStorage.getItem('oauth_state')).toBeNull();
+      expect(sessionStorage.getItem('oauth_code_verifier')).toBeNull();
+      expect(client.account.email).toBe('teacher@school.example');
+
+      // A new client (e.g. after a page load) picks the tokens up from storage
+      const restored = createClient();
+      await restored.ready;
+      expect(restored.isAuthenticated()).toBe(true);
+      expect(restored.accessToken).toBe('access-1');
+      expect(restored.refreshToken).toBe('refresh-1');
+      expect(restored.getGrantedScopes()).toContain(SCOPES.COURSES_READONLY);
+      restored.close();
+    });
+  });
+
+  describe('isTokenExpired()', () => {
+    it('treats tokens as expired 60 seconds early', async () => {
+      client = createClient();
+      await client.ready;
+
+      expect(client.isTokenExpired()).toBe(true);
+
+      client.tokenExpiry = Date.now() + 61000;
+      expect(client.isTokenExpired()).toBe(false);
+
+      client.tokenExpiry = Date.now() + 59000;
+      expect(client.isTokenExpired()).toBe(true);
+
+      client.tokenExpiry = Date.now() - 1000;
+      expect(client.isTokenExpired()).toBe(true);
+    });
+  });
+
+  describe('refreshAccessToken()', () => {
+    it('clears the tokens when the refresh token is rejected', async () => {
+      client = createClient();
+      await client.ready;
+      await client.saveTokensToStorage('access-1', 'refresh-1', 3600, SCOPES.COURSES_READONLY);
+      const calls = stubHttp(client, () => ({
+        status: 400,
+        data: { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' }
+      }));
+
+      const error = await client.refreshAccessToken().catch(caught => caught);
+
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error.reason).toBe('invalid_grant');
+      expect(formOf(calls[0])).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'refresh-1' });
+      expect(client.accessToken).toBeNull();
+      expect(client.refreshToken).toBeNull();
+      expect(client.isAuthenticated()).toBe(false);
+
+      const restored = createClient();
+      await restored.ready;
+      expect(restored.accessToken).toBeNull();
+      expect(restored.refreshToken).toBeNull();
+      restored.close();
+    });
+  });
+
+  describe('makeRequest()', () => {
+    it('refreshes the token once on 401 and retries the request', async () => {
+      client = createClient();
+      await client.ready;
+      await client.saveTokensToStorage('stale', 'refresh-1', 3600, SCOPES.COURSES_READONLY);
+      const calls = stubHttp(client, request => {
+        if (request.url === TOKEN_URL) {
+          return { data: { access_token: 'fresh', expires_in: 3600 } };
+        }
+        return request.headers.Authorization === 'Bearer fresh'
+          ? { data: { courses: [{ id: '1' }] } }
+          : { status: 401, data: { error: { code: 401, message: 'Invalid Credentials', status: 'UNAUTHENTICATED' } } };
+      });
+
+      const data = await client.makeRequest({ endpoint: COURSES_URL });
+
+      expect(data).toEqual({ courses: [{ id: '1' }] });
+      expect(calls.map(call => call.url)).toEqual([COURSES_URL, TOKEN_URL, COURSES_URL]);
+      expect(calls[0].headers.Authorization).toBe('Bearer stale');
+      expect(client.accessToken).toBe('fresh');
+      // The refresh response has no refresh token; the old one is kept
+      expect(client.refreshToken).toBe('refresh-1');
+    });
+
+    it('fails with an AuthError when the retried request is still unauthorized', async () => {
+      client = createClient();
+      await client.ready;
+      await client.saveTokensToStorage('stale', 'refresh-1', 3600, SCOPES.COURSES_READONLY);
+      const calls = stubHttp(client, request => (request.url === TOKEN_URL
+        ? { data: { access_token: 'fresh', expires_in: 3600 } }
+        : { status: 401, data: { error: { code: 401, message: 'Invalid Credentials' } } }));
+
+      const error = await client.makeRequest({ endpoint: COURSES_URL }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error.status).toBe(401);
+      expect(error.endpoint).toBe(COURSES_URL);
+      expect(calls.filter(call => call.url === TOKEN_URL)).toHaveLength(1);
+    });
+
+    it('drops related cached reads when a write fails', async () => {
+      client = new GoogleClassroomClient('client-id', null, { retry: false, rateLimit: false, cache: true });
+      await client.ready;
+      await client.saveTokensToStorage('token', 'refresh-1', 3600, SCOPES.COURSES);
+      let name = 'Algebra I';
+      const calls = stubHttp(client, request => {
+        if (request.method.toUpperCase() === 'PATCH') {
+          // Applied by the server, but the answer never arrives
+          name = 'Algebra II';
+          return { status: 504, data: { error: { code: 504, message: 'Deadline exceeded' } } };
+        }
+        return { data: { id: '1', name } };
+      });
+
+      await client.makeRequest({ endpoint: `${COURSES_URL}/1` });
+      await expect(client.makeRequest({
+        endpoint: `${COURSES_URL}/1?updateMask=name`,
+        method: 'PATCH',
+        body: { name: 'Algebra II' }
+      })).rejects.toMatchObject({ status: 504 });
+      const course = await client.makeRequest({ endpoint: `${COURSES_URL}/1` });
+
+      expect(course.name).toBe('Algebra II');
+      expect(calls.map(call => call.method.toUpperCase())).toEqual(['GET', 'PATCH', 'GET']);
+    });
+
+    it('rejects an unknown priority once, without retrying or sending anything', async () => {
+      const onRetry = vi.fn();
+      client = new GoogleClassroomClient('client-id', null, { retry: { baseDelayMs: 1 }, rateLimit: false, onRetry });
+      await client.ready;
+      await client.saveTokensToStorage('token', 'refresh-1', 3600, SCOPES.COURSES_READONLY);
+      const calls = stubHttp(client, () => ({ data: {} }));
+
+      const error = await client.makeRequest({ endpoint: COURSES_URL, priority: 'urgent' }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.reason).toBe('priority');
+      expect(onRetry).not.toHaveBeenCalled();
+      expect(calls).toHaveLength(0);
+    });
+
+    it('does not retry errors thrown by middleware', async () => {
+      const onRetry = vi.fn();
+      client = new GoogleClassroomClient('client-id', null, { retry: { baseDelayMs: 1 }, rateLimit: false, onRetry });
+      await client.ready;
+      await client.saveTokensToStorage('token', 'refresh-1', 3600, SCOPES.COURSES_READONLY);
+      const beforeRequest = vi.fn(() => {
+        throw new Error('blocked by policy');
+      });
+      client.use({ beforeRequest });
+
+      await expect(client.makeRequest({ endpoint: COURSES_URL })).rejects.toThrow('blocked by policy');
+
+      expect(beforeRequest).toHaveBeenCalledTimes(1);
+      expect(onRetry).not.toHaveBeenCalled();
+    });
+  });
+});
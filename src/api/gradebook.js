@@ -0,0 +1,234 @@
+/**
+ * Course gradebook: every student against every piece of course work
+ *
+ * The gradebook is built from three listings fetched in parallel: the
+ * students, the course work and the submissions of all course work (using
+ * the `-` wildcard, so one paged listing covers every assignment). Each cell
+ * holds the assigned and draft grade of one submission with its late and
+ * missing flags.
+ *
+ * A submission counts as missing when the work is past due, has not been
+ * turned in or returned, and has no assigned grade. Averages are the points
+ * earned over the points possible of graded work with a maximum, counting
+ * the grade each cell shows (the assigned grade, else the draft grade), so
+ * ungraded and ungradable work does not pull an average down.
+ */
+
+import { toCsv } from './csv.js';
+import { fetchRoster } from './roster.js';
+import { createXlsx } from './xlsx.js';
+
+// Submission states in which the student has handed the work in
+const HANDED_IN_STATES = ['TURNED_IN', 'RETURNED'];
+
+/**
+ * @typedef {Object} GradebookAssignment
+ * @property {string} id - Course work identifier
+ * @property {string} title
+ * @property {number|null} maxPoints - null for ungraded work
+ * @property {Date|null} dueAt - Due date and time; null without a due date
+ * @property {string} state - Course work state
+ */
+
+/**
+ * @typedef {Object} GradebookCell
+ * @property {string} submissionId
+ * @property {string} state - Submission state
+ * @property {number|null} assignedGrade - Grade visible to the student
+ * @property {number|null} draftGrade - Pending grade, visible only to teachers
+ * @property {boolean} late - Turned in after the due date (as reported by Classroom)
+ * @property {boolean} missing - Past due, not handed in and without an assigned or draft grade
+ */
+
+/**
+ * @typedef {Object} GradebookStudent
+ * @property {string} userId
+ * @property {string|null} name
+ * @property {string|null} email
+ * @property {Object<string, GradebookCell>} grades - Cells keyed by course work identifier
+ * @property {number|null} average - Percentage of points earned on graded work (draft grades included), to one decimal
+ * @property {number} lateCount
+ * @property {number} missingCount
+ */
+
+/**
+ * @typedef {Object} Gradebook
+ * @property {string} courseId
+ * @property {GradebookAssignment[]} assignments - In creation order
+ * @property {GradebookStudent[]} students - Sorted by name
+ */
+
+/**
+ * Due date and time of course work (Classroom reports both in UTC)
+ * Work with a due date but no time is due at the end of that day.
+ * @param {import('./resources.js').CourseWork} work
+ * @returns {Date|null}
+ */
+export function dueAt(work) {
+  if (!work.dueDate) {
+    return null;
+  }
+  const { year, month, day } = work.dueDate;
+  const { hours, minutes } = work.dueTime || { hours: 23, minutes: 59 };
+  return new Date(Date.UTC(year, month - 1, day, hours || 0, minutes || 0));
+}
+
+/**
+ * Grade that counts for a cell: the assigned grade, else the draft grade
+ * @param {GradebookCell|undefined} cell
+ * @returns {number|null}
+ */
+function effectiveGrade(cell) {
+  return cell?.assignedGrade ?? cell?.draftGrade ?? null;
+}
+
+/**
+ * Whether a cell shows a grade; averages count it and it is never missing
+ * @param {GradebookCell|undefined} cell
+ * @returns {boolean}
+ */
+function isGraded(cell) {
+  return effectiveGrade(cell) !== null;
+}
+
+/**
+ * Average percentage over graded work with a maximum
+ * @param {GradebookAssignment[]} assignments
+ * @param {Object<string, GradebookCell>} grades
+ * @returns {number|null}
+ */
+function averagePercent(assignments, grades) {
+  let earned = 0;
+  let possible = 0;
+
+  for (const assignment of assignments) {
+    const cell = grades[assignment.id];
+    if (isGraded(cell) && assignment.maxPoints) {
+      earned += effectiveGrade(cell);
+      possible += assignment.maxPoints;
+    }
+  }
+
+  return possible > 0 ? Math.round((earned / possible) * 1000) / 10 : null;
+}
+
+/**
+ * Build the gradebook of a course
+ * @param {import('./gcr.js').GoogleClassroomClient} client
+ * @param {string} courseId - Course identifier or alias
+ * @param {Object} [options]
+ * @param {string[]} [options.courseWorkStates=['PUBLISHED']] - Course work to include
+ * @param {Date} [options.now=new Date()] - Reference time for missing work
+ * @returns {Promise<Gradebook>}
+ */
+export async function buildGradebook(client, courseId, { courseWorkStates = ['PUBLISHED'], now = new Date() } = {}) {
+  // Read every page: a cut-off listing would show the submissions it missed as missing work
+  const [members, { items: courseWork }, { items: submissions }] = await Promise.all([
+    fetchRoster(client, courseId, { roles: ['STUDENT'] }),
+    client.courseWork.listAll(courseId, { courseWorkStates }, { maxPages: Infinity }),
+    client.studentSubmissions.listAll(courseId, '-', {}, { maxPages: Infinity })
+  ]);
+
+  const assignments = courseWork
+    .slice()
+    .sort((a, b) => (a.creationTime || '').localeCompare(b.creationTime || ''))
+    .map(work => ({
+      id: work.id,
+      title: work.title,
+      maxPoints: work.maxPoints || null,
+      dueAt: dueAt(work),
+      state: work.state
+    }));
+  const assignmentsById = new Map(assignments.map(assignment => [assignment.id, assignment]));
+
+  const students = members.map(member => ({
+    userId: member.userId,
+    name: member.name,
+    email: member.email,
+    grades: {},
+    average: null,
+    lateCount: 0,
+    missingCount: 0
+  }));
+  const studentsById = new Map(students.map(student => [student.userId, student]));
+
+  for (const submission of submissions) {
+    const assignment = assignmentsById.get(submission.courseWorkId);
+    const student = studentsById.get(submission.userId);
+    // Submissions of filtered-out work or of students no longer enrolled
+    if (!assignment || !student) {
+      continue;
+    }
+
+    const cell = {
+      submissionId: submission.id,
+      state: submission.state,
+      assignedGrade: submission.assignedGrade ?? null,
+      draftGrade: submission.draftGrade ?? null,
+      late: Boolean(submission.late),
+      missing: false
+    };
+    cell.missing = !HANDED_IN_STATES.includes(submission.state) &&
+      !isGraded(cell) &&
+      assignment.dueAt !== null &&
+      assignment.dueAt < now;
+    student.grades[assignment.id] = cell;
+  }
+
+  for (const student of students) {
+    const cells = Object.values(student.grades);
+    student.lateCount = cells.filter(cell => cell.late).length;
+    student.missingCount = cells.filter(cell => cell.missing).length;
+    student.average = averagePercent(assignments, student.grades);
+  }
+
+  students.sort((a, b) => (a.name || a.email || a.userId).localeCompare(b.name || b.email || b.userId));
+
+  return { courseId, assignments, students };
+}
+
+/**
+ * Lay the gradebook out as rows of cells, as exported
+ * The first row holds the headers, the second the points possible, then one
+ * row per student with the assigned grade of each assignment (or the draft
+ * grade while none is assigned).
+ * @param {Gradebook} gradebook
+ * @returns {Array<Array<string|number|null>>}
+ */
+export function gradebookTable(gradebook) {
+  const { assignments, students } = gradebook;
+
+  return [
+    ['Student', 'Email', ...assignments.map(assignment => assignment.title), 'Late', 'Missing', 'Average %'],
+    ['Points possible', null, ...assignments.map(assignment => assignment.maxPoints), null, null, null],
+    ...students.map(student => [
+      student.name || student.userId,
+      student.email,
+      ...assignments.map(assignment => effectiveGrade(student.grades[assignment.id])),
+      student.lateCount,
+      student.missingCount,
+      student.average
+    ])
+  ];
+}
+
+/**
+ * Export a gradebook as CSV
+ * @param {Gradebook} gradebook
+ * @returns {string}
+ */
+export function exportGradebookCsv(gradebook) {
+  const [header, ...rows] = gradebookTable(gradebook);
+  return toCsv(rows, header.map((title, index) => ({ header: title, value: row => row[index] })));
+}
+
+/**
+ * Export a gradebook as an .xlsx workbook
+ * @param {Gradebook} gradebook
+ * @param {Object} [options]
+ * @param {string} [options.sheetName='Gradebook']
+ * @returns {Uint8Array}
+ */
+export function exportGradebookXlsx(gradebook, { sheetName = 'Gradebook' } = {}) {
+  return createXlsx(gradebookTable(gradebook), { sheetName, headerRows: 2 });
+}
@@ -0,0 +1,106 @@
+import { describe, expect, it } from 'vitest';
+import { createFakeClient } from '../test/helpers.js';
+import { parseCsv } from './csv.js';
+import { buildGradebook, exportGradebookCsv, exportGradebookXlsx, gradebookTable } from './gradebook.js';
+import { DEFAULT_MAX_PAGES } from './pagination.js';
+
+const NOW = new Date('2026-03-02T10:00:00Z');
+
+/**
+ * Client answering the three gradebook listings from fixtures
+ */
+function createGradebookClient({ students, courseWork, submissions }) {
+  return createFakeClient({
+    '/v1/courses/course-1/students': { students },
+    '/v1/courses/course-1/courseWork': { courseWork },
+    '/v1/courses/course-1/courseWork/-/studentSubmissions': { studentSubmissions: submissions }
+  });
+}
+
+const STUDENTS = [
+  { userId: 's1', profile: { name: { fullName: 'Grace Hopper' }, emailAddress: 'grace@school.example' } },
+  { userId: 's2', profile: { name: { fullName: 'Alan Turing' }, emailAddress: 'alan@school.example' } }
+];
+
+const COURSE_WORK = [
+  { id: 'w1', title: 'Lab 1', maxPoints: 10, state: 'PUBLISHED', creationTime: '2026-02-01T00:00:00Z' },
+  { id: 'w2', title: 'Lab 2', maxPoints: 20, state: 'PUBLISHED', creationTime: '2026-02-02T00:00:00Z' }
+];
+
+describe('buildGradebook()', () => {
+  it('averages the grade each cell shows, including draft-only grades', async () => {
+    const client = createGradebookClient({
+      students: STUDENTS,
+      courseWork: COURSE_WORK,
+      submissions: [
+        { id: 'a', courseWorkId: 'w1', userId: 's1', state: 'RETURNED', assignedGrade: 8, draftGrade: 8 },
+        { id: 'b', courseWorkId: 'w2', userId: 's1', state: 'TURNED_IN', draftGrade: 14 },
+        { id: 'c', courseWorkId: 'w1', userId: 's2', state: 'TURNED_IN', draftGrade: 5 },
+        { id: 'd', courseWorkId: 'w2', userId: 's2', state: 'CREATED' }
+      ]
+    });
+
+    const gradebook = await buildGradebook(client, 'course-1', { now: NOW });
+    const [grace, alan] = ['Grace Hopper', 'Alan Turing'].map(name => gradebook.students.find(student => student.name === name));
+
+    expect(grace.average).toBe(73.3);
+    // Only a draft grade so far: the average matches the 5/10 the cell shows
+    expect(alan.average).toBe(50);
+    expect(gradebookTable(gradebook).slice(2)).toEqual([
+      ['Alan Turing', 'alan@school.example', 5, null, 0, 0, 50],
+      ['Grace Hopper', 'grace@school.example', 8, 14, 0, 0, 73.3]
+    ]);
+  });
+
+  it('does not flag past-due work with a draft grade as missing', async () => {
+    const client = createGradebookClient({
+      students: STUDENTS.slice(0, 1),
+      courseWork: [{ ...COURSE_WORK[0], dueDate: { year: 2026, month: 2, day: 20 } }],
+      // Graded in Classroom without the student turning anything in
+      submissions: [{ id: 'a', courseWorkId: 'w1', userId: 's1', state: 'CREATED', draftGrade: 6 }]
+    });
+
+    const gradebook = await buildGradebook(client, 'course-1', { now: NOW });
+    const [grace] = gradebook.students;
+
+    expect(grace.grades.w1).toMatchObject({ draftGrade: 6, missing: false });
+    expect(grace.missingCount).toBe(0);
+    expect(grace.average).toBe(60);
+  });
+
+  it('reads submissions past the default page guard', async () => {
+    // Only the page after the guard holds Grace's graded lab
+    const pages = Array.from({ length: DEFAULT_MAX_PAGES + 1 }, (_, index) => ({
+      studentSubmissions: index === DEFAULT_MAX_PAGES
+        ? [{ id: 'a', courseWorkId: 'w1', userId: 's1', state: 'RETURNED', assignedGrade: 9 }]
+        : []
+    }));
+    const client = createFakeClient({
+      '/v1/courses/course-1/students': { students: STUDENTS.slice(0, 1) },
+      '/v1/courses/course-1/courseWork': { courseWork: COURSE_WORK.slice(0, 1) },
+      '/v1/courses/course-1/courseWork/-/studentSubmissions': pages
+    });
+
+    const gradebook = await buildGradebook(client, 'course-1', { now: NOW });
+
+    expect(gradebookTable(gradebook).slice(2)).toEqual([['Grace Hopper', 'grace@school.example', 9, 0, 0, 90]]);
+  });
+
+  it('exports names and titles that look like formulas as text', async () => {
+    const client = createGradebookClient({
+      students: [{ userId: 's1', profile: { name: { fullName: '=cmd|\' /C calc\'!A0' } } }],
+      courseWork: [{ id: 'w1', title: '@SUM(1+1)', maxPoints: 10, state: 'PUBLISHED' }],
+      submissions: [{ id: 'a', courseWorkId: 'w1', userId: 's1', state: 'RETURNED', assignedGrade: 7 }]
+    });
+    const gradebook = await buildGradebook(client, 'course-1', { now: NOW });
+
+    const [header, , row] = parseCsv(exportGradebookCsv(gradebook));
+    expect(header[2]).toBe('\'@SUM(1+1)');
+    expect(row).toEqual(['\'=cmd|\' /C calc\'!A0', '', '7', '0', '0', '70']);
+
+    const xlsx = new TextDecoder().decode(exportGradebookXlsx(gradebook));
+    expect(xlsx).toContain('>\'@SUM(1+1)</t>');
+    expect(xlsx).toContain('>\'=cmd|\' /C calc\'!A0</t>');
+    expect(xlsx).not.toMatch(/>[=@]/);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Node entry point
+ *
+ * Everything in gcr.js except the browser-only OAuth redirect helpers works
+ * under Node as well; tokens default to in-memory storage there. This module
+ * re-exports the client and adds service account support for headless
+ * automation:
+ *
+ *   const client = await createServiceAccountClient({
+ *     keyFile: './service-account.json',
+ *     subject: 'admin@school.example',
+ *     scopes: [SCOPES.COURSES_READONLY]
+ *   });
+ *   const { courses } = await client.courses.list();
+ */
+
+import { readFile } from 'node:fs/promises';
+import { GoogleClassroomClient } from './gcr.js';
+import { createEndpoints } from './endpoints.js';
+import { ServiceAccountCredentials } from './serviceAccount.js';
+
+export {
+  GoogleClassroomClient,
+  GoogleClassroomError,
+  AuthError,
+  PermissionDeniedError,
+  InsufficientScopeError,
+  NotFoundError,
+  QuotaExceededError,
+  NetworkError,
+  ValidationError
+} from './gcr.js';
+export { SCOPES, RESOURCE_SCOPES } from './scopes.js';
+export { MemoryStorageAdapter, EncryptedStorageAdapter } from './storage.js';
+export { FileStorageAdapter } from './fileStorage.js';
+export { ServiceAccountCredentials };
+
+/**
+ * Load service account credentials from a JSON key file
+ * @param {string|URL} keyFile - Path of the key downloaded from Google Cloud Console
+ * @param {Object} options
+ * @param {string|string[]} options.scopes - OAuth scopes to request
+ * @param {string} [options.subject] - Workspace user to impersonate (domain-wide delegation)
+ * @returns {Promise<ServiceAccountCredentials>}
+ */
+export async function loadServiceAccountCredentials(keyFile, options) {
+  const key = JSON.parse(await readFile(keyFile, 'utf8'));
+  return ServiceAccountCredentials.fromKey(key, options);
+}
+
+/**
+ * Create a client that authenticates as a service account
+ * Other options are passed on to GoogleClassroomClient (retry, rateLimit, cache, ...);
+ * with `baseUrl`, assertions are exchanged at that URL's token endpoint too.
+ * @param {Object} options
+ * @param {string|URL} [options.keyFile] - Path of the JSON key file
+ * @param {Object} [options.key] - Parsed key file contents, instead of keyFile
+ * @param {string|string[]} options.scopes - OAuth scopes to request
+ * @param {string} [options.subject] - Workspace user to impersonate (domain-wide delegation)
+ * @returns {Promise<GoogleClassroomClient>}
+ */
+export async function createServiceAccountClient({ keyFile, key, scopes, subject, ...clientOptions }) {
+  const options = { scopes, subject };
+  if (clientOptions.baseUrl) {
+    options.tokenUrl = createEndpoints(clientOptions.baseUrl).token;
+  }
+  const credentials = key
+    ? ServiceAccountCredentials.fromKey(key, options)
+    : await loadServiceAccountCredentials(keyFile, options);
+
+  return new GoogleClassroomClient(null, null, { ...clientOptions, credentials });
+}
@@ -0,0 +1,67 @@
+/**
+ * Pagination over Classroom list endpoints
+ *
+ * The helpers take any client-like object with a `makeRequest()` method, so
+ * wrappers such as the query console's read-only facade page through their
+ * own request path instead of borrowing GoogleClassroomClient methods.
+ */
+
+import { withQuery } from './resources.js';
+
+// Default guard for collectPages() so a runaway listing cannot loop forever
+export const DEFAULT_MAX_PAGES = 100;
+
+/**
+ * Iterate over the pages of a paginated list endpoint, following nextPageToken
+ * @param {{makeRequest: function(Object): Promise<Object>}} client - Sends the page requests
+ * @param {Object} options - Pagination options
+ * @param {string} options.endpoint - List endpoint URL
+ * @param {Object} [options.params] - Query parameters (e.g. pageSize, filters)
+ * @param {string} options.itemsKey - Response field holding the items (e.g. 'courses')
+ * @param {string} [options.priority] - Queue lane for the page requests
+ * @param {Object|false} [options.cache] - Cache options for the page requests (see makeRequest())
+ * @param {string|Array<string|string[]>} [options.scopes] - OAuth scopes the listing needs
+ * @yields {{items: Object[], nextPageToken: string|null}}
+ */
+export async function* listPages(client, { endpoint, params = {}, itemsKey, priority, cache, scopes }) {
+  let pageToken = params.pageToken;
+
+  do {
+    const response = await client.makeRequest({
+      endpoint: withQuery(endpoint, { ...params, pageToken }),
+      priority,
+      cache,
+      scopes
+    });
+    pageToken = response?.nextPageToken || null;
+    yield { items: response?.[itemsKey] || [], nextPageToken: pageToken };
+  } while (pageToken);
+}
+
+/**
+ * Collect all items of a paginated list endpoint, with guards against huge listings
+ * @param {{makeRequest: function(Object): Promise<Object>}} client - Sends the page requests
+ * @param {Object} options - Same options as listPages(), plus:
+ * @param {number} [options.maxItems=Infinity] - Stop after this many items
+ * @param {number} [options.maxPages=100] - Stop after this many pages
+ * @param {function({items: Object[], pageCount: number}): void} [options.onPage] - Progress callback
+ * @returns {Promise<{items: Object[], pageCount: number, truncated: boolean}>}
+ *   `truncated` is true when a guard stopped the listing before the last page
+ */
+export async function collectPages(client, { maxItems = Infinity, maxPages = DEFAULT_MAX_PAGES, onPage, ...options }) {
+  const items = [];
+  let pageCount = 0;
+
+  for await (const page of listPages(client, options)) {
+    pageCount++;
+    items.push(...page.items);
+    onPage?.({ items: items.slice(0, maxItems), pageCount });
+
+    const hasMore = !!page.nextPageToken;
+    if (items.length > maxItems || (hasMore && (items.length === maxItems || pageCount >= maxPages))) {
+      return { items: items.slice(0, maxItems), pageCount, truncated: true };
+    }
+  }
+
+  return { items, pageCount, truncated: false };
+}
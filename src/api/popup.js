@@ -0,0 +1,118 @@
+/**
+ * Popup-window OAuth flow
+ *
+ * The consent screen opens in a popup instead of replacing the app. Google
+ * redirects the popup to the dedicated `/oauth/callback` page
+ * (oauth/callback.html), which posts the callback query string back to its
+ * opener and closes itself. The opener only accepts the message from its own
+ * origin and from the popup it opened; the client then checks the state.
+ */
+
+import { AuthError } from './errors.js';
+
+/** Message type posted by the callback page */
+export const POPUP_MESSAGE_TYPE = 'gcr_oauth_callback';
+
+// Window name of the popup, so repeated clicks reuse one window
+const POPUP_NAME = 'gcr_oauth';
+
+const POPUP_WIDTH = 500;
+const POPUP_HEIGHT = 650;
+
+// How often to check whether the user closed the popup
+const POPUP_POLL_MS = 500;
+
+// Give up on an abandoned consent screen after 10 minutes
+const POPUP_TIMEOUT_MS = 600000;
+
+/**
+ * Open an empty, centered popup window
+ * Must run synchronously in the click handler, before any await, or the
+ * browser's popup blocker rejects it.
+ * @returns {Window|null} null when the popup was blocked
+ */
+export function openAuthPopup() {
+  const left = window.screenX + (window.outerWidth - POPUP_WIDTH) / 2;
+  const top = window.screenY + (window.outerHeight - POPUP_HEIGHT) / 2;
+  const features = `popup,width=${POPUP_WIDTH},height=${POPUP_HEIGHT},left=${left},top=${top}`;
+
+  try {
+    return window.open('', POPUP_NAME, features) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Wait for the callback page in the popup to report the authorization result
+ * @param {Window} popup - Window returned by openAuthPopup()
+ * @param {Object} [options]
+ * @param {string} [options.origin] - Origin the callback page is served from
+ * @param {number} [options.timeoutMs=600000] - Give up after this long
+ * @returns {Promise<URLSearchParams>} Callback query parameters (code, state or error)
+ */
+export function waitForPopupCallback(popup, {
+  origin = window.location.origin,
+  timeoutMs = POPUP_TIMEOUT_MS
+} = {}) {
+  return new Promise((resolve, reject) => {
+    let poll = null;
+    let timeout = null;
+
+    const cleanup = () => {
+      window.removeEventListener('message', onMessage);
+      clearInterval(poll);
+      clearTimeout(timeout);
+    };
+
+    const onMessage = event => {
+      if (event.origin !== origin || event.source !== popup || event.data?.type !== POPUP_MESSAGE_TYPE) {
+        return;
+      }
+      cleanup();
+      popup.close();
+      resolve(new URLSearchParams(event.data.search));
+    };
+
+    window.addEventListener('message', onMessage);
+
+    poll = setInterval(() => {
+      if (popup.closed) {
+        cleanup();
+        reject(new AuthError('Authorization popup was closed before completing', { reason: 'popup_closed' }));
+      }
+    }, POPUP_POLL_MS);
+
+    timeout = setTimeout(() => {
+      cleanup();
+      popup.close();
+      reject(new AuthError('Authorization popup timed out', { reason: 'popup_timeout' }));
+    }, timeoutMs);
+  });
+}
+
+/**
+ * Hand the OAuth callback to the window that opened this popup
+ * Called by the `/oauth/callback` page.
+ * @returns {boolean} false when this page is not a popup of the app (redirect flow)
+ */
+export function postCallbackToOpener() {
+  const opener = window.opener;
+  if (!opener || opener === window) {
+    return false;
+  }
+
+  try {
+    // Reading a cross-origin opener's location throws: only hand the code to our own app
+    if (opener.location.origin !== window.location.origin) {
+      return false;
+    }
+    // Same-origin target only; the opener checks origin and source again
+    opener.postMessage({ type: POPUP_MESSAGE_TYPE, search: window.location.search }, window.location.origin);
+  } catch {
+    return false;
+  }
+
+  window.close();
+  return true;
+}
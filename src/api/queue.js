@@ -0,0 +1,156 @@
+/**
+ * Client-side request scheduling
+ *
+ * RequestQueue limits how many requests are in flight at once and, through a
+ * TokenBucket, how many start per second. Waiting requests are served by
+ * priority lane first and in arrival order within a lane, so interactive UI
+ * requests jump ahead of queued background jobs.
+ */
+
+import { ValidationError } from './errors.js';
+
+/** Priority lanes, highest first */
+export const PRIORITIES = ['interactive', 'default', 'background'];
+
+/** Default client limits: 10 requests per second with bursts of 20 */
+export const DEFAULT_RATE_LIMIT = { requestsPerSecond: 10, burst: 20 };
+export const DEFAULT_CONCURRENCY = 6;
+
+/**
+ * Token-bucket rate limiter
+ * Holds up to `burst` tokens and refills at `requestsPerSecond`.
+ */
+export class TokenBucket {
+  /**
+   * @param {Object} options
+   * @param {number} options.requestsPerSecond - Sustained request rate
+   * @param {number} [options.burst] - Bucket capacity; defaults to requestsPerSecond
+   */
+  constructor({ requestsPerSecond, burst = requestsPerSecond }) {
+    if (!(requestsPerSecond > 0) || !(burst >= 1)) {
+      throw new Error('Rate limit requires requestsPerSecond > 0 and burst >= 1');
+    }
+    this.ratePerMs = requestsPerSecond / 1000;
+    this.capacity = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Add the tokens accumulated since the last update
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.ratePerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Take a token if one is available
+   * @returns {number} 0 if a token was taken, otherwise milliseconds until one is available
+   */
+  take() {
+    this.refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) / this.ratePerMs);
+  }
+}
+
+/**
+ * Concurrency-limited, rate-limited priority queue for request tasks
+ */
+export class RequestQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=DEFAULT_CONCURRENCY] - Maximum tasks running at once
+   * @param {{requestsPerSecond: number, burst?: number}|false} [options.rateLimit] - Token bucket settings, or false for none
+   */
+  constructor({ concurrency = DEFAULT_CONCURRENCY, rateLimit = false } = {}) {
+    if (!(concurrency >= 1)) {
+      throw new Error('Queue concurrency must be at least 1');
+    }
+    this.concurrency = concurrency;
+    this.bucket = rateLimit ? new TokenBucket(rateLimit) : null;
+    this.lanes = new Map(PRIORITIES.map(priority => [priority, []]));
+    this.active = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Number of tasks waiting to start
+   * @returns {number}
+   */
+  get size() {
+    let size = 0;
+    for (const lane of this.lanes.values()) {
+      size += lane.length;
+    }
+    return size;
+  }
+
+  /**
+   * Queue a task
+   * @param {function(): Promise<*>} task - Starts the work when called
+   * @param {Object} [options]
+   * @param {string} [options.priority='default'] - One of PRIORITIES
+   * @returns {Promise<*>} Settles with the task's result; rejects with a
+   *   ValidationError for an unknown priority
+   */
+  schedule(task, { priority = 'default' } = {}) {
+    const lane = this.lanes.get(priority);
+    if (!lane) {
+      return Promise.reject(new ValidationError(`Unknown request priority: ${priority}`, { reason: 'priority' }));
+    }
+
+    return new Promise((resolve, reject) => {
+      lane.push({ task, resolve, reject });
+      this.pump();
+    });
+  }
+
+  /**
+   * Take the next task from the highest non-empty lane
+   * @returns {Object|undefined}
+   */
+  next() {
+    for (const lane of this.lanes.values()) {
+      if (lane.length > 0) {
+        return lane.shift();
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Start as many waiting tasks as the concurrency and rate limits allow
+   */
+  pump() {
+    if (this.timer) {
+      return;
+    }
+
+    while (this.active < this.concurrency && this.size > 0) {
+      const waitMs = this.bucket ? this.bucket.take() : 0;
+      if (waitMs > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.pump();
+        }, waitMs);
+        return;
+      }
+
+      const { task, resolve, reject } = this.next();
+      this.active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.pump();
+        });
+    }
+  }
+}
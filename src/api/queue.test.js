@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { ValidationError } from './errors.js';
+import { RequestQueue } from './queue.js';
+
+describe('RequestQueue', () => {
+  it('starts waiting tasks by priority lane', async () => {
+    const queue = new RequestQueue({ concurrency: 1 });
+    const started = [];
+    const task = name => () => {
+      started.push(name);
+      return Promise.resolve(name);
+    };
+
+    await Promise.all([
+      queue.schedule(task('first')),
+      queue.schedule(task('background'), { priority: 'background' }),
+      queue.schedule(task('default')),
+      queue.schedule(task('interactive'), { priority: 'interactive' })
+    ]);
+
+    expect(started).toEqual(['first', 'interactive', 'default', 'background']);
+  });
+
+  it('rejects an unknown priority with a ValidationError', async () => {
+    const queue = new RequestQueue();
+    let ran = false;
+
+    const error = await queue.schedule(() => {
+      ran = true;
+    }, { priority: 'urgent' }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.reason).toBe('priority');
+    expect(error.message).toBe('Unknown request priority: urgent');
+    expect(ran).toBe(false);
+    expect(queue.size).toBe(0);
+  });
+});
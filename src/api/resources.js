@@ -0,0 +1,513 @@
+/**
+ * Typed Google Classroom v1 resource methods
+ *
+ * These wrap GoogleClassroomClient.makeRequest() so callers no longer need to
+ * hand-build URLs. Required path parameters are validated before any request
+ * is sent, and list methods always return an array (Google omits empty ones).
+ * Each method declares its OAuth scopes (see scopes.js), so a 403 for a
+ * missing scope reports which scopes to request.
+ */
+
+import { ValidationError } from './errors.js';
+import { RESOURCE_SCOPES } from './scopes.js';
+
+const CLASSROOM_API_BASE = 'https://classroom.googleapis.com/v1';
+
+/**
+ * @typedef {Object} Course
+ * @property {string} id - Identifier assigned by Classroom
+ * @property {string} name - Course name
+ * @property {string} [section] - Course section
+ * @property {string} [descriptionHeading] - Optional heading for the description
+ * @property {string} [description] - Course description
+ * @property {string} [room] - Course room location
+ * @property {string} ownerId - Identifier of the course owner
+ * @property {string} [creationTime] - RFC 3339 creation timestamp
+ * @property {string} [updateTime] - RFC 3339 last update timestamp
+ * @property {string} [enrollmentCode] - Code students can use to join
+ * @property {'ACTIVE'|'ARCHIVED'|'PROVISIONED'|'DECLINED'|'SUSPENDED'} [courseState] - Course state
+ * @property {string} [alternateLink] - Absolute link to the course in the Classroom UI
+ */
+
+/**
+ * @typedef {Object} UserProfile
+ * @property {string} id - Identifier of the user
+ * @property {{givenName: string, familyName: string, fullName: string}} name - Name of the user
+ * @property {string} [emailAddress] - Email address (requires the profile.emails scope)
+ * @property {string} [photoUrl] - URL of the user's profile photo
+ */
+
+/**
+ * @typedef {Object} Student
+ * @property {string} courseId - Identifier of the course
+ * @property {string} userId - Identifier of the user
+ * @property {UserProfile} profile - Global user information for the student
+ */
+
+/**
+ * @typedef {Object} Teacher
+ * @property {string} courseId - Identifier of the course
+ * @property {string} userId - Identifier of the user
+ * @property {UserProfile} profile - Global user information for the teacher
+ */
+
+/**
+ * @typedef {Object} Invitation
+ * @property {string} id - Identifier assigned by Classroom
+ * @property {string} userId - Identifier of the invited user
+ * @property {string} courseId - Identifier of the course to invite the user to
+ * @property {'STUDENT'|'TEACHER'|'OWNER'} role - Role to invite the user to have
+ */
+
+/**
+ * @typedef {Object} CourseWork
+ * @property {string} [id] - Identifier assigned by Classroom
+ * @property {string} [courseId] - Identifier of the course
+ * @property {string} title - Title of this course work
+ * @property {string} [description] - Optional description
+ * @property {Object[]} [materials] - Additional materials
+ * @property {'PUBLISHED'|'DRAFT'|'DELETED'} [state] - Status of this course work
+ * @property {number} [maxPoints] - Maximum grade for this course work
+ * @property {{year: number, month: number, day: number}} [dueDate] - Due date (UTC)
+ * @property {{hours?: number, minutes?: number}} [dueTime] - Due time of day (UTC)
+ * @property {'ASSIGNMENT'|'SHORT_ANSWER_QUESTION'|'MULTIPLE_CHOICE_QUESTION'} workType - Type of this course work
+ * @property {string} [alternateLink] - Absolute link to this course work in the Classroom UI
+ */
+
+/**
+ * @typedef {Object} StudentSubmission
+ * @property {string} id - Identifier assigned by Classroom
+ * @property {string} courseId - Identifier of the course
+ * @property {string} courseWorkId - Identifier of the course work
+ * @property {string} userId - Identifier of the student that owns this submission
+ * @property {'NEW'|'CREATED'|'TURNED_IN'|'RETURNED'|'RECLAIMED_BY_STUDENT'} state - State of this submission
+ * @property {boolean} [late] - Whether this submission is late
+ * @property {number} [draftGrade] - Optional pending grade, visible only to teachers
+ * @property {number} [assignedGrade] - Optional grade visible to the student
+ * @property {string} [courseWorkType] - Type of course work this submission is for
+ * @property {Object} [assignmentSubmission] - Attachments for an ASSIGNMENT
+ * @property {{answer: string}} [shortAnswerSubmission] - Answer for a SHORT_ANSWER_QUESTION
+ * @property {string} [alternateLink] - Absolute link to the submission in the Classroom UI
+ */
+
+/**
+ * Throw if a required path parameter is missing or empty
+ * @param {Object<string, *>} params - Parameters keyed by name
+ */
+function requireParams(params) {
+  for (const [name, value] of Object.entries(params)) {
+    if (value === undefined || value === null || value === '') {
+      throw new ValidationError(`Missing required parameter: ${name}`, { reason: 'missingParameter' });
+    }
+  }
+}
+
+/**
+ * Add query parameters to a URL, replacing any parameters of the same name
+ * Array values are repeated (e.g. `courseStates=ACTIVE&courseStates=ARCHIVED`);
+ * undefined and null values are skipped.
+ * @param {string} endpoint - Absolute URL
+ * @param {Object} [query] - Query parameters
+ * @returns {string}
+ */
+export function withQuery(endpoint, query = {}) {
+  const url = new URL(endpoint);
+
+  for (const [name, value] of Object.entries(query)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    url.searchParams.delete(name);
+    for (const item of Array.isArray(value) ? value : [value]) {
+      url.searchParams.append(name, String(item));
+    }
+  }
+
+  return url.toString();
+}
+
+/**
+ * @typedef {Object} ListAllResult
+ * @property {Object[]} items - Items of all pages
+ * @property {number} pageCount - Pages fetched
+ * @property {boolean} truncated - Whether a maxItems/maxPages guard stopped the listing early
+ */
+
+/**
+ * Build a Classroom API URL from encoded path segments and optional query parameters
+ * @param {string[]} segments - Path segments below /v1
+ * @param {Object} [query] - Query parameters
+ * @returns {string}
+ */
+function classroomUrl(segments, query = {}) {
+  const path = segments.map(segment => encodeURIComponent(segment)).join('/');
+  return withQuery(`${CLASSROOM_API_BASE}/${path}`, query);
+}
+
+/**
+ * Append a `:action` suffix (e.g. `:turnIn`) to a resource URL
+ * @param {string[]} segments - Path segments of the resource
+ * @param {string} action - Custom method name
+ * @returns {string}
+ */
+function actionUrl(segments, action) {
+  return `${classroomUrl(segments)}:${action}`;
+}
+
+/**
+ * Derive an updateMask from the fields present in a patch body
+ * @param {Object} body
+ * @returns {string}
+ */
+function fieldMask(body) {
+  return Object.keys(body).join(',');
+}
+
+/**
+ * Create the members resource of a course roster (students or teachers)
+ * @param {import('./gcr.js').GoogleClassroomClient} client
+ * @param {'students'|'teachers'} collection - Roster collection name
+ * @param {'STUDENT'|'TEACHER'} role - Invitation role
+ */
+function createRosterResource(client, collection, role) {
+  return {
+    /**
+     * List members of a course
+     * @param {string} courseId - Course identifier or alias
+     * @param {{pageSize?: number, pageToken?: string}} [params]
+     * @returns {Promise<Object>} `{ students: Student[] }` or `{ teachers: Teacher[] }`, plus nextPageToken
+     */
+    async list(courseId, params = {}) {
+      requireParams({ courseId });
+      const response = await client.makeRequest({
+        endpoint: classroomUrl(['courses', courseId, collection], params),
+        scopes: RESOURCE_SCOPES[`courses.${collection}.list`]
+      });
+      return { ...response, [collection]: response?.[collection] || [] };
+    },
+
+    /**
+     * List all members of a course, following nextPageToken
+     * @param {string} courseId - Course identifier or alias
+     * @param {{pageSize?: number}} [params]
+     * @param {Object} [options] - collectAll() options (maxItems, maxPages, onPage, priority, cache)
+     * @returns {Promise<ListAllResult>}
+     */
+    async listAll(courseId, params = {}, options = {}) {
+      requireParams({ courseId });
+      return client.collectAll({
+        ...options,
+        endpoint: classroomUrl(['courses', courseId, collection]),
+        params,
+        itemsKey: collection,
+        scopes: RESOURCE_SCOPES[`courses.${collection}.list`]
+      });
+    },
+
+    /**
+     * Invite a user to join a course in this role
+     * @param {string} courseId - Course identifier or alias
+     * @param {string} userId - User ID, email address or `me`
+     * @returns {Promise<Invitation>}
+     */
+    async invite(courseId, userId) {
+      requireParams({ courseId, userId });
+      return client.makeRequest({
+        endpoint: classroomUrl(['invitations']),
+        method: 'POST',
+        body: { courseId, userId, role },
+        scopes: RESOURCE_SCOPES[`courses.${collection}.invite`]
+      });
+    },
+
+    /**
+     * Remove a member from a course
+     * @param {string} courseId - Course identifier or alias
+     * @param {string} userId - User ID or email address
+     * @returns {Promise<Object>} Empty response
+     */
+    async delete(courseId, userId) {
+      requireParams({ courseId, userId });
+      return client.makeRequest({
+        endpoint: classroomUrl(['courses', courseId, collection, userId]),
+        method: 'DELETE',
+        scopes: RESOURCE_SCOPES[`courses.${collection}.delete`]
+      });
+    }
+  };
+}
+
+/**
+ * Create the Courses resource, including the nested roster resources
+ * @param {import('./gcr.js').GoogleClassroomClient} client
+ */
+export function createCoursesResource(client) {
+  return {
+    students: createRosterResource(client, 'students', 'STUDENT'),
+    teachers: createRosterResource(client, 'teachers', 'TEACHER'),
+
+    /**
+     * List courses visible to the user
+     * @param {{pageSize?: number, pageToken?: string, studentId?: string, teacherId?: string, courseStates?: string[]}} [params]
+     * @returns {Promise<{courses: Course[], nextPageToken?: string}>}
+     */
+    async list(params = {}) {
+      const response = await client.makeRequest({
+        endpoint: classroomUrl(['courses'], params),
+        scopes: RESOURCE_SCOPES['courses.list']
+      });
+      return { ...response, courses: response?.courses || [] };
+    },
+
+    /**
+     * List all courses visible to the user, following nextPageToken
+     * @param {{pageSize?: number, studentId?: string, teacherId?: string, courseStates?: string[]}} [params]
+     * @param {Object} [options] - collectAll() options (maxItems, maxPages, onPage, priority, cache)
+     * @returns {Promise<ListAllResult>}
+     */
+    async listAll(params = {}, options = {}) {
+      return client.collectAll({
+        ...options,
+        endpoint: classroomUrl(['courses']),
+        params,
+        itemsKey: 'courses',
+        scopes: RESOURCE_SCOPES['courses.list']
+      });
+    },
+
+    /**
+     * Get a course
+     * @param {string} id - Course identifier or alias
+     * @returns {Promise<Course>}
+     */
+    async get(id) {
+      requireParams({ id });
+      return client.makeRequest({
+        endpoint: classroomUrl(['courses', id]),
+        scopes: RESOURCE_SCOPES['courses.get']
+      });
+    },
+
+    /**
+     * Create a course
+     * @param {Partial<Course>} course - Must include `name` and `ownerId`
+     * @returns {Promise<Course>}
+     */
+    async create(course) {
+      requireParams({ name: course?.name, ownerId: course?.ownerId });
+      return client.makeRequest({
+        endpoint: classroomUrl(['courses']),
+        method: 'POST',
+        body: course,
+        scopes: RESOURCE_SCOPES['courses.create']
+      });
+    },
+
+    /**
+     * Update fields of a course
+     * @param {string} id - Course identifier or alias
+     * @param {Partial<Course>} course - Fields to update
+     * @param {string} [updateMask] - Fields to update; defaults to the keys of `course`
+     * @returns {Promise<Course>}
+     */
+    async patch(id, course, updateMask = fieldMask(course || {})) {
+      requireParams({ id, updateMask });
+      return client.makeRequest({
+        endpoint: classroomUrl(['courses', id], { updateMask }),
+        method: 'PATCH',
+        body: course,
+        scopes: RESOURCE_SCOPES['courses.patch']
+      });
+    },
+
+    /**
+     * Delete a course
+     * @param {string} id - Course identifier or alias
+     * @returns {Promise<Object>} Empty response
+     */
+    async delete(id) {
+      requireParams({ id });
+      return client.makeRequest({
+        endpoint: classroomUrl(['courses', id]),
+        method: 'DELETE',
+        scopes: RESOURCE_SCOPES['courses.delete']
+      });
+    }
+  };
+}
+
+/**
+ * Create the CourseWork resource
+ * @param {import('./gcr.js').GoogleClassroomClient} client
+ */
+export function createCourseWorkResource(client) {
+  return {
+    /**
+     * List course work in a course
+     * @param {string} courseId - Course identifier or alias
+     * @param {{pageSize?: number, pageToken?: string, courseWorkStates?: string[], orderBy?: string}} [params]
+     * @returns {Promise<{courseWork: CourseWork[], nextPageToken?: string}>}
+     */
+    async list(courseId, params = {}) {
+      requireParams({ courseId });
+      const response = await client.makeRequest({
+        endpoint: classroomUrl(['courses', courseId, 'courseWork'], params),
+        scopes: RESOURCE_SCOPES['courseWork.list']
+      });
+      return { ...response, courseWork: response?.courseWork || [] };
+    },
+
+    /**
+     * List all course work in a course, following nextPageToken
+     * @param {string} courseId - Course identifier or alias
+     * @param {{pageSize?: number, courseWorkStates?: string[], orderBy?: string}} [params]
+     * @param {Object} [options] - collectAll() options (maxItems, maxPages, onPage, priority, cache)
+     * @returns {Promise<ListAllResult>}
+     */
+    async listAll(courseId, params = {}, options = {}) {
+      requireParams({ courseId });
+      return client.collectAll({
+        ...options,
+        endpoint: classroomUrl(['courses', courseId, 'courseWork']),
+        params,
+        itemsKey: 'courseWork',
+        scopes: RESOURCE_SCOPES['courseWork.list']
+      });
+    },
+
+    /**
+     * Get course work
+     * @param {string} courseId - Course identifier or alias
+     * @param {string} id - Course work identifier
+     * @returns {Promise<CourseWork>}
+     */
+    async get(courseId, id) {
+      requireParams({ courseId, id });
+      return client.makeRequest({
+        endpoint: classroomUrl(['courses', courseId, 'courseWork', id]),
+        scopes: RESOURCE_SCOPES['courseWork.get']
+      });
+    },
+
+    /**
+     * Create course work
+     * @param {string} courseId - Course identifier or alias
+     * @param {CourseWork} courseWork - Must include `title` and `workType`
+     * @returns {Promise<CourseWork>}
+     */
+    async create(courseId, courseWork) {
+      requireParams({ courseId, title: courseWork?.title, workType: courseWork?.workType });
+      return client.makeRequest({
+        endpoint: classroomUrl(['courses', courseId, 'courseWork']),
+        method: 'POST',
+        body: courseWork,
+        scopes: RESOURCE_SCOPES['courseWork.create']
+      });
+    }
+  };
+}
+
+/**
+ * Create the StudentSubmissions resource
+ * @param {import('./gcr.js').GoogleClassroomClient} client
+ */
+export function createStudentSubmissionsResource(client) {
+  const submissionPath = (courseId, courseWorkId, id) =>
+    ['courses', courseId, 'courseWork', courseWorkId, 'studentSubmissions', id];
+
+  return {
+    /**
+     * List student submissions
+     * @param {string} courseId - Course identifier or alias
+     * @param {string} courseWorkId - Course work identifier, or `-` for all course work
+     * @param {{pageSize?: number, pageToken?: string, userId?: string, states?: string[], late?: string}} [params]
+     * @returns {Promise<{studentSubmissions: StudentSubmission[], nextPageToken?: string}>}
+     */
+    async list(courseId, courseWorkId, params = {}) {
+      requireParams({ courseId, courseWorkId });
+      const response = await client.makeRequest({
+        endpoint: classroomUrl(['courses', courseId, 'courseWork', courseWorkId, 'studentSubmissions'], params),
+        scopes: RESOURCE_SCOPES['studentSubmissions.list']
+      });
+      return { ...response, studentSubmissions: response?.studentSubmissions || [] };
+    },
+
+    /**
+     * List all student submissions, following nextPageToken
+     * @param {string} courseId - Course identifier or alias
+     * @param {string} courseWorkId - Course work identifier, or `-` for all course work
+     * @param {{pageSize?: number, userId?: string, states?: string[], late?: string}} [params]
+     * @param {Object} [options] - collectAll() options (maxItems, maxPages, onPage, priority, cache)
+     * @returns {Promise<ListAllResult>}
+     */
+    async listAll(courseId, courseWorkId, params = {}, options = {}) {
+      requireParams({ courseId, courseWorkId });
+      return client.collectAll({
+        ...options,
+        endpoint: classroomUrl(['courses', courseId, 'courseWork', courseWorkId, 'studentSubmissions']),
+        params,
+        itemsKey: 'studentSubmissions',
+        scopes: RESOURCE_SCOPES['studentSubmissions.list']
+      });
+    },
+
+    /**
+     * Set the draft and/or assigned grade of a submission
+     * @param {string} courseId - Course identifier or alias
+     * @param {string} courseWorkId - Course work identifier
+     * @param {string} id - Submission identifier
+     * @param {{draftGrade?: number, assignedGrade?: number}} grades - Grades to set
+     * @returns {Promise<StudentSubmission>}
+     */
+    async grade(courseId, courseWorkId, id, grades = {}) {
+      const body = {};
+      for (const field of ['draftGrade', 'assignedGrade']) {
+        if (grades[field] !== undefined) {
+          body[field] = grades[field];
+        }
+      }
+      requireParams({ courseId, courseWorkId, id, grade: fieldMask(body) });
+
+      return client.makeRequest({
+        endpoint: classroomUrl(submissionPath(courseId, courseWorkId, id), { updateMask: fieldMask(body) }),
+        method: 'PATCH',
+        body,
+        scopes: RESOURCE_SCOPES['studentSubmissions.grade']
+      });
+    },
+
+    /**
+     * Return a submission to its student
+     * @param {string} courseId - Course identifier or alias
+     * @param {string} courseWorkId - Course work identifier
+     * @param {string} id - Submission identifier
+     * @returns {Promise<Object>} Empty response
+     */
+    async return(courseId, courseWorkId, id) {
+      requireParams({ courseId, courseWorkId, id });
+      return client.makeRequest({
+        endpoint: actionUrl(submissionPath(courseId, courseWorkId, id), 'return'),
+        method: 'POST',
+        body: {},
+        scopes: RESOURCE_SCOPES['studentSubmissions.return']
+      });
+    },
+
+    /**
+     * Turn in a submission (only the owning student may do this)
+     * @param {string} courseId - Course identifier or alias
+     * @param {string} courseWorkId - Course work identifier
+     * @param {string} id - Submission identifier
+     * @returns {Promise<Object>} Empty response
+     */
+    async turnIn(courseId, courseWorkId, id) {
+      requireParams({ courseId, courseWorkId, id });
+      return client.makeRequest({
+        endpoint: actionUrl(submissionPath(courseId, courseWorkId, id), 'turnIn'),
+        method: 'POST',
+        body: {},
+        scopes: RESOURCE_SCOPES['studentSubmissions.turnIn']
+      });
+    }
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * Retry policy for Google Classroom API requests
+ *
+ * Failed requests are retried with jittered exponential backoff, honoring the
+ * server's Retry-After header. Only requests that are safe to repeat are
+ * retried: idempotent methods (GET, PUT, DELETE, ...) on any retryable
+ * failure, and any method on 429, which Google returns before processing the
+ * request. POST and PATCH are otherwise never retried unless the caller
+ * marks the request as idempotent or enables `retryNonIdempotent`. Errors
+ * that did not come from the HTTP transport (validation errors, middleware
+ * failures) are never retried.
+ */
+
+import { GoogleClassroomError } from './errors.js';
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxAttempts - Total attempts including the first one (1 disables retries)
+ * @property {number} baseDelayMs - Backoff base delay
+ * @property {number} maxDelayMs - Upper bound for a single delay, including Retry-After
+ * @property {number[]} retryableStatuses - HTTP statuses worth retrying
+ * @property {string[]} retryableReasons - Google error reasons worth retrying (e.g. on 403)
+ * @property {boolean} retryNonIdempotent - Also retry POST/PATCH on every retryable failure
+ */
+
+/** @type {RetryPolicy} */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  retryableStatuses: [408, 429, 500, 502, 503, 504],
+  retryableReasons: ['rateLimitExceeded', 'userRateLimitExceeded'],
+  retryNonIdempotent: false
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Build a complete retry policy from user options
+ * @param {Partial<RetryPolicy>|false} [options] - Overrides, or false to disable retries
+ * @returns {RetryPolicy}
+ */
+export function createRetryPolicy(options = {}) {
+  if (options === false) {
+    return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+  }
+  return { ...DEFAULT_RETRY_POLICY, ...options };
+}
+
+/**
+ * Whether repeating a request with this method has no additional effect
+ * @param {string} method - HTTP method
+ * @returns {boolean}
+ */
+export function isIdempotent(method) {
+  return IDEMPOTENT_METHODS.includes(method.toUpperCase());
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|undefined} value - Header value
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Full-jitter exponential backoff delay for a retry
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {RetryPolicy} policy
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoff(attempt, policy) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Whether the request was cancelled by the caller
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+function isCancelled(error) {
+  return error.code === 'ERR_CANCELED' || error.name === 'CanceledError';
+}
+
+/**
+ * Decide whether a failed attempt should be retried
+ * @param {Error} error - Axios error from the failed attempt
+ * @param {Object} context
+ * @param {string} context.method - HTTP method
+ * @param {boolean} [context.idempotent] - Caller override for idempotency
+ * @param {RetryPolicy} context.policy
+ * @returns {boolean}
+ */
+export function isRetryable(error, { method, idempotent, policy }) {
+  // Our own errors are final, and anything that is not an axios error never reached the network
+  if (error instanceof GoogleClassroomError || !error.isAxiosError) {
+    return false;
+  }
+
+  const status = error.response?.status;
+  const safeToRepeat = idempotent ?? (isIdempotent(method) || policy.retryNonIdempotent);
+
+  // No response at all: network failure or timeout, the request may have been applied
+  if (!error.response) {
+    return safeToRepeat && !isCancelled(error);
+  }
+
+  // Rate limited requests were rejected before processing
+  if (status === 429) {
+    return true;
+  }
+
+  const reason = error.response.data?.error?.errors?.[0]?.reason;
+  if (status === 403 && policy.retryableReasons.includes(reason)) {
+    return true;
+  }
+
+  return safeToRepeat && policy.retryableStatuses.includes(status);
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a request, retrying retryable failures according to the policy
+ * @param {function(): Promise<*>} send - Performs one attempt
+ * @param {Object} options
+ * @param {string} options.method - HTTP method
+ * @param {string} options.endpoint - Request URL (reported to onRetry)
+ * @param {boolean} [options.idempotent] - Caller override for idempotency
+ * @param {RetryPolicy} options.policy
+ * @param {function(Object): void} [options.onRetry] - Called before each retry with
+ *   `{ attempt, maxAttempts, delayMs, status, error, method, endpoint }`
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export async function withRetry(send, { method, endpoint, idempotent, policy, onRetry }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await send();
+    } catch (error) {
+      if (attempt >= policy.maxAttempts || !isRetryable(error, { method, idempotent, policy })) {
+        throw error;
+      }
+
+      const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+      if (retryAfter !== null && retryAfter > policy.maxDelayMs) {
+        // The server asked us to wait longer than we are willing to
+        throw error;
+      }
+      const delayMs = retryAfter ?? computeBackoff(attempt, policy);
+
+      onRetry?.({
+        attempt,
+        maxAttempts: policy.maxAttempts,
+        delayMs,
+        status: error.response?.status ?? null,
+        error,
+        method,
+        endpoint
+      });
+
+      await sleep(delayMs);
+    }
+  }
+}
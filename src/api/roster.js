@@ -0,0 +1,222 @@
+/**
+ * Course roster export, import and sync
+ *
+ * Exports write one member per row (`role,userId,email,name`). Imports only
+ * need an `email` column, or emails in the first column when the file has no
+ * header. Syncing compares the imported emails with the live roster of one
+ * role and plans invitations for new emails and removals for members missing
+ * from the file. Nothing changes until the plan is applied with
+ * `dryRun: false`, and every row reports its own result, so one failed
+ * invitation does not stop the rest.
+ *
+ * Members are matched by email address, which Classroom only returns with the
+ * classroom.profile.emails scope. Members whose email is not visible are
+ * reported as unmatched and never removed.
+ */
+
+import { parseCsv, toCsv } from './csv.js';
+import { ValidationError } from './errors.js';
+
+/** Roster collection of each role on `client.courses` */
+export const ROSTER_ROLES = {
+  STUDENT: 'students',
+  TEACHER: 'teachers'
+};
+
+// Header names recognised as the email column of an import
+const EMAIL_HEADERS = ['email', 'emailaddress', 'email address', 'e-mail'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @typedef {Object} RosterMember
+ * @property {'STUDENT'|'TEACHER'} role
+ * @property {string} userId
+ * @property {string|null} email - Lower-cased; null without the profile.emails scope
+ * @property {string|null} name
+ */
+
+/**
+ * @typedef {Object} RosterDiff
+ * @property {string[]} toInvite - Emails in the file but not on the roster
+ * @property {RosterMember[]} toRemove - Members whose email is not in the file
+ * @property {RosterMember[]} unchanged - Members whose email is in the file
+ * @property {RosterMember[]} unmatched - Members without a visible email; left alone
+ */
+
+/**
+ * @typedef {Object} RosterSyncResult
+ * @property {'invite'|'remove'|'keep'} action
+ * @property {string|null} email
+ * @property {string|null} userId
+ * @property {'planned'|'unchanged'|'done'|'skipped'|'failed'} status
+ * @property {string|null} error - Failure message
+ */
+
+/** Columns of a roster export */
+export const ROSTER_COLUMNS = [
+  { header: 'role', value: member => member.role },
+  { header: 'userId', value: member => member.userId },
+  { header: 'email', value: member => member.email },
+  { header: 'name', value: member => member.name }
+];
+
+/** Columns of a sync report */
+export const ROSTER_RESULT_COLUMNS = [
+  { header: 'action', value: result => result.action },
+  { header: 'email', value: result => result.email },
+  { header: 'userId', value: result => result.userId },
+  { header: 'status', value: result => result.status },
+  { header: 'error', value: result => result.error }
+];
+
+/**
+ * Look up the roster resource of a role
+ * @param {import('./gcr.js').GoogleClassroomClient} client
+ * @param {string} role
+ * @returns {Object} `client.courses.students` or `client.courses.teachers`
+ */
+function rosterResource(client, role) {
+  const collection = ROSTER_ROLES[role];
+  if (!collection) {
+    throw new ValidationError(`Unknown roster role: ${role}`, { reason: 'invalidRole' });
+  }
+  return client.courses[collection];
+}
+
+/**
+ * Fetch the members of a course, following every page
+ * @param {import('./gcr.js').GoogleClassroomClient} client
+ * @param {string} courseId - Course identifier or alias
+ * @param {Object} [options]
+ * @param {Array<'STUDENT'|'TEACHER'>} [options.roles] - Roles to include; both by default
+ * @returns {Promise<RosterMember[]>}
+ */
+export async function fetchRoster(client, courseId, { roles = Object.keys(ROSTER_ROLES) } = {}) {
+  const members = [];
+
+  for (const role of roles) {
+    const resource = rosterResource(client, role);
+    // No page guard: a cut-off roster would make syncRoster() invite or remove the wrong people
+    const { items } = await resource.listAll(courseId, {}, { maxPages: Infinity });
+    for (const entry of items) {
+      members.push({
+        role,
+        userId: entry.userId,
+        email: entry.profile?.emailAddress?.toLowerCase() || null,
+        name: entry.profile?.name?.fullName || null
+      });
+    }
+  }
+
+  return members;
+}
+
+/**
+ * Export the roster of a course as CSV
+ * @param {import('./gcr.js').GoogleClassroomClient} client
+ * @param {string} courseId - Course identifier or alias
+ * @param {Object} [options] - Same as fetchRoster()
+ * @returns {Promise<string>}
+ */
+export async function exportRosterCsv(client, courseId, options) {
+  return toCsv(await fetchRoster(client, courseId, options), ROSTER_COLUMNS);
+}
+
+/**
+ * Read the email addresses of a roster CSV
+ * @param {string} text - CSV with an `email` column, or emails in the first column
+ * @returns {{emails: string[], invalid: Array<{row: number, value: string}>}}
+ *   Lower-cased, de-duplicated emails, and rows without a valid email (1-based)
+ */
+export function parseRosterCsv(text) {
+  const rows = parseCsv(text);
+  const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+  const emailIndex = header.findIndex(cell => EMAIL_HEADERS.includes(cell));
+  const firstRow = emailIndex >= 0 ? 1 : 0;
+  const column = Math.max(emailIndex, 0);
+
+  const emails = new Set();
+  const invalid = [];
+  rows.slice(firstRow).forEach((row, index) => {
+    const value = (row[column] || '').trim();
+    if (EMAIL_PATTERN.test(value)) {
+      emails.add(value.toLowerCase());
+    } else {
+      invalid.push({ row: firstRow + index + 1, value });
+    }
+  });
+
+  return { emails: [...emails], invalid };
+}
+
+/**
+ * Compare a roster with the emails it should contain
+ * @param {RosterMember[]} members - Current members (of one role)
+ * @param {string[]} emails - Wanted emails
+ * @returns {RosterDiff}
+ */
+export function diffRoster(members, emails) {
+  const wanted = new Set(emails.map(email => email.toLowerCase()));
+  const present = new Set(members.map(member => member.email).filter(Boolean));
+
+  return {
+    toInvite: [...wanted].filter(email => !present.has(email)),
+    toRemove: members.filter(member => member.email && !wanted.has(member.email)),
+    unchanged: members.filter(member => member.email && wanted.has(member.email)),
+    unmatched: members.filter(member => !member.email)
+  };
+}
+
+/**
+ * Make the roster of one role match a list of emails
+ * @param {import('./gcr.js').GoogleClassroomClient} client
+ * @param {string} courseId - Course identifier or alias
+ * @param {string[]} emails - Emails that should be on the roster
+ * @param {Object} [options]
+ * @param {'STUDENT'|'TEACHER'} [options.role='STUDENT'] - Roster to sync
+ * @param {boolean} [options.dryRun=true] - Only report what would change
+ * @param {boolean} [options.remove=false] - Also remove members missing from `emails`
+ * @returns {Promise<{diff: RosterDiff, results: RosterSyncResult[]}>}
+ */
+export async function syncRoster(client, courseId, emails, { role = 'STUDENT', dryRun = true, remove = false } = {}) {
+  const resource = rosterResource(client, role);
+  const diff = diffRoster(await fetchRoster(client, courseId, { roles: [role] }), emails);
+
+  const row = (action, member, status = 'unchanged') => ({
+    action,
+    email: member.email,
+    userId: member.userId,
+    status,
+    error: null
+  });
+  const changes = [
+    ...diff.toInvite.map(email => row('invite', { email, userId: null }, 'planned')),
+    ...(remove ? diff.toRemove.map(member => row('remove', member, 'planned')) : [])
+  ];
+  const kept = [
+    ...diff.unchanged,
+    ...(remove ? [] : diff.toRemove),
+    ...diff.unmatched
+  ].map(member => row('keep', member));
+
+  if (!dryRun) {
+    // Requests go through the client's queue, which bounds concurrency and rate
+    const outcomes = await Promise.allSettled(changes.map(result => (result.action === 'invite'
+      ? resource.invite(courseId, result.email)
+      : resource.delete(courseId, result.userId))));
+
+    outcomes.forEach((outcome, index) => {
+      const result = changes[index];
+      if (outcome.status === 'fulfilled') {
+        result.status = 'done';
+      } else {
+        // 409: an invitation for this user is already pending
+        result.status = outcome.reason.status === 409 ? 'skipped' : 'failed';
+        result.error = outcome.reason.message;
+      }
+    });
+  }
+
+  return { diff, results: [...changes, ...kept] };
+}
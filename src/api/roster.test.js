@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { apiError, createFakeClient } from '../test/helpers.js';
+import { DEFAULT_MAX_PAGES } from './pagination.js';
+import { fetchRoster, syncRoster } from './roster.js';
+
+/**
+ * Client with a student roster; `failures` maps emails or user IDs to the errors their change fails with
+ */
+function createRosterClient(failures = {}) {
+  const fail = key => {
+    if (failures[key]) {
+      throw apiError(failures[key].status, failures[key].message);
+    }
+  };
+
+  return createFakeClient({
+    '/v1/courses/1/students': {
+      students: [
+        { userId: 's1', profile: { emailAddress: 'grace@school.example' } },
+        { userId: 's2', profile: { emailAddress: 'alan@school.example' } },
+        { userId: 's3', profile: { emailAddress: 'katherine@school.example' } },
+        { userId: 's4', profile: {} }
+      ]
+    },
+    'POST /v1/invitations': ({ body }) => {
+      fail(body.userId);
+      return { id: `invitation-${body.userId}` };
+    },
+    'DELETE /v1/courses/1/students/s2': () => fail('s2'),
+    'DELETE /v1/courses/1/students/s3': () => fail('s3')
+  });
+}
+
+/**
+ * Roster changes a client was asked to make
+ */
+function changes(client) {
+  return client.requests
+    .filter(request => request.method !== 'GET')
+    .map(request => (request.method === 'POST' ? ['invite', request.body.userId] : ['delete', request.endpoint.split('/').pop()]));
+}
+
+const EMAILS = ['grace@school.example', 'ada@school.example', 'edsger@school.example'];
+
+describe('syncRoster()', () => {
+  it('keeps members missing from the list unless removal is asked for', async () => {
+    const client = createRosterClient();
+
+    const { diff, results } = await syncRoster(client, '1', EMAILS, { dryRun: false });
+
+    expect(diff.toRemove.map(member => member.userId)).toEqual(['s2', 's3']);
+    expect(changes(client)).toEqual([['invite', 'ada@school.example'], ['invite', 'edsger@school.example']]);
+    expect(results.filter(result => result.action === 'keep').map(result => result.userId)).toEqual(['s1', 's2', 's3', 's4']);
+  });
+
+  it('reports the outcome of every change when some fail', async () => {
+    const client = createRosterClient({
+      'ada@school.example': { status: 409, message: 'Invitation already exists' },
+      s3: { status: 403, message: 'The caller does not have permission' }
+    });
+
+    const { results } = await syncRoster(client, '1', EMAILS, { dryRun: false, remove: true });
+
+    expect(results.map(({ action, email, status, error }) => [action, email, status, error])).toEqual([
+      ['invite', 'ada@school.example', 'skipped', 'Invitation already exists'],
+      ['invite', 'edsger@school.example', 'done', null],
+      ['remove', 'alan@school.example', 'done', null],
+      ['remove', 'katherine@school.example', 'failed', 'The caller does not have permission'],
+      ['keep', 'grace@school.example', 'unchanged', null],
+      ['keep', null, 'unchanged', null]
+    ]);
+  });
+});
+
+describe('fetchRoster()', () => {
+  it('reads members past the default page guard', async () => {
+    const pages = Array.from({ length: DEFAULT_MAX_PAGES + 1 }, (_, index) => ({
+      students: [{ userId: `s${index}`, profile: { emailAddress: `student${index}@school.example` } }]
+    }));
+    const client = createFakeClient({ '/v1/courses/1/students': pages });
+
+    const members = await fetchRoster(client, '1', { roles: ['STUDENT'] });
+
+    expect(members).toHaveLength(DEFAULT_MAX_PAGES + 1);
+    expect(members.at(-1)).toMatchObject({ userId: `s${DEFAULT_MAX_PAGES}`, email: `student${DEFAULT_MAX_PAGES}@school.example` });
+  });
+});
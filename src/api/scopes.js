@@ -0,0 +1,90 @@
+/**
+ * OAuth scopes used by the Classroom resources
+ *
+ * RESOURCE_SCOPES lists what each resource method needs. Every requirement is
+ * a scope, or an array of alternatives of which any one is enough. A granted
+ * read-write scope also satisfies its `.readonly` variant, matching how
+ * Google evaluates them.
+ */
+
+const SCOPE_BASE = 'https://www.googleapis.com/auth/classroom';
+
+/** Classroom OAuth scopes */
+export const SCOPES = {
+  COURSES: `${SCOPE_BASE}.courses`,
+  COURSES_READONLY: `${SCOPE_BASE}.courses.readonly`,
+  ROSTERS: `${SCOPE_BASE}.rosters`,
+  ROSTERS_READONLY: `${SCOPE_BASE}.rosters.readonly`,
+  COURSEWORK_STUDENTS: `${SCOPE_BASE}.coursework.students`,
+  COURSEWORK_STUDENTS_READONLY: `${SCOPE_BASE}.coursework.students.readonly`,
+  COURSEWORK_ME: `${SCOPE_BASE}.coursework.me`,
+  COURSEWORK_ME_READONLY: `${SCOPE_BASE}.coursework.me.readonly`,
+  PROFILE_EMAILS: `${SCOPE_BASE}.profile.emails`
+};
+
+/** Drive scope for reading the files students attach to submissions */
+export const DRIVE_READONLY_SCOPE = 'https://www.googleapis.com/auth/drive.readonly';
+
+/** Requested with every authorization so the token response identifies the account */
+export const IDENTITY_SCOPES = ['openid', 'email', 'profile'];
+
+/**
+ * Scopes required by each resource method (`<resource>.<method>`)
+ * @type {Object<string, Array<string|string[]>>}
+ */
+export const RESOURCE_SCOPES = {
+  'courses.list': [SCOPES.COURSES_READONLY],
+  'courses.get': [SCOPES.COURSES_READONLY],
+  'courses.create': [SCOPES.COURSES],
+  'courses.patch': [SCOPES.COURSES],
+  'courses.delete': [SCOPES.COURSES],
+  'courses.students.list': [SCOPES.ROSTERS_READONLY],
+  'courses.students.invite': [SCOPES.ROSTERS],
+  'courses.students.delete': [SCOPES.ROSTERS],
+  'courses.teachers.list': [SCOPES.ROSTERS_READONLY],
+  'courses.teachers.invite': [SCOPES.ROSTERS],
+  'courses.teachers.delete': [SCOPES.ROSTERS],
+  'courseWork.list': [[SCOPES.COURSEWORK_STUDENTS_READONLY, SCOPES.COURSEWORK_ME_READONLY]],
+  'courseWork.get': [[SCOPES.COURSEWORK_STUDENTS_READONLY, SCOPES.COURSEWORK_ME_READONLY]],
+  'courseWork.create': [SCOPES.COURSEWORK_STUDENTS],
+  'studentSubmissions.list': [[SCOPES.COURSEWORK_STUDENTS_READONLY, SCOPES.COURSEWORK_ME_READONLY]],
+  'studentSubmissions.grade': [SCOPES.COURSEWORK_STUDENTS],
+  'studentSubmissions.return': [SCOPES.COURSEWORK_STUDENTS],
+  'studentSubmissions.turnIn': [SCOPES.COURSEWORK_ME],
+  'drive.files.read': [DRIVE_READONLY_SCOPE]
+};
+
+/**
+ * Whether a single scope is covered by the granted scopes
+ * @param {string} scope
+ * @param {string[]} granted
+ * @returns {boolean}
+ */
+function isGranted(scope, granted) {
+  return granted.includes(scope) ||
+    (scope.endsWith('.readonly') && granted.includes(scope.slice(0, -'.readonly'.length)));
+}
+
+/**
+ * Normalize a scope list given as a space-separated string or array
+ * @param {string|Array<string|string[]>} scopes
+ * @returns {Array<string|string[]>}
+ */
+export function toScopeList(scopes) {
+  if (!scopes) {
+    return [];
+  }
+  return Array.isArray(scopes) ? scopes : scopes.split(' ').filter(Boolean);
+}
+
+/**
+ * Requirements that the granted scopes do not cover
+ * @param {string|Array<string|string[]>} required - Scopes, or arrays of alternatives
+ * @param {string[]} granted - Granted scopes
+ * @returns {string[]} One scope per unmet requirement (the first alternative)
+ */
+export function findMissingScopes(required, granted) {
+  return toScopeList(required)
+    .filter(requirement => ![].concat(requirement).some(scope => isGranted(scope, granted)))
+    .map(requirement => [].concat(requirement)[0]);
+}
@@ -0,0 +1,349 @@
+/**
+ * Token storage adapters for GoogleClassroomClient
+ *
+ * Every adapter implements the same asynchronous interface:
+ *
+ *   getItem(name)        -> Promise<string|null>
+ *   setItem(name, value) -> Promise<void>
+ *   removeItem(name)     -> Promise<void>
+ *
+ * Names are namespaced per adapter (`<namespace>_<name>`), so several clients
+ * can share one backing store without overwriting each other's tokens. The
+ * default namespace `gcr` keeps the historical `gcr_access_token` keys.
+ */
+
+const DEFAULT_NAMESPACE = 'gcr';
+
+// IndexedDB configuration
+const IDB_DATABASE_NAME = 'gcr';
+const IDB_STORE_NAME = 'tokens';
+
+// Encryption parameters
+const PBKDF2_ITERATIONS = 310000;
+const SALT_STORAGE_NAME = 'encryption_salt';
+const IV_LENGTH = 12;
+
+/**
+ * Base class providing namespacing for storage adapters
+ */
+export class StorageAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.namespace='gcr'] - Prefix for all stored names
+   */
+  constructor({ namespace = DEFAULT_NAMESPACE } = {}) {
+    this.namespace = namespace;
+  }
+
+  /**
+   * Build the namespaced key for a stored name
+   * @param {string} name
+   * @returns {string}
+   */
+  key(name) {
+    return `${this.namespace}_${name}`;
+  }
+
+  async getItem() {
+    throw new Error(`${this.constructor.name} does not implement getItem()`);
+  }
+
+  async setItem() {
+    throw new Error(`${this.constructor.name} does not implement setItem()`);
+  }
+
+  async removeItem() {
+    throw new Error(`${this.constructor.name} does not implement removeItem()`);
+  }
+}
+
+/**
+ * In-memory storage; works everywhere but is lost when the process or page goes away
+ */
+export class MemoryStorageAdapter extends StorageAdapter {
+  constructor(options) {
+    super(options);
+    this.items = new Map();
+  }
+
+  async getItem(name) {
+    return this.items.get(this.key(name)) ?? null;
+  }
+
+  async setItem(name, value) {
+    this.items.set(this.key(name), String(value));
+  }
+
+  async removeItem(name) {
+    this.items.delete(this.key(name));
+  }
+}
+
+/**
+ * Adapter over a Web Storage area (localStorage or sessionStorage)
+ *
+ * SECURITY NOTE: Web Storage holds data in clear text. Wrap it in an
+ * EncryptedStorageAdapter or prefer sessionStorage where possible.
+ */
+export class WebStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {Storage} [options.storage=localStorage] - Web Storage area
+   * @param {string} [options.namespace='gcr'] - Prefix for all stored names
+   */
+  constructor({ storage = globalThis.localStorage, ...options } = {}) {
+    super(options);
+    if (!storage) {
+      throw new Error('Web Storage is not available in this environment');
+    }
+    this.storage = storage;
+  }
+
+  async getItem(name) {
+    return this.storage.getItem(this.key(name));
+  }
+
+  async setItem(name, value) {
+    this.storage.setItem(this.key(name), String(value));
+  }
+
+  async removeItem(name) {
+    this.storage.removeItem(this.key(name));
+  }
+}
+
+/**
+ * Create a localStorage adapter (persists across browser sessions)
+ * @param {Object} [options] - Adapter options
+ * @returns {WebStorageAdapter}
+ */
+export function createLocalStorageAdapter(options = {}) {
+  return new WebStorageAdapter({ ...options, storage: globalThis.localStorage });
+}
+
+/**
+ * Create a sessionStorage adapter (cleared when the tab is closed)
+ * @param {Object} [options] - Adapter options
+ * @returns {WebStorageAdapter}
+ */
+export function createSessionStorageAdapter(options = {}) {
+  return new WebStorageAdapter({ ...options, storage: globalThis.sessionStorage });
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDB-backed storage
+ *
+ * Values are kept in a single object store shared by all namespaces. Unlike
+ * Web Storage, IndexedDB can also hold non-extractable CryptoKey objects,
+ * which makes it a good home for an EncryptedStorageAdapter key.
+ */
+export class IndexedDBStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.databaseName='gcr'] - IndexedDB database name
+   * @param {string} [options.namespace='gcr'] - Prefix for all stored names
+   */
+  constructor({ databaseName = IDB_DATABASE_NAME, ...options } = {}) {
+    super(options);
+    this.databaseName = databaseName;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create on first use) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      if (!globalThis.indexedDB) {
+        return Promise.reject(new Error('IndexedDB is not available in this environment'));
+      }
+
+      const request = globalThis.indexedDB.open(this.databaseName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(IDB_STORE_NAME);
+      };
+      this.dbPromise = promisifyRequest(request);
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against the object store
+   * @param {IDBTransactionMode} mode
+   * @param {function(IDBObjectStore): IDBRequest} operation
+   * @returns {Promise<*>}
+   */
+  async withStore(mode, operation) {
+    const db = await this.openDatabase();
+    const store = db.transaction(IDB_STORE_NAME, mode).objectStore(IDB_STORE_NAME);
+    return promisifyRequest(operation(store));
+  }
+
+  async getItem(name) {
+    const value = await this.withStore('readonly', store => store.get(this.key(name)));
+    return value ?? null;
+  }
+
+  async setItem(name, value) {
+    await this.withStore('readwrite', store => store.put(value, this.key(name)));
+  }
+
+  async removeItem(name) {
+    await this.withStore('readwrite', store => store.delete(this.key(name)));
+  }
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+/**
+ * AES-GCM encryption around another adapter
+ *
+ * The key is either a caller-supplied CryptoKey (ideally non-extractable and
+ * kept in IndexedDB) or derived from a passphrase with PBKDF2. The random
+ * PBKDF2 salt is stored unencrypted next to the data. Each value is sealed
+ * with a fresh IV and bound to its storage key as additional data, so
+ * ciphertexts cannot be swapped between entries.
+ */
+export class EncryptedStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options
+   * @param {StorageAdapter} options.storage - Adapter holding the encrypted values
+   * @param {CryptoKey} [options.key] - AES-GCM key
+   * @param {string} [options.passphrase] - Passphrase to derive the key from
+   */
+  constructor({ storage, key = null, passphrase = null }) {
+    super({ namespace: storage.namespace });
+    if (!key && !passphrase) {
+      throw new Error('EncryptedStorageAdapter requires a key or a passphrase');
+    }
+    this.storage = storage;
+    this.keyPromise = key ? Promise.resolve(key) : null;
+    this.passphrase = passphrase;
+  }
+
+  /**
+   * Generate a random, non-extractable AES-GCM key
+   * @returns {Promise<CryptoKey>}
+   */
+  static generateKey() {
+    return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  }
+
+  /**
+   * Resolve the encryption key, deriving it from the passphrase on first use
+   * @returns {Promise<CryptoKey>}
+   */
+  getKey() {
+    if (!this.keyPromise) {
+      this.keyPromise = this.deriveKey();
+    }
+    return this.keyPromise;
+  }
+
+  /**
+   * Derive a non-extractable AES-GCM key from the passphrase
+   * @returns {Promise<CryptoKey>}
+   */
+  async deriveKey() {
+    let salt = await this.storage.getItem(SALT_STORAGE_NAME);
+    if (!salt) {
+      salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+      await this.storage.setItem(SALT_STORAGE_NAME, salt);
+    }
+
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(this.passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: fromBase64(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async getItem(name) {
+    const stored = await this.storage.getItem(name);
+    if (!stored) {
+      return null;
+    }
+
+    try {
+      const bytes = fromBase64(stored);
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: bytes.slice(0, IV_LENGTH), additionalData: new TextEncoder().encode(this.key(name)) },
+        await this.getKey(),
+        bytes.slice(IV_LENGTH)
+      );
+      return new TextDecoder().decode(plaintext);
+    } catch (error) {
+      // Wrong key/passphrase or tampered data: behave as if nothing was stored
+      console.error(`Error decrypting ${this.key(name)}:`, error);
+      return null;
+    }
+  }
+
+  async setItem(name, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(this.key(name)) },
+      await this.getKey(),
+      new TextEncoder().encode(String(value))
+    );
+
+    const sealed = new Uint8Array(IV_LENGTH + ciphertext.byteLength);
+    sealed.set(iv);
+    sealed.set(new Uint8Array(ciphertext), IV_LENGTH);
+    await this.storage.setItem(name, toBase64(sealed));
+  }
+
+  async removeItem(name) {
+    await this.storage.removeItem(name);
+  }
+}
+
+/**
+ * Pick the default adapter for the current environment
+ * @param {Object} [options] - Adapter options
+ * @returns {StorageAdapter} localStorage in browsers, memory elsewhere
+ */
+export function createDefaultStorage(options = {}) {
+  return globalThis.localStorage
+    ? createLocalStorageAdapter(options)
+    : new MemoryStorageAdapter(options);
+}
@@ -0,0 +1,154 @@
+/**
+ * Minimal XLSX (Office Open XML spreadsheet) writer
+ *
+ * Writes one worksheet of plain values: numbers and booleans as typed cells,
+ * everything else as inline strings, with the header rows in bold and frozen.
+ * The package is assembled with the ZIP writer in zip.js.
+ */
+
+import { neutralizeFormula } from './csv.js';
+import { createZip } from './zip.js';
+
+/** MIME type of .xlsx files */
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELATIONSHIPS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK_RELATIONSHIPS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+// Cell style 0 is the default, style 1 is bold (header rows)
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`;
+
+// Excel limits sheet names to 31 characters without []:*?/\
+const INVALID_SHEET_NAME = /[[\]:*?/\\]/g;
+const MAX_SHEET_NAME_LENGTH = 31;
+
+/**
+ * Whether XML 1.0 can represent a character (tab, newlines and everything
+ * from space up, except lone surrogates, U+FFFE and U+FFFF)
+ * @param {number} codePoint
+ * @returns {boolean}
+ */
+function isXmlChar(codePoint) {
+  return codePoint === 0x9 || codePoint === 0xa || codePoint === 0xd ||
+    (codePoint >= 0x20 && codePoint <= 0xd7ff) ||
+    (codePoint >= 0xe000 && codePoint <= 0xfffd) ||
+    codePoint >= 0x10000;
+}
+
+/**
+ * Escape text for XML, dropping characters XML 1.0 cannot represent
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return Array.from(text)
+    .filter(char => isXmlChar(char.codePointAt(0)))
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column name of a zero-based index (0 -> A, 26 -> AA)
+ * @param {number} index
+ * @returns {string}
+ */
+function columnName(index) {
+  let name = '';
+  for (let rest = index + 1; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    name = String.fromCharCode(65 + ((rest - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Serialize one cell
+ * @param {*} value - null and undefined leave the cell out
+ * @param {string} ref - Cell reference (e.g. B3)
+ * @param {boolean} bold
+ * @returns {string}
+ */
+function cellXml(value, ref, bold) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+
+  const style = bold ? ' s="1"' : '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  // Inline strings are never evaluated, but the file may be re-saved as CSV
+  return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(neutralizeFormula(value)))}</t></is></c>`;
+}
+
+/**
+ * Build an .xlsx file with a single worksheet
+ * @param {Array<Array<string|number|boolean|null>>} rows - Cell values, row by row
+ * @param {Object} [options]
+ * @param {string} [options.sheetName='Sheet1'] - Worksheet name
+ * @param {number} [options.headerRows=1] - Leading rows shown in bold and kept visible when scrolling
+ * @returns {Uint8Array}
+ */
+export function createXlsx(rows, { sheetName = 'Sheet1', headerRows = 1 } = {}) {
+  const name = sheetName.replace(INVALID_SHEET_NAME, ' ').slice(0, MAX_SHEET_NAME_LENGTH) || 'Sheet1';
+
+  const sheetRows = rows.map((row, rowIndex) => {
+    const cells = row
+      .map((value, columnIndex) => cellXml(value, `${columnName(columnIndex)}${rowIndex + 1}`, rowIndex < headerRows))
+      .join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+
+  const pane = headerRows > 0
+    ? `<pane ySplit="${headerRows}" topLeftCell="A${headerRows + 1}" activePane="bottomLeft" state="frozen"/>`
+    : '';
+
+  const sheet = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0">${pane}</sheetView></sheetViews>
+<sheetData>${sheetRows}</sheetData>
+</worksheet>`;
+
+  const workbook = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXml(name)}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES },
+    { name: '_rels/.rels', data: ROOT_RELATIONSHIPS },
+    { name: 'xl/workbook.xml', data: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', data: WORKBOOK_RELATIONSHIPS },
+    { name: 'xl/styles.xml', data: STYLES },
+    { name: 'xl/worksheets/sheet1.xml', data: sheet }
+  ]);
+}
@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { createXlsx } from './xlsx.js';
+
+/**
+ * Text of the worksheet part; zip.js stores entries uncompressed
+ */
+function sheetXml(bytes) {
+  const text = new TextDecoder().decode(bytes);
+  const start = text.indexOf('<worksheet');
+  return text.slice(start, text.indexOf('</worksheet>', start) + '</worksheet>'.length);
+}
+
+describe('createXlsx()', () => {
+  it('drops characters XML cannot represent and escapes markup', () => {
+    const xml = sheetXml(createXlsx([['a\u0000b\u0008c\u000bd\u001fe', 'tab\there\nline', '😀 \ud800x\uffff', '<b> & "q"']]));
+
+    expect(xml).toContain('>abcde</t>');
+    expect(xml).toContain('>tab\there\nline</t>');
+    expect(xml).toContain('>😀 x</t>');
+    expect(xml).toContain('>&lt;b&gt; &amp; &quot;q&quot;</t>');
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Minimal ZIP archive writer
+ *
+ * Entries are stored without compression, which every ZIP reader accepts and
+ * is all XLSX packages (see xlsx.js) need. Names are flagged as UTF-8. No
+ * ZIP64 support: archives must stay below 4 GiB and 65535 entries.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+// Version 2.0, the minimum for stored entries with directory names
+const ZIP_VERSION = 20;
+
+// General purpose flag bit 11: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * CRC-32 checksum of the data (as used by ZIP and PNG)
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode a date in MS-DOS format (local time, 2-second resolution, 1980 or later)
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: Uint8Array|string}>} files - Strings are encoded as UTF-8
+ * @param {Object} [options]
+ * @param {Date} [options.date=new Date()] - Modification time of every entry
+ * @returns {Uint8Array}
+ */
+export function createZip(files, { date = new Date() } = {}) {
+  const encoder = new TextEncoder();
+  const timestamp = toDosDateTime(date);
+  const entries = files.map(file => {
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    return { name: encoder.encode(file.name), data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce((size, entry) => size + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((size, entry) => size + 46 + entry.name.length, 0);
+  const output = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(output.buffer);
+
+  let offset = 0;
+  const u16 = value => {
+    view.setUint16(offset, value, true);
+    offset += 2;
+  };
+  const u32 = value => {
+    view.setUint32(offset, value, true);
+    offset += 4;
+  };
+  const bytes = value => {
+    output.set(value, offset);
+    offset += value.length;
+  };
+
+  // Fields shared by local and central headers, from "version needed" to "extra field length"
+  const commonFields = entry => {
+    u16(ZIP_VERSION);
+    u16(UTF8_FLAG);
+    u16(0); // stored
+    u16(timestamp.time);
+    u16(timestamp.date);
+    u32(entry.crc);
+    u32(entry.data.length);
+    u32(entry.data.length);
+    u16(entry.name.length);
+    u16(0);
+  };
+
+  for (const entry of entries) {
+    entry.offset = offset;
+    u32(LOCAL_HEADER_SIGNATURE);
+    commonFields(entry);
+    bytes(entry.name);
+    bytes(entry.data);
+  }
+
+  const centralOffset = offset;
+  for (const entry of entries) {
+    u32(CENTRAL_HEADER_SIGNATURE);
+    u16(ZIP_VERSION); // version made by
+    commonFields(entry);
+    u16(0); // comment length
+    u16(0); // disk number
+    u16(0); // internal attributes
+    u32(0); // external attributes
+    u32(entry.offset);
+    bytes(entry.name);
+  }
+
+  u32(END_OF_CENTRAL_DIRECTORY_SIGNATURE);
+  u16(0);
+  u16(0);
+  u16(entries.length);
+  u16(entries.length);
+  u32(centralSize);
+  u32(centralOffset);
+  u16(0);
+
+  return output;
+}
@@ -0,0 +1,13 @@
+/**
+ * Entry of the OAuth callback page (oauth/callback.html)
+ *
+ * In the popup flow the result goes back to the opener and the popup closes.
+ * Otherwise this was a full-page redirect: hand the query string to the app,
+ * which finishes the exchange with handleCallback().
+ */
+
+import { postCallbackToOpener } from './api/popup.js';
+
+if (!postCallbackToOpener()) {
+  window.location.replace(`/${window.location.search}`);
+}
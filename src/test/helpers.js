@@ -0,0 +1,112 @@
+/**
+ * Shared test doubles
+ *
+ * `stubHttp` keeps a real GoogleClassroomClient off the network.
+ * `createFakeClient` answers `makeRequest()` from a route table and carries
+ * the real resource methods, so code under test builds its requests and
+ * follows pages exactly as it does against Google.
+ */
+
+import { AxiosError } from 'axios';
+import { collectPages } from '../api/pagination.js';
+import { createCoursesResource, createCourseWorkResource, createStudentSubmissionsResource } from '../api/resources.js';
+
+/**
+ * Answer every HTTP call of a client from `respond` instead of the network
+ * @param {import('../api/gcr.js').GoogleClassroomClient} client
+ * @param {function(Object): {status?: number, data?: *}} respond - Receives the axios config
+ * @returns {Object[]} Configs of the calls made, in order
+ */
+export function stubHttp(client, respond) {
+  const calls = [];
+  client.use(config => ({
+    ...config,
+    adapter: async request => {
+      calls.push(request);
+      const { status = 200, data = {} } = respond(request) || {};
+      const response = { status, statusText: String(status), data, headers: {}, config: request };
+      if (status >= 400) {
+        throw new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_REQUEST', request, null, response);
+      }
+      return response;
+    }
+  }));
+  return calls;
+}
+
+/**
+ * Error shaped like the client's API errors
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+export function apiError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Answer one routed request
+ * @param {Object|Object[]|function(Object): *} route - Body, pages of a listing, or handler
+ * @param {Object} request - makeRequest() options plus the parsed `url` and upper-case `method`
+ * @returns {*}
+ */
+function answer(route, request) {
+  if (typeof route === 'function') {
+    return route(request);
+  }
+  if (!Array.isArray(route)) {
+    return route;
+  }
+
+  // Pages of a listing, linked by their index as the page token
+  const index = Number(request.url.searchParams.get('pageToken') || 0);
+  const hasMore = index + 1 < route.length;
+  return { ...route[index], ...(hasMore ? { nextPageToken: String(index + 1) } : {}) };
+}
+
+/**
+ * Client-like object answering requests from a route table
+ * @param {Object<string, Object|Object[]|function(Object): *>} [routes] - Keyed by URL path for
+ *   GET requests or by `METHOD path`; an array is served as consecutive pages and a function
+ *   receives the request (and may throw)
+ * @returns {Object} Client with `requests`, `makeRequest()`, `collectAll()` and the
+ *   `courses`, `courseWork` and `studentSubmissions` resources
+ */
+export function createFakeClient(routes = {}) {
+  const client = {
+    requests: [],
+
+    async makeRequest(options) {
+      const method = (options.method || 'GET').toUpperCase();
+      const url = new URL(options.endpoint);
+      client.requests.push({ ...options, method });
+
+      const route = routes[`${method} ${url.pathname}`] ?? (method === 'GET' ? routes[url.pathname] : undefined);
+      if (route === undefined) {
+        throw apiError(404, `No route for ${method} ${url.pathname}`);
+      }
+      return answer(route, { ...options, method, url });
+    },
+
+    collectAll(options) {
+      return collectPages(client, options);
+    }
+  };
+
+  client.courses = createCoursesResource(client);
+  client.courseWork = createCourseWorkResource(client);
+  client.studentSubmissions = createStudentSubmissionsResource(client);
+  return client;
+}
+
+/**
+ * Requests of a fake client as `METHOD /path?query` strings
+ * @param {Object} client - From createFakeClient()
+ * @returns {string[]}
+ */
+export function requestLines(client) {
+  return client.requests.map(({ method, endpoint }) => {
+    const { pathname, search } = new URL(endpoint);
+    return `${method} ${pathname}${decodeURIComponent(search)}`;
+  });
+}
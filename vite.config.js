@@ -1,7 +1,21 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  build: {
+    rollupOptions: {
+      // The OAuth redirect URI (/oauth/callback) is its own small page
+      input: {
+        main: fileURLToPath(new URL('index.html', import.meta.url)),
+        callback: fileURLToPath(new URL('oauth/callback.html', import.meta.url))
+      }
+    }
+  },
+  test: {
+    // The OAuth client relies on browser APIs (localStorage, sessionStorage, location)
+    environment: 'jsdom'
+  }
 })